@@ -0,0 +1,119 @@
+/**
+ * EventEmitter class
+ * Listener registry behind the Launchpad events
+ *
+ * Removing a subscription never affects the others, and a throwing listener doesn't stop the rest from being called:
+ * the error is emitted as an 'error' event, or thrown asynchronously if nothing listens to errors.
+ * Listeners of '*' get every event, with the event name as first argument.
+ */
+class EventEmitter {
+  constructor () {
+    this._subscriptions = {}
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event Event name, or '*' for every event
+   * @param  {function} callback Listener to call with the event arguments
+   * @param  {Object} options Options
+   * @param  {function} options.filter Only call the listener when this returns true for the event arguments
+   * @param  {Boolean} options.once Remove the listener after its first call. Defaults to false
+   * @return {function} Function to stop listening
+   */
+  on (event, callback, options = {}) {
+    if (!callback || typeof callback !== 'function') throw new Error('Invalid callback function')
+    const subscription = { callback, filter: options.filter || null, once: !!options.once }
+    if (!this._subscriptions[event]) this._subscriptions[event] = []
+    this._subscriptions[event].push(subscription)
+    return () => this._remove(event, subscription)
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * @param  {String} event Event name, or '*' for every event
+   * @param  {function} callback Listener to call with the event arguments
+   * @param  {Object} options Options, like in `on`
+   * @return {function} Function to stop listening
+   */
+  once (event, callback, options = {}) {
+    return this.on(event, callback, Object.assign({}, options, { once: true }))
+  }
+
+  /**
+   * Remove every subscription of a listener to an event
+   * @param  {String} event Event name
+   * @param  {function} callback Listener to remove
+   */
+  off (event, callback) {
+    const subscriptions = this._subscriptions[event]
+    if (!subscriptions) return
+    this._subscriptions[event] = subscriptions.filter(subscription => subscription.callback !== callback)
+  }
+
+  /**
+   * Call the listeners of an event
+   * @param  {String} event Event name
+   * @param  {...*} args Arguments for the listeners
+   * @return {number} Number of listeners called
+   */
+  emit (event, ...args) {
+    // Copied, so listeners added or removed meanwhile don't change who gets this event
+    const subscriptions = (this._subscriptions[event] || []).slice()
+    const wildcards = event === '*' ? [] : (this._subscriptions['*'] || []).slice()
+    let called = 0
+
+    const call = (subscription, callArgs, subscribedEvent) => {
+      if (subscription.filter && !subscription.filter(...args)) return
+      if (subscription.once) this._remove(subscribedEvent, subscription)
+      called++
+      try {
+        subscription.callback(...callArgs)
+      } catch (error) {
+        this.reportError(error, event)
+      }
+    }
+    subscriptions.forEach(subscription => call(subscription, args, event))
+    wildcards.forEach(subscription => call(subscription, [event].concat(args), '*'))
+    return called
+  }
+
+  /**
+   * Listeners of an event
+   * @param  {String} event Event name
+   * @return {array} Callbacks, in the order they were added
+   */
+  listeners (event) {
+    return (this._subscriptions[event] || []).map(subscription => subscription.callback)
+  }
+
+  /**
+   * Number of listeners of an event
+   * @param  {String} event Event name
+   * @return {number}
+   */
+  listenerCount (event) {
+    return (this._subscriptions[event] || []).length
+  }
+
+  /**
+   * Emit an error as an 'error' event, or throw it asynchronously if nothing listens to errors
+   * @param  {Error} error Error
+   * @param  {String} event Name of what failed, passed to the listeners as { event }
+   */
+  reportError (error, event) {
+    if (event !== 'error' && this.listenerCount('error')) {
+      this.emit('error', error, { event })
+    } else {
+      setTimeout(() => { throw error })
+    }
+  }
+
+  _remove (event, subscription) {
+    const subscriptions = this._subscriptions[event]
+    if (!subscriptions) return
+    const index = subscriptions.indexOf(subscription)
+    if (index !== -1) subscriptions.splice(index, 1)
+  }
+}
+
+module.exports.default = EventEmitter
@@ -0,0 +1,201 @@
+const Launchpad = require('./Launchpad.js').default
+const EventEmitter = require('./EventEmitter.js').default
+
+/**
+ * GestureRecognizer class
+ * Turns the raw presses and releases of a Launchpad into gestures: long presses, double taps, chords and swipes
+ *
+ * Swipes are runs of adjacent grid buttons pressed one after the other in a straight line, like when dragging a finger
+ * across the grid. They are reported once the finger has left the grid for `swipeStepTime`.
+ * Buttons that end up being part of a chord or a swipe don't report long presses.
+ * Listener errors are emitted as 'error' events, with the error and { event }.
+ */
+class GestureRecognizer {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to listen to
+   * @param  {Object} options Options
+   * @param  {number} options.longPressTime Time a button has to be held to be a long press, in milliseconds. Defaults to 500
+   * @param  {number} options.doubleTapTime Maximum time between the release of a tap and the next press, in milliseconds. Defaults to 250
+   * @param  {number} options.swipeStepTime Maximum time between pressing two buttons of a swipe, in milliseconds. Defaults to 150
+   * @param  {number} options.swipeMinLength Minimum number of buttons of a swipe. Defaults to 3
+   * @param  {function} options.now Clock, in milliseconds. Defaults to Date.now
+   */
+  constructor (pad, options = {}) {
+    this.pad = pad
+    this.longPressTime = options.longPressTime || 500
+    this.doubleTapTime = options.doubleTapTime || 250
+    this.swipeStepTime = options.swipeStepTime || 150
+    this.swipeMinLength = options.swipeMinLength || 3
+    this.now = options.now || Date.now
+    this._events = new EventEmitter()
+    this._held = new Map() // Button => { time, timer, consumed }
+    this._lastTap = null
+    this._swipe = null
+    this._unbind = [
+      pad.onButtonPressed(button => this._pressed(button)),
+      pad.onButtonReleased(button => this._released(button))
+    ]
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'longpress', 'doubletap', 'swipe' or 'error'. Chords have `onChord`
+   * @param  {function} callback Listener to call, like in the matching `on...` method
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    if (event === 'chord') throw new Error('Invalid event: Chords need their buttons, use onChord')
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Add a listener for buttons held down for `longPressTime`
+   * @param  {function} callback Called with the button, while it's still held
+   * @return {function}          Function to stop listening
+   */
+  onLongPress (callback) {
+    return this._events.on('longpress', callback)
+  }
+
+  /**
+   * Add a listener for buttons tapped twice in a row
+   * @param  {function} callback Called with the button, on the second press
+   * @return {function}          Function to stop listening
+   */
+  onDoubleTap (callback) {
+    return this._events.on('doubletap', callback)
+  }
+
+  /**
+   * Add a listener for a combination of buttons held together, like Session + 00
+   * It's called when the last button of the combination is pressed, as long as no other button is held
+   * @param  {array} buttons Buttons, or button names, of the chord
+   * @param  {function} callback Called with the buttons of the chord
+   * @return {function}          Function to stop listening
+   */
+  onChord (buttons, callback) {
+    if (!Array.isArray(buttons) || buttons.length < 2) throw new Error('Invalid chord: Needs at least two buttons')
+    buttons = buttons.map(button => {
+      const name = typeof button === 'string' ? button : button && button.name
+      if (!Launchpad.Buttons[name]) throw new Error(`Invalid button ${name} in chord`)
+      return Launchpad.Buttons[name]
+    })
+    if (!callback || typeof callback !== 'function') throw new Error('Invalid callback function')
+    const listener = () => {
+      buttons.forEach(button => this._consume(button))
+      callback(buttons)
+    }
+    // Called with the held buttons, so only the chord with exactly those buttons matches
+    const filter = held => held.size === buttons.length && buttons.every(button => held.has(button))
+    return this._events.on('chord', listener, { filter })
+  }
+
+  /**
+   * Add a listener for swipes across the grid
+   * @param  {function} callback Called with { direction, buttons }. Direction is 'up', 'down', 'left', 'right', or a diagonal like 'up-left'
+   * @return {function}          Function to stop listening
+   */
+  onSwipe (callback) {
+    return this._events.on('swipe', callback)
+  }
+
+  /**
+   * Stop listening to the Launchpad events and cancel pending gestures
+   */
+  destroy () {
+    this._unbind.forEach(unbind => unbind())
+    this._unbind = []
+    this._held.forEach(state => clearTimeout(state.timer))
+    this._held.clear()
+    if (this._swipe) clearTimeout(this._swipe.timer)
+    this._swipe = null
+  }
+
+  _dispatchListener (type, data) {
+    this._events.emit(type, data)
+  }
+
+  _pressed (button) {
+    const time = this.now()
+    if (this._held.has(button)) return // Repeated press event
+
+    const state = { time, consumed: false }
+    state.timer = setTimeout(() => {
+      if (!state.consumed) {
+        state.consumed = true
+        this._dispatchListener('longpress', button)
+      }
+    }, this.longPressTime)
+    this._held.set(button, state)
+
+    if (this._lastTap && this._lastTap.button === button && time - this._lastTap.time <= this.doubleTapTime) {
+      this._lastTap = null
+      this._dispatchListener('doubletap', button)
+    }
+
+    this._checkChords()
+    this._trackSwipe(button, time)
+  }
+
+  _released (button) {
+    const state = this._held.get(button)
+    if (!state) return
+    clearTimeout(state.timer)
+    this._held.delete(button)
+
+    const time = this.now()
+    if (!state.consumed && time - state.time < this.longPressTime) this._lastTap = { button, time }
+
+    if (this._swipe && !this._held.size) {
+      clearTimeout(this._swipe.timer)
+      this._swipe.timer = setTimeout(() => this._endSwipe(), this.swipeStepTime)
+    }
+  }
+
+  _checkChords () {
+    if (this._held.size < 2) return
+    this._dispatchListener('chord', this._held)
+  }
+
+  _trackSwipe (button, time) {
+    const swipe = this._swipe
+    if (swipe) clearTimeout(swipe.timer)
+    if (swipe && typeof button.x === 'number' && time - swipe.time <= this.swipeStepTime) {
+      const last = swipe.buttons[swipe.buttons.length - 1]
+      const step = { x: button.x - last.x, y: button.y - last.y }
+      const isAdjacent = Math.abs(step.x) <= 1 && Math.abs(step.y) <= 1 && (step.x || step.y)
+      const isStraight = !swipe.step || (swipe.step.x === step.x && swipe.step.y === step.y)
+      if (isAdjacent && isStraight) {
+        swipe.buttons.push(button)
+        swipe.step = step
+        swipe.time = time
+        if (swipe.buttons.length >= this.swipeMinLength) swipe.buttons.forEach(button => this._consume(button))
+        return
+      }
+    }
+    // Any other press ends the swipe in progress, like a finger resting on its last button and then pressing elsewhere
+    this._endSwipe()
+    if (typeof button.x === 'number') this._swipe = { buttons: [button], step: null, time }
+  }
+
+  _endSwipe () {
+    const swipe = this._swipe
+    if (!swipe) return
+    clearTimeout(swipe.timer)
+    this._swipe = null
+    if (swipe.buttons.length < this.swipeMinLength) return
+
+    const vertical = swipe.step.y < 0 ? 'up' : (swipe.step.y > 0 ? 'down' : '')
+    const horizontal = swipe.step.x < 0 ? 'left' : (swipe.step.x > 0 ? 'right' : '')
+    const direction = vertical && horizontal ? `${vertical}-${horizontal}` : vertical || horizontal
+    this._dispatchListener('swipe', { direction, buttons: swipe.buttons })
+  }
+
+  _consume (button) {
+    const state = this._held.get(button)
+    if (state) state.consumed = true
+  }
+}
+
+module.exports.default = GestureRecognizer
@@ -1,24 +1,45 @@
+const WebMidiTransport = require('./transports/WebMidiTransport.js').default
+const ProgrammerModeDriver = require('./drivers/ProgrammerModeDriver.js').default
+const MidiSendQueue = require('./MidiSendQueue.js').default
+const EventEmitter = require('./EventEmitter.js').default
+const parseCssColor = require('./color/parseCssColor.js').default
+const { toImageData, downscaleImage } = require('./image/imageData.js')
+
 /**
  * Launchpad class
  * Manage access and interact with the Launchpad
  *
  * It wraps all of the launchpad available MIDI functionalities in a neat js API
  * https://d2xhy469pqj8rc.cloudfront.net/sites/default/files/novation/downloads/4080/launchpad-programmers-reference.pdf
+ *
+ * RGB models (Mini MK3, X, Pro MK3) are driven in programmer mode through a ProgrammerModeDriver,
+ * with the double buffering and flashing of the original models emulated in software.
  */
 class Launchpad {
   /**
    * Constructor
    * @param  {String|RegExp} deviceName Name to match the MIDI device
+   * @param  {Object} options Options
+   * @param  {Object} options.transport MIDI transport to talk to the device through. Defaults to a WebMidiTransport
+   * @param  {String} options.model Model to drive ('classic', 'mini-mk3', 'x' or 'pro-mk3'). Defaults to 'auto', which detects it with a device inquiry
+   * @param  {number} options.inquiryTimeout Time to wait for the device inquiry reply, in milliseconds. Defaults to 500
+   * @param  {number} options.rate Maximum outgoing MIDI messages per second. Defaults to 0, no throttling
    */
-  constructor (deviceName = /Launchpad( \w+)?/) {
+  constructor (deviceName = /Launchpad( \w+)?/, options = {}) {
     this.deviceName = deviceName
-    this.input = null
-    this.output = null
-    this.listeners = {
-      pressed: [],
-      released: [],
-      led_changed: []
-    }
+    this.requestedModel = options.model || 'auto'
+    // SysEx is only needed for the RGB models. Detection carries on without it if it's denied, as no inquiry reply
+    this.transport = options.transport || new WebMidiTransport({ sysex: this.requestedModel === 'auto' ? 'optional' : this.requestedModel !== 'classic' })
+    this.inquiryTimeout = options.inquiryTimeout || 500
+    this.model = 'classic'
+    this.driver = null
+    this.deviceIdentity = null
+    this._textScroll = null
+    this.queue = new MidiSendQueue(bytes => this.transport.send(bytes), { rate: options.rate })
+    this._sysexCallback = null
+    this._unplugged = false
+    this._dispatchedBufferState = null
+    this._events = new EventEmitter()
     this._pressedButtons = new Set()
     this.leds = {}
   }
@@ -30,22 +51,29 @@ class Launchpad {
    * and duty cycle are reset to their default values.
    */
   async reset () {
-    await this._midiSend(0xB0, 0, 0)
+    if (this.driver) {
+      for (const message of this.driver.resetMessages(this.getOrderedButtons('forBatch'))) await this._midiSend(...message)
+    } else {
+      await this._midiSend(0xB0, 0, 0)
+    }
     this.flashingBuffers = 0
     this.displayingBuffer = 0
     this.updatingBuffer = 0
-    this.ledBuffers = {
-      0: {},
-      1: {}
-    }
+    this._presentedBufferState = 0
+    this.dutyCycle = { numerator: 1, denominator: 5 }
+    if (!this.ledBuffers) this.ledBuffers = { 0: {}, 1: {} }
+    const changes = []
     Object.keys(Launchpad.Buttons).forEach(buttonName => {
-      this.ledBuffers[0][buttonName] = this.ledBuffers[1][buttonName] = Launchpad.Colors.Off
+      this._setBufferLED(changes, 0, buttonName, Launchpad.Colors.Off)
+      this._setBufferLED(changes, 1, buttonName, Launchpad.Colors.Off)
     })
-    this._dispatchListener('led_changed')
+    this._dispatchBufferState()
+    this._dispatchLedChanges(changes)
   }
 
   /**
    * Set all LEDs on, in both buffers.
+   * Like on the device, it also resets the buffer settings and the duty cycle
    * @param  {string} brightness Brightness level ('low'/'medium'/'high'). Defaults to medium
    */
   async allLEDsOn (brightness = 'medium') {
@@ -56,29 +84,48 @@ class Launchpad {
     }
     if (!brightnessMap[brightness]) brightness = 'medium'
 
-    await this._midiSend(0xB0, 0x00, brightnessMap[brightness])
+    if (!this.driver) await this._midiSend(0xB0, 0x00, brightnessMap[brightness])
+    this.flashingBuffers = 0
+    this.displayingBuffer = 0
+    this.updatingBuffer = 0
+    this._presentedBufferState = 0
+    this.dutyCycle = { numerator: 1, denominator: 5 }
+    const changes = []
     Object.keys(Launchpad.Buttons).forEach(buttonName => {
       const color = Launchpad.Colors[brightness === 'low' ? 'AmberLow' : (brightness === 'medium' ? 'AmberMed' : 'Amber')]
-      this.ledBuffers[0][buttonName] = this.ledBuffers[1][buttonName] = color
+      this._setBufferLED(changes, 0, buttonName, color)
+      this._setBufferLED(changes, 1, buttonName, color)
     })
-    this._dispatchListener('led_changed')
+    if (this.driver) await this._presentButtons(this.getOrderedButtons('forBatch'))
+    this._dispatchBufferState()
+    this._dispatchLedChanges(changes)
   }
 
   /**
    * Set the color value for a button in the `updating` buffer
    * @param {Object} button Button to set
-   * @param {number} color Color value to set
+   * @param {Object|String|array} color Color to set, or a CSS color or [r, g, b] (see `resolveColor`)
    * @param {Boolean} changeInBothBuffers If true, change value on the other buffer as well. Defaults to false. Overrides turnOffInOtherBuffer if true
    * @param {Boolean} turnOffInOtherBuffer If true, clear the other buffer's copy of this LED. Defaults to false.
    */
   async setSingleLED (button, color, changeInBothBuffers, turnOffInOtherBuffer) {
     if (!button || typeof button !== 'object' || (button._note_key === undefined && button._automap_key === undefined)) throw new Error('Invalid button')
-    const velocity = this._colorToMIDIVelocity(color, changeInBothBuffers, turnOffInOtherBuffer)
+    color = this.resolveColor(color)
+    const otherBuffer = this.updatingBuffer === 1 ? 0 : 1
 
-    const ledID = button._note_key !== undefined ? button._note_key : button._automap_key
-    await this._midiSend(button._note_key !== undefined ? 0x90 : 0xB0, ledID, velocity)
-    this.ledBuffers[this.updatingBuffer][button.name] = color
-    this._dispatchListener('led_changed')
+    if (this.driver) {
+      this.driver.colorSpec(color)
+    } else {
+      const velocity = this._colorToMIDIVelocity(color, changeInBothBuffers, turnOffInOtherBuffer)
+      const ledID = button._note_key !== undefined ? button._note_key : button._automap_key
+      await this._midiSend(button._note_key !== undefined ? 0x90 : 0xB0, ledID, velocity)
+    }
+    const changes = []
+    this._setBufferLED(changes, this.updatingBuffer, button.name, color)
+    if (changeInBothBuffers) this._setBufferLED(changes, otherBuffer, button.name, color)
+    else if (turnOffInOtherBuffer) this._setBufferLED(changes, otherBuffer, button.name, Launchpad.Colors.Off)
+    if (this.driver && (this._isUpdatingBufferVisible() || changeInBothBuffers || turnOffInOtherBuffer)) await this._presentButtons([button])
+    this._dispatchLedChanges(changes)
   }
 
   /**
@@ -120,11 +167,13 @@ class Launchpad {
   async setDutyCycle (numerator, denominator) {
     if (numerator < 1 || numerator > 16) throw new Error('Invalid numerator')
     if (denominator < 3 || denominator > 18) throw new Error('Invalid denominator')
-    if (numerator < 9) {
-      await this._midiSend(0xB0, 0x1E, 16 * (numerator - 1) + (denominator - 3))
+    if (this.driver) {
+      // RGB models light every color at full duty cycle
     } else {
-      await this._midiSend(0xB0, 0x1F, 16 * (numerator - 9) + (denominator - 3))
+      await this._midiSend(...dutyCycleMessage(numerator, denominator))
     }
+    this.dutyCycle = { numerator, denominator }
+    this._dispatchBufferState()
   }
 
   /**
@@ -156,19 +205,333 @@ class Launchpad {
     if (!colors || typeof colors !== 'object') throw new Error('Invalid argument type. Must be array of colors')
     if (!colors.length) throw new Error('Invalid colors array: Can not be empty')
     if (colors.length > 80) throw new Error('Invalid colors array: Can not have more than 80 elements')
+    colors = Array.from(colors, color => color && this.resolveColor(color))
 
     const listOfButtons = this.getOrderedButtons('forBatch')
+    const changes = []
+
+    if (this.driver) {
+      colors.forEach((color, i) => {
+        this.driver.colorSpec(color)
+        this._setBufferLED(changes, this.updatingBuffer, listOfButtons[i].name, color)
+      })
+      if (this._isUpdatingBufferVisible()) await this._presentButtons(listOfButtons.slice(0, colors.length))
+      this._dispatchLedChanges(changes)
+      return
+    }
 
     const velocities = colors.map(color => this._colorToMIDIVelocity(color))
     for (var i = 0; i < velocities.length; i += 2) {
       await this._midiSend(0x92, velocities[i], velocities[i + 1])
-      this.ledBuffers[this.updatingBuffer][listOfButtons[i].name] = colors[i]
-      if (colors[i + 1]) this.ledBuffers[this.updatingBuffer][listOfButtons[i + 1].name] = colors[i + 1]
+      this._setBufferLED(changes, this.updatingBuffer, listOfButtons[i].name, colors[i])
+      if (colors[i + 1]) this._setBufferLED(changes, this.updatingBuffer, listOfButtons[i + 1].name, colors[i + 1])
     }
 
-    // Send useless command to clear MIDI state and allow another setMultipleLED inmediatly
+    // Any normal message leaves rapid update mode, so the next setMultipleLED starts again from the first LED.
+    // It rewrites the color the rapid update just set, so it changes nothing and the whole call is one event
     await this.setSingleLED(Launchpad.Buttons['00'], colors[0])
-    this._dispatchListener('led_changed')
+    this._dispatchLedChanges(changes)
+  }
+
+  /**
+   * Show a full frame, only sending what changed
+   * The frame is diffed against the buffers, and the cheapest way to get it on screen is picked:
+   * individual LED updates, a rapid update, or drawing in the hidden buffer and swapping buffers.
+   * Buttons missing from the frame are turned off
+   * @param  {Object|array} frame Colors by button name, or array of 80 colors in `forBatch` order
+   * @param  {Object} options Options
+   * @param  {Boolean} options.atomic If true, frames needing more than one message are drawn in the hidden buffer to avoid tearing. Defaults to true
+   * @return {Object} { strategy, changed } with strategy being 'none', 'single', 'batch' or 'swap'
+   */
+  async render (frame, options = {}) {
+    const atomic = options.atomic !== false
+    const colors = this._frameToColors(frame)
+
+    const front = this.displayingBuffer
+    const back = front === 1 ? 0 : 1
+    // Writing to a buffer that isn't the updating one needs a buffer control message first
+    const frontPlan = this._planFrameUpdate(colors, this.ledBuffers[front], this.updatingBuffer === front ? 0 : 1)
+    if (!frontPlan.changed.length) return { strategy: 'none', changed: 0 }
+
+    let target = front
+    let plan = frontPlan
+    if (!this.flashingBuffers) {
+      // Draw in the hidden buffer, then show it with one more message
+      const backPlan = this._planFrameUpdate(colors, this.ledBuffers[back], this.updatingBuffer === back ? 1 : 2)
+      if (!backPlan.changed.length) backPlan.cost = 1 // Display and update buffers are switched together
+      if (backPlan.cost < frontPlan.cost || (atomic && frontPlan.cost > 1)) {
+        target = back
+        plan = backPlan
+      }
+    }
+
+    if (plan.changed.length && this.updatingBuffer !== target) {
+      this.updatingBuffer = target
+      await this._updateBufferStatus()
+    }
+    await this._writeFramePlan(colors, plan)
+    if (target !== front) {
+      this.displayingBuffer = this.updatingBuffer = target
+      await this._updateBufferStatus()
+    }
+
+    return { strategy: target !== front ? 'swap' : plan.strategy, changed: frontPlan.changed.length }
+  }
+
+  /**
+   * Write a full frame to the `updating` buffer, only sending what changed, without touching the buffer settings
+   * Buttons missing from the frame are turned off
+   * @param  {Object|array} frame Colors by button name, or array of 80 colors in `forBatch` order
+   * @return {Object} { strategy, changed } with strategy being 'none', 'single' or 'batch'
+   */
+  async applyFrame (frame) {
+    const colors = this._frameToColors(frame)
+    const plan = this._planFrameUpdate(colors, this.ledBuffers[this.updatingBuffer], 0)
+    await this._writeFramePlan(colors, plan)
+    return { strategy: plan.strategy, changed: plan.changed.length }
+  }
+
+  /**
+   * Draw a full frame, showing colors between two red/green levels by flashing between them
+   * The displaying buffer gets the lower levels and the other buffer the higher ones, and buffer flashing is turned on
+   * while any LED needs it. RGB models show every color as is, so it's the same as `render` there
+   * @param  {Object|array} frame Colors by button name, or array of 80 colors in `forBatch` order. CSS colors and [r, g, b] are accepted
+   * @return {Object} { dithered } with the number of LEDs flashing between two levels
+   */
+  async renderDithered (frame) {
+    if (this.driver) {
+      await this.render(frame)
+      return { dithered: 0 }
+    }
+
+    if (!frame || typeof frame !== 'object') throw new Error('Invalid frame')
+    const inputs = this.getOrderedButtons('forBatch').map((button, i) => (Array.isArray(frame) ? frame[i] : frame[button.name]) || Launchpad.Colors.Off)
+    const dithered = inputs.map(input => Launchpad.ditheredColor(input, { dutyCycle: this.dutyCycle }))
+    const count = dithered.filter(pair => pair.color !== pair.flashColor).length
+    const display = this.displayingBuffer
+    const other = display === 1 ? 0 : 1
+    // The buffer only seen while flashing is written first
+    await this._writeBufferFrames([[other, dithered.map(pair => pair.flashColor)], [display, dithered.map(pair => pair.color)]])
+    if (!!this.flashingBuffers !== (count > 0)) {
+      this.flashingBuffers = count > 0 ? 1 : 0
+      await this._updateBufferStatus()
+    }
+    return { dithered: count }
+  }
+
+  /**
+   * Draw an image on the grid, downscaled and mapped to the colors the device can show
+   * @param  {Object} source ImageData, { width, height, data } RGBA pixels (like a PNG decoded by pngjs), a canvas, a video or an image
+   * @param  {Object} options Options
+   * @param  {Boolean} options.sideButtons If true, the image covers the top row and scene launch column too, as a 9x9 grid. Defaults to false, leaving them as they are
+   * @param  {Boolean} options.dither If true, shades between two levels flash between them, like in `renderDithered`. Defaults to false
+   * @param  {Boolean} options.atomic Passed to `render`
+   * @param  {Object} options.canvas Canvas to draw videos and images on, to read their pixels. Defaults to a new one
+   * @return {promise} Resolves to the result of `render` or `renderDithered`
+   */
+  drawImage (source, options = {}) {
+    const size = options.sideButtons ? 9 : 8
+    const pixels = downscaleImage(toImageData(source, { width: size, height: size }, options.canvas), size, size)
+    const frame = Object.assign({}, this.ledBuffers[this.displayingBuffer])
+    pixels.forEach((row, y) => {
+      row.forEach((rgb, x) => {
+        const button = imageButton(x, y, !!options.sideButtons)
+        if (button) frame[button.name] = rgb
+      })
+    })
+    return options.dither ? this.renderDithered(frame) : this.render(frame, { atomic: options.atomic })
+  }
+
+  /**
+   * Keep drawing an image source, like a playing video or an animated canvas
+   * A frame is skipped if the previous one is still being sent, and videos without data yet are skipped as well.
+   * Drawing errors stop the stream and are emitted as 'error' events
+   * @param  {Object} source Image source, like in `drawImage`
+   * @param  {Object} options Options for `drawImage`, and:
+   * @param  {number} options.fps Frames per second. Defaults to 15
+   * @return {function} Function to stop streaming
+   */
+  streamImage (source, options = {}) {
+    const interval = 1000 / (options.fps || 15)
+    let stopped = false
+    let timer = null
+    const drawFrame = async () => {
+      const start = Date.now()
+      try {
+        // HTMLMediaElement.HAVE_CURRENT_DATA
+        if (source.readyState === undefined || source.readyState >= 2) await this.drawImage(source, options)
+      } catch (e) {
+        stopped = true
+        this._events.reportError(e, 'streamImage')
+      }
+      if (!stopped) timer = setTimeout(drawFrame, Math.max(0, interval - (Date.now() - start)))
+    }
+    drawFrame()
+    return () => {
+      stopped = true
+      clearTimeout(timer)
+    }
+  }
+
+  /**
+   * Turn any color input into a color this device can show
+   * Colors objects are returned as they are. CSS colors ('#ff8800', 'rgb(255, 136, 0)', 'orange'...) and [r, g, b]
+   * tuples become RGB colors on RGB models, and the closest red/green levels on the original models
+   * @param  {Object|String|array|number} input Color, CSS color, [r, g, b] (0-255) or palette index
+   * @return {Object} Color
+   */
+  resolveColor (input) {
+    return Launchpad.color(input, { rgbModel: !!this.driver, dutyCycle: this.dutyCycle })
+  }
+
+  /**
+   * Get the whole LED state, in a format that can be saved as JSON
+   * Colors are stored by name: `Launchpad.Colors` names, 'PaletteN' or 'rgb(r, g, b)'
+   * @return {Object} { version, buffers: { 0, 1 }, displayingBuffer, updatingBuffer, flashing, dutyCycle }
+   */
+  snapshot () {
+    if (!this.ledBuffers) throw new Error('Device is not connected')
+    const bufferSnapshot = buffer => {
+      const names = {}
+      Object.keys(Launchpad.Buttons).forEach(name => { names[name] = this.ledBuffers[buffer][name].name })
+      return names
+    }
+    return {
+      version: 1,
+      buffers: { 0: bufferSnapshot(0), 1: bufferSnapshot(1) },
+      displayingBuffer: this.displayingBuffer,
+      updatingBuffer: this.updatingBuffer,
+      flashing: !!this.flashingBuffers,
+      dutyCycle: Object.assign({}, this.dutyCycle)
+    }
+  }
+
+  /**
+   * Bring back a state taken with `snapshot`, sending only what differs from the current one
+   * The buffer that ends up hidden is written first. The whole snapshot is checked before anything is sent
+   * @param  {Object|String} snapshot Snapshot, or its JSON
+   */
+  async restore (snapshot) {
+    if (!this.ledBuffers) throw new Error('Device is not connected')
+    if (typeof snapshot === 'string') snapshot = JSON.parse(snapshot)
+    if (!snapshot || typeof snapshot !== 'object' || snapshot.version !== 1 || !snapshot.buffers) throw new Error('Invalid snapshot')
+    if ([snapshot.displayingBuffer, snapshot.updatingBuffer].some(buffer => buffer !== 0 && buffer !== 1)) throw new Error('Invalid snapshot buffers')
+    const buffers = [0, 1].map(buffer => {
+      const names = snapshot.buffers[buffer] || {}
+      const frame = {}
+      Object.keys(names).forEach(name => {
+        if (!Launchpad.Buttons[name]) throw new Error(`Invalid button ${name} in snapshot`)
+        const color = Launchpad.colorFromName(names[name])
+        // RGB and palette colors only exist on the RGB models
+        if (!this.driver && (color.r === undefined || color.g === undefined)) throw new Error(`Invalid color ${names[name]} in snapshot: Not supported by this model`)
+        frame[name] = color
+      })
+      return this._frameToColors(frame)
+    })
+
+    const dutyCycle = snapshot.dutyCycle || { numerator: 1, denominator: 5 }
+    if (!(dutyCycle.numerator >= 1 && dutyCycle.numerator <= 16 && dutyCycle.denominator >= 3 && dutyCycle.denominator <= 18)) throw new Error('Invalid snapshot duty cycle')
+    if (dutyCycle.numerator !== this.dutyCycle.numerator || dutyCycle.denominator !== this.dutyCycle.denominator) {
+      await this.setDutyCycle(dutyCycle.numerator, dutyCycle.denominator)
+    }
+
+    const shown = snapshot.displayingBuffer
+    await this._writeBufferFrames([[shown === 1 ? 0 : 1, buffers[shown === 1 ? 0 : 1]], [shown, buffers[shown]]])
+
+    const flashing = snapshot.flashing ? 1 : 0
+    if (this.displayingBuffer !== shown || this.updatingBuffer !== snapshot.updatingBuffer || !!this.flashingBuffers !== !!flashing) {
+      this.displayingBuffer = shown
+      this.updatingBuffer = snapshot.updatingBuffer
+      this.flashingBuffers = flashing
+      await this._updateBufferStatus()
+    }
+  }
+
+  /**
+   * Scroll a text across the grid
+   * Models with hardware text scrolling do it themselves, otherwise it's drawn with the built-in bitmap font
+   * @param  {String} text Text to scroll
+   * @param  {Object} options Options
+   * @param  {Object} options.color Text color. Defaults to Launchpad.Colors.Green
+   * @param  {number} options.speed Speed, in grid columns per second. Defaults to 7
+   * @param  {Boolean} options.loop If true, scroll until `stopText` is called. Defaults to false
+   * @param  {Boolean|String} options.hardware Whether to use the hardware command (true/false/'auto'). Defaults to 'auto'
+   * @return {promise} Resolves once the text has scrolled through, or has been stopped
+   */
+  async scrollText (text, options = {}) {
+    if (typeof text !== 'string' || !text.length) throw new Error('Invalid text')
+    const color = options.color ? this.resolveColor(options.color) : Launchpad.Colors.Green
+    const speed = options.speed || 7
+    const loop = !!options.loop
+    let hardware = options.hardware === undefined ? 'auto' : options.hardware
+    // The original Launchpad can't scroll text, but the S and Mini answer device inquiries and can
+    if (hardware === 'auto') hardware = !!(this.driver || this.deviceIdentity)
+
+    await this.stopText()
+    let finish
+    const finished = new Promise(resolve => { finish = resolve })
+    const textScroll = { finish }
+    this._textScroll = textScroll
+    const done = () => {
+      if (this._textScroll === textScroll) this._textScroll = null
+      finish()
+    }
+
+    if (hardware && this.driver) {
+      textScroll.stop = () => this._midiSend(...this.driver.textScrollMessage(''))
+      await this._midiSend(...this.driver.textScrollMessage(text, { color, speed, loop }))
+      // These models don't report the end of the text, so it's estimated from the bitmap font width
+      if (!loop) textScroll.timer = setTimeout(done, (text.length * 6 + 8) / speed * 1000)
+    } else if (hardware) {
+      const velocity = this._colorToMIDIVelocity(color) + (loop ? 64 : 0)
+      const speedCharacter = Math.min(7, Math.max(1, Math.round(speed)))
+      const characters = Array.from(text).map(character => {
+        const code = character.charCodeAt(0)
+        return code >= 0x20 && code < 0x7F ? code : 0x3F // '?'
+      })
+      textScroll.onDeviceFinished = done
+      textScroll.stop = () => this._midiSend(0xF0, 0x00, 0x20, 0x29, 0x09, 0x00, 0xF7)
+      await this._midiSend(0xF0, 0x00, 0x20, 0x29, 0x09, velocity, speedCharacter, ...characters, 0xF7)
+    } else {
+      // Required here, as these modules depend on the Launchpad class
+      const Animator = require('./animation/Animator.js').default
+      const Effects = require('./animation/Effects.js').default
+      const BitmapFont = require('./text/BitmapFont.js').default
+
+      const background = Object.assign({}, this.ledBuffers[this.displayingBuffer])
+      this.getOrderedButtons('forBatch').slice(0, 64).forEach(button => { background[button.name] = Launchpad.Colors.Off })
+      const animator = new Animator(this, { fps: Math.min(30, Math.max(10, speed * 2)), background })
+      const scroll = Effects.scroll(BitmapFont.textToImage(text, color), { speed, loop })
+      scroll.onFinished = () => {
+        animator.stop()
+        done()
+      }
+      textScroll.stop = () => animator.stop()
+      animator.add(scroll)
+      animator.start()
+    }
+
+    return finished
+  }
+
+  /**
+   * Stop the text being scrolled by `scrollText`
+   */
+  async stopText () {
+    const textScroll = this._textScroll
+    if (!textScroll) return
+    this._textScroll = null
+    clearTimeout(textScroll.timer)
+    await textScroll.stop()
+    textScroll.finish()
+  }
+
+  /**
+   * Wait until every queued MIDI message has been sent to the device
+   * @return {promise}
+   */
+  drain () {
+    return this.queue.drain()
   }
 
   /**
@@ -216,54 +579,123 @@ class Launchpad {
 
   /**
    * Events
+   *
+   * Button listeners are called with the button and the event details: { type, button, timestamp, source },
+   * source being 'hardware' for the device and 'dispatch' for `dispatchButtonPressed`/`dispatchButtonReleased`.
+   * Listener errors are emitted as 'error' events, with the error and { event }.
+   * Devices detected as an unknown Novation model are driven as the original Launchpad, with a 'warning' event.
+   * 'buffers' listeners are called with { displayingBuffer, updatingBuffer, flashing, dutyCycle } when any of them changes,
+   * as switching buffers or changing the duty cycle changes what is shown without changing any LED.
    */
 
   /**
-   * Add a listener for button presses
+   * Add a listener for an event
+   * @param  {String} event 'pressed', 'released', 'led_changed', 'buffers', 'connected', 'disconnected', 'error', 'warning', or '*' for all of them
+   * @param  {function} callback Listener to call. '*' listeners get the event name first
+   * @param  {Object} options Options
+   * @param  {array} options.buttons Only call it for these buttons, or button names. 'led_changed' listeners are called when any of the changes is for one of them
+   * @param  {Object} options.region Only call it for grid buttons inside { x, y, width, height }. Same as buttons for 'led_changed'
+   * @param  {Boolean} options.once Stop listening after the first call. Defaults to false
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback, options = {}) {
+    let filter = buttonFilter(options)
+    if (filter && event === 'led_changed') {
+      // Any of the changes can match
+      const matches = filter
+      filter = data => data.changes.some(change => matches(change.button))
+    } else if (filter && event !== 'pressed' && event !== 'released') {
+      throw new Error(`Invalid options: Only button and LED events can be filtered by button or region, not ${event}`)
+    }
+    return this._events.on(event, callback, { once: options.once, filter })
+  }
+
+  /**
+   * Add a listener for the next time an event happens
+   * @param  {String} event Event name, like in `on`
    * @param  {function} callback Listener to call
+   * @param  {Object} options Options, like in `on`
    * @return {function}          Function to stop listening
    */
-  onButtonPressed (callback) {
-    if (!callback || typeof callback !== 'function') throw new Error('Invalid callback function')
+  once (event, callback, options = {}) {
+    return this.on(event, callback, Object.assign({}, options, { once: true }))
+  }
 
-    const listenerIndex = this.listeners.pressed.push({
-      callback
-    }) - 1
-    return () => {
-      this.listeners.pressed.splice(listenerIndex, 1)
+  /**
+   * Remove a listener
+   * @param  {String} event Event name
+   * @param  {function} callback Listener to remove
+   */
+  off (event, callback) {
+    this._events.off(event, callback)
+  }
+
+  /**
+   * Listeners of the button and LED events, as { pressed, released, led_changed } lists of { callback }
+   * @deprecated Kept for code reading the listener lists. It's a copy: changing it has no effect, use `on` and `off`.
+   * The first read emits a 'warning' event
+   * @return {Object}
+   */
+  get listeners () {
+    if (!this._listenersDeprecationWarned) {
+      this._listenersDeprecationWarned = true
+      this._events.emit('warning', new Error('Launchpad.listeners is deprecated and read-only, use on and off instead'))
+    }
+    const listeners = {}
+    for (const event of ['pressed', 'released', 'led_changed']) {
+      listeners[event] = this._events.listeners(event).map(callback => ({ callback }))
     }
+    return listeners
   }
 
   /**
-   * Add a listener for button releases
+   * Add a listener for button presses
    * @param  {function} callback Listener to call
+   * @param  {Object} options Options, like in `on`
    * @return {function}          Function to stop listening
    */
-  onButtonReleased (callback) {
-    if (!callback || typeof callback !== 'function') throw new Error('Invalid callback function')
+  onButtonPressed (callback, options) {
+    return this.on('pressed', callback, options)
+  }
 
-    const listenerIndex = this.listeners.released.push({
-      callback
-    }) - 1
-    return () => {
-      this.listeners.released.splice(listenerIndex, 1)
-    }
+  /**
+   * Add a listener for button releases
+   * @param  {function} callback Listener to call
+   * @param  {Object} options Options, like in `on`
+   * @return {function}          Function to stop listening
+   */
+  onButtonReleased (callback, options) {
+    return this.on('released', callback, options)
   }
 
   /**
    * Add a listener for LED changes
+   * It's called once per command, with { changes } listing every LED of either buffer that changed color:
+   * { buffer, button, oldColor, newColor }. oldColor is null for the first reset. Commands that change nothing don't call it
    * @param  {function} callback Listener to call
+   * @param  {Object} options Options, like in `on`
    * @return {function}          Function to stop listening
    */
-  onLedChanged (callback) {
-    if (!callback || typeof callback !== 'function') throw new Error('Invalid callback function')
+  onLedChanged (callback, options) {
+    return this.on('led_changed', callback, options)
+  }
 
-    const listenerIndex = this.listeners.led_changed.push({
-      callback
-    }) - 1
-    return () => {
-      this.listeners.led_changed.splice(listenerIndex, 1)
-    }
+  /**
+   * Add a listener for the device coming back after being unplugged, once its state has been restored
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  onConnected (callback) {
+    return this.on('connected', callback)
+  }
+
+  /**
+   * Add a listener for the device being unplugged
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  onDisconnected (callback) {
+    return this.on('disconnected', callback)
   }
 
   /**
@@ -271,7 +703,7 @@ class Launchpad {
    * @param {Object} button Button
    */
   dispatchButtonPressed (button) {
-    this._dispatchListener('pressed', button)
+    this._dispatchButtonEvent('pressed', button, 'dispatch')
   }
 
   /**
@@ -279,8 +711,9 @@ class Launchpad {
    * @param {Object} button Button
    */
   dispatchButtonReleased (button) {
-    this._dispatchListener('released', button)
+    this._dispatchButtonEvent('released', button, 'dispatch')
   }
+
   /**
    * Helper function to modify current buffer without the changes happening in real time
    * It copies the current content to the other buffer, shows the copy while it executes the work, and goes back to the updated buffer once finished
@@ -295,75 +728,231 @@ class Launchpad {
     await this.switchDisplayingBuffer()
   }
 
+  /**
+   * Get how an LED looks on the device
+   * Takes the duty cycle into account, and flashing between the displaying buffer and the other one
+   * @param  {Object} button Button
+   * @return {Object} { color, htmlColorCode, flashing, flashColor, flashHtmlColorCode }. The flash fields are null when not flashing
+   */
+  getPerceivedLED (button) {
+    if (!button || typeof button !== 'object' || !Launchpad.Buttons[button.name]) throw new Error('Invalid button')
+    const options = { dutyCycle: this.dutyCycle, rgbModel: !!this.driver }
+    const otherBuffer = this.displayingBuffer === 1 ? 0 : 1
+    const color = this.ledBuffers[this.displayingBuffer][button.name]
+    const flashColor = this.ledBuffers[otherBuffer][button.name]
+    const flashing = !!this.flashingBuffers && flashColor.name !== color.name
+    return {
+      color,
+      htmlColorCode: Launchpad.perceivedColor(color, options),
+      flashing,
+      flashColor: flashing ? flashColor : null,
+      flashHtmlColorCode: flashing ? Launchpad.perceivedColor(flashColor, options) : null
+    }
+  }
+
+  /**
+   * Get how every LED looks on the device
+   * @return {Object} `getPerceivedLED` results by button name
+   */
+  getPerceivedLEDs () {
+    const leds = {}
+    Object.keys(Launchpad.Buttons).forEach(name => { leds[name] = this.getPerceivedLED(Launchpad.Buttons[name]) })
+    return leds
+  }
+
   /**
    * Lifecycle stuff
    */
 
   /**
-   * Get the accessed device.
-   * If null, please call `accessDevice` first.
-   * @return {[type]} [description]
+   * Whether the device is reachable. False before `accessDevice` and while it is unplugged
+   * @return {Boolean}
    */
   isConnected () {
-    return this.input && this.output
+    return this.transport.isConnected()
   }
 
   /**
-   * Start to load all the required assets from the
-   * list provided to the constructor
+   * Open the device through the transport provided to the constructor
    *
    * @return {promise} Is the load a success?
    */
   accessDevice () {
-    return window.navigator
-      .requestMIDIAccess()
-      .then(access => {
-        // Test deprecated browsers
-        if (typeof access.inputs === 'function' || !access.inputs) {
-          throw new Error('Your browser is deprecated and use an old Midi API.')
+    return this.transport
+      .open(this.deviceName)
+      .then(() => {
+        this.transport.onMessage(data => {
+          this._midiMessageListener(data)
+        })
+        // Transports that notice the device being unplugged and plugged back in
+        if (typeof this.transport.onStateChange === 'function') {
+          this.transport.onStateChange(state => this._transportStateChanged(state))
         }
 
-        // Get MIDI devices
-        const inputs = Array.from(access.inputs.values())
-        for (let i = 0; i < inputs.length; i++) {
-          const input = inputs[i]
-          if (input.type === 'input' && input.name.match(this.deviceName)) {
-            this.input = input
-            this.input.onmidimessage = e => {
-              this._midiMessageListener(e.data)
-            }
-          }
-        }
+        return this._detectModel()
+      })
+      .then(() => {
+        // Reset state, just in case there was any
+        return this.reset()
+      })
+      .then(() => this)
+  }
 
-        const outputs = Array.from(access.outputs.values())
-        for (let i = 0; i < outputs.length; i++) {
-          const output = outputs[i]
-          if (output.type === 'output' && output.name.match(this.deviceName)) {
-            this.output = output
-          }
-        }
+  /* Private functions **********************************/
+
+  _dispatchListener (event, data) {
+    this._events.emit(event, data)
+  }
+
+  _setBufferLED (changes, buffer, buttonName, color) {
+    const oldColor = this.ledBuffers[buffer][buttonName]
+    this.ledBuffers[buffer][buttonName] = color
+    if (!oldColor || oldColor.name !== color.name) {
+      changes.push({ buffer, button: Launchpad.Buttons[buttonName], oldColor: oldColor || null, newColor: color })
+    }
+  }
+
+  _dispatchLedChanges (changes) {
+    if (changes.length) this._dispatchListener('led_changed', { changes })
+  }
+
+  _bufferState () {
+    return {
+      displayingBuffer: this.displayingBuffer,
+      updatingBuffer: this.updatingBuffer,
+      flashing: !!this.flashingBuffers,
+      dutyCycle: Object.assign({}, this.dutyCycle)
+    }
+  }
+
+  _dispatchBufferState () {
+    // Only when something changed, as most buffer commands are sent along with LED changes
+    const state = this._bufferState()
+    const serialized = JSON.stringify(state)
+    if (serialized === this._dispatchedBufferState) return
+    this._dispatchedBufferState = serialized
+    this._dispatchListener('buffers', state)
+  }
 
-        if (this.input && this.output) {
-          // Reset state, just in case there was any
-          this.reset()
-          return this
+  _dispatchButtonEvent (type, button, source) {
+    this._events.emit(type, button, { type, button, timestamp: Date.now(), source })
+  }
+
+  async _midiSend () {
+    if (this._unplugged) return
+    const bytes = Array.from(arguments)
+    // Single LED writes to the same LED, with the same buffer flags, overwrite each other while queued
+    let coalesceKey
+    if (!this.driver && bytes.length === 3 && (bytes[0] === 0x90 || (bytes[0] === 0xB0 && bytes[1] >= 0x68 && bytes[1] <= 0x6F))) {
+      coalesceKey = `${bytes[0]}:${bytes[1]}:${bytes[2] & 0x0C}`
+    }
+    try {
+      await this.queue.enqueue(bytes, coalesceKey)
+    } catch (e) {
+      // Dropped because the device was unplugged meanwhile, it gets the state again when it's back
+      if (!this._unplugged) throw e
+    }
+  }
+
+  async _detectModel () {
+    let driver = null
+    if (this.requestedModel === 'auto') {
+      const reply = await this._deviceInquiry()
+      this.deviceIdentity = reply
+      driver = reply ? ProgrammerModeDriver.fromInquiry(reply) : null
+      const unsupported = reply ? ProgrammerModeDriver.unsupportedModel(reply) : null
+      if (unsupported) {
+        // Known models would misbehave, unknown ones may be original models with a family code missing here
+        if (unsupported.name) {
+          this.transport.close()
+          throw new Error(`Unsupported model ${unsupported.name}. Only model: 'classic' can force it, with the original Launchpad protocol`)
         }
+        const family = unsupported.family.map(byte => '0x' + byte.toString(16).padStart(2, '0')).join(' ')
+        this._events.emit('warning', new Error(`Unknown Novation model with family code ${family}, driven with the original Launchpad protocol`))
+      }
+    } else if (this.requestedModel !== 'classic') {
+      driver = new ProgrammerModeDriver(this.requestedModel)
+    }
+    this.driver = driver
+    this.model = driver ? driver.model : 'classic'
+  }
 
-        // No device found
-        throw new Error(`Device ${this.deviceName} not found.`)
-      })
+  _deviceInquiry () {
+    return new Promise(resolve => {
+      const timeout = setTimeout(() => finish(null), this.inquiryTimeout)
+      const finish = reply => {
+        clearTimeout(timeout)
+        this._sysexCallback = null
+        resolve(reply)
+      }
+      this._sysexCallback = data => {
+        if (data[1] === 0x7E && data[3] === 0x06 && data[4] === 0x02) finish(data)
+      }
+      // Models that can't answer, or transports without SysEx permission, are driven as the original Launchpad
+      this._midiSend(0xF0, 0x7E, 0x7F, 0x06, 0x01, 0xF7).catch(() => finish(null))
+    })
   }
 
-  /* Private functions **********************************/
+  _frameToColors (frame) {
+    if (!frame || typeof frame !== 'object') throw new Error('Invalid frame')
+    return this.getOrderedButtons('forBatch').map((button, i) => {
+      const color = Array.isArray(frame) ? frame[i] : frame[button.name]
+      return color ? this.resolveColor(color) : Launchpad.Colors.Off
+    })
+  }
 
-  _dispatchListener (listener, data) {
-    this.listeners[listener].forEach(listener => {
-      listener.callback(data)
+  async _writeFramePlan (colors, plan) {
+    const listOfButtons = this.getOrderedButtons('forBatch')
+    if (plan.strategy === 'batch') {
+      await this.setMultipleLED(colors.slice(0, plan.changed[plan.changed.length - 1] + 1))
+    } else {
+      for (const i of plan.changed) await this.setSingleLED(listOfButtons[i], colors[i])
+    }
+  }
+
+  async _writeBufferFrames (frames) {
+    // Each entry is [buffer, colors], written in order with only the changes
+    for (const [buffer, colors] of frames) {
+      const plan = this._planFrameUpdate(colors, this.ledBuffers[buffer], 0)
+      if (!plan.changed.length) continue
+      if (this.updatingBuffer !== buffer) {
+        this.updatingBuffer = buffer
+        await this._updateBufferStatus()
+      }
+      await this._writeFramePlan(colors, plan)
+    }
+  }
+
+  _planFrameUpdate (colors, buffer, extraCost) {
+    const listOfButtons = this.getOrderedButtons('forBatch')
+    const changed = []
+    colors.forEach((color, i) => {
+      const current = buffer[listOfButtons[i].name]
+      if (current !== color && (!current || current.name !== color.name)) changed.push(i)
     })
+    if (!changed.length) return { strategy: 'none', changed, cost: extraCost }
+
+    // A rapid update covers the buttons up to the last changed one, two per message, plus the message that ends it
+    const singleCost = changed.length
+    const batchCost = this.driver ? 1 : Math.ceil((changed[changed.length - 1] + 1) / 2) + 1
+    if (batchCost < singleCost) return { strategy: 'batch', changed, cost: batchCost + extraCost }
+    return { strategy: 'single', changed, cost: singleCost + extraCost }
   }
 
-  async _midiSend () {
-    this.output.send(new Uint8Array(arguments))
+  _isUpdatingBufferVisible () {
+    return this.updatingBuffer === this.displayingBuffer || !!this.flashingBuffers
+  }
+
+  async _presentButtons (buttons) {
+    // Software double buffering: show the displaying buffer, flashing towards the other one if enabled
+    const otherBuffer = this.displayingBuffer === 1 ? 0 : 1
+    const entries = buttons.map(button => {
+      const color = this.ledBuffers[this.displayingBuffer][button.name]
+      const flashColor = this.ledBuffers[otherBuffer][button.name]
+      if (this.flashingBuffers && flashColor !== color) return { button, color, flashColor }
+      return { button, color }
+    })
+    await this._midiSend(...this.driver.ledMessage(entries))
   }
 
   async _updateBufferStatus (copy) {
@@ -378,8 +967,65 @@ class Launchpad {
     const update = this.updatingBuffer
     const flash = this.flashingBuffers ? 1 : 0
     copy = copy ? 1 : 0
-    await this._midiSend(0xB0, 0x00, 32 + display + update * 4 + flash * 8 + copy * 16)
-    if (copy) this._dispatchListener('led_changed')
+    const changes = []
+    if (copy && update !== display) {
+      Object.keys(Launchpad.Buttons).forEach(name => this._setBufferLED(changes, update, name, this.ledBuffers[display][name]))
+    }
+    if (this.driver) {
+      // Only what is lit needs to be pushed again
+      const visibleState = display + flash * 2
+      if (visibleState !== this._presentedBufferState || (copy && flash)) {
+        this._presentedBufferState = visibleState
+        await this._presentButtons(this.getOrderedButtons('forBatch'))
+      }
+    } else {
+      await this._midiSend(0xB0, 0x00, 32 + display + update * 4 + flash * 8 + copy * 16)
+    }
+    this._dispatchBufferState()
+    this._dispatchLedChanges(changes)
+  }
+
+  _transportStateChanged (state) {
+    if (state === 'disconnected') {
+      // Whatever is queued can't be delivered, and the device forgets everything anyway.
+      // Until it comes back, commands only update the LED bookkeeping, so they are part of the restored state
+      this._unplugged = true
+      this.queue.clear()
+      this._pressedButtons.clear()
+      this._dispatchListener('disconnected')
+    } else if (state === 'connected') {
+      this._unplugged = false
+      this._restoreDeviceState()
+        .then(() => this._dispatchListener('connected'))
+        .catch(() => {}) // Unplugged again while restoring
+    }
+  }
+
+  async _restoreDeviceState () {
+    const buttons = this.getOrderedButtons('forBatch')
+    if (this.driver) {
+      for (const message of this.driver.resetMessages(buttons)) await this._midiSend(...message)
+      this._presentedBufferState = this.displayingBuffer + (this.flashingBuffers ? 2 : 0)
+      await this._presentButtons(buttons)
+      return
+    }
+
+    // The device powers up reset, so only what differs from that is sent
+    await this._midiSend(0xB0, 0, 0)
+    if (this.dutyCycle.numerator !== 1 || this.dutyCycle.denominator !== 5) {
+      await this._midiSend(...dutyCycleMessage(this.dutyCycle.numerator, this.dutyCycle.denominator))
+    }
+    for (const buffer of [0, 1]) {
+      const lit = buttons.filter(button => this.ledBuffers[buffer][button.name] !== Launchpad.Colors.Off)
+      if (!lit.length) continue
+      await this._midiSend(0xB0, 0x00, 32 + this.displayingBuffer + buffer * 4)
+      for (const button of lit) {
+        const velocity = this._colorToMIDIVelocity(this.ledBuffers[buffer][button.name])
+        if (button._note_key !== undefined) await this._midiSend(0x90, button._note_key, velocity)
+        else await this._midiSend(0xB0, button._automap_key, velocity)
+      }
+    }
+    await this._updateBufferStatus()
   }
 
   _colorToMIDIVelocity (color, changeInBothBuffers = false, turnOffInOtherBuffer = false) {
@@ -390,7 +1036,22 @@ class Launchpad {
   }
 
   _midiMessageListener (data) {
+    if (data[0] === 0xF0) {
+      if (this._sysexCallback) this._sysexCallback(data)
+      return false
+    }
+    if (this.driver) {
+      const message = this.driver.parseButtonMessage(data, Launchpad.Buttons)
+      if (!message) return false
+      return this._buttonMessage(message.type, message.button)
+    }
+
     if (data.length !== 3) return false // Unknown packet
+    if (data[0] === 0xB0 && data[1] === 0x00 && data[2] === 0x03) {
+      // Hardware text scrolling has finished
+      if (this._textScroll && this._textScroll.onDeviceFinished) this._textScroll.onDeviceFinished()
+      return false
+    }
     // Parse if it's pressed or released
     let type
     switch (data[2]) {
@@ -409,10 +1070,14 @@ class Launchpad {
     }
     if (!button) return false
 
+    this._buttonMessage(type, button)
+  }
+
+  _buttonMessage (type, button) {
     if (type === 'pressed') this._pressedButtons.add(button)
     else if (type === 'released') this._pressedButtons.delete(button)
 
-    this._dispatchListener(type, button)
+    this._dispatchButtonEvent(type, button, 'hardware')
   }
 }
 
@@ -438,6 +1103,196 @@ Launchpad.Colors.Amber = colorGenerator('Amber', 3, 3, '#ffba32')
 Launchpad.Colors.Lime = colorGenerator('Lime', 1, 3, '#d0e021')
 Launchpad.Colors.OrangeRed = colorGenerator('OrangeRed', 3, 1, '#f3581f')
 
+/**
+ * Build a full color for the RGB models
+ * On the original models, these are rejected as invalid colors. Components are rounded, so the name can be parsed back
+ * @param  {number} r Red (0-255)
+ * @param  {number} g Green (0-255)
+ * @param  {number} b Blue (0-255)
+ * @return {Object} Color
+ */
+Launchpad.rgbColor = (r, g, b) => {
+  if ([r, g, b].some(value => typeof value !== 'number' || !(value >= 0 && value <= 255))) throw new Error('Invalid color')
+  const rgb = [r, g, b].map(Math.round)
+  const color = {}
+  Object.defineProperty(color, 'name', {
+    value: `rgb(${rgb.join(', ')})`,
+    enumerable: true,
+    writable: false
+  })
+  Object.defineProperty(color, 'rgb', {
+    value: rgb,
+    enumerable: false,
+    writable: false
+  })
+  Object.defineProperty(color, 'htmlColorCode', {
+    value: '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join(''),
+    enumerable: true,
+    writable: false
+  })
+  return color
+}
+
+/**
+ * Compute the on-screen color of a Launchpad color
+ *
+ * On the original models, low and medium brightness levels are lit for a fraction of the time given by the duty cycle:
+ * low for numerator/denominator of the time and medium for twice that. The `htmlColorCode` of `Launchpad.Colors` is how
+ * they look at the default duty cycle, so other duty cycles shift it by how much more, or less, light each LED gives.
+ * On RGB models, colors are shown as the driver sends them. Palette colors have no known RGB value and give null
+ * @param  {Object} color Color
+ * @param  {Object} options Options
+ * @param  {Object} options.dutyCycle { numerator, denominator }. Defaults to 1/5, the default of the device
+ * @param  {Boolean} options.rgbModel Whether it's shown by an RGB model. Defaults to false
+ * @return {String} HTML color code, or null
+ */
+Launchpad.perceivedColor = (color, options = {}) => {
+  if (!color || typeof color !== 'object') throw new Error('Invalid color')
+  if (color.rgb) return color.htmlColorCode
+  if (color.palette !== undefined) return color.palette === 0 ? '#000000' : null
+  if (color.r === undefined || color.g === undefined) throw new Error('Invalid color')
+
+  if (options.rgbModel) return Launchpad.rgbColor(color.r * 255 / 3, color.g * 255 / 3, 0).htmlColorCode
+
+  const dutyCycle = options.dutyCycle || { numerator: 1, denominator: 5 }
+  const light = ledLight(color, dutyCycle.numerator / dutyCycle.denominator)
+  const defaultLight = ledLight(color, 1 / 5)
+  const rgb = htmlToRgb(color.htmlColorCode).map((value, i) => Math.min(255, Math.max(0, Math.round(value + light[i] - defaultLight[i]))))
+  return Launchpad.rgbColor(rgb[0], rgb[1], rgb[2]).htmlColorCode
+}
+
+/**
+ * Resolve a color input to a color object
+ * @param  {Object|String|array|number} input Color, CSS color, [r, g, b] (0-255) or palette index
+ * @param  {Object} options Options
+ * @param  {Boolean} options.rgbModel If true, CSS colors and tuples give RGB colors. Otherwise, the closest of `Launchpad.Colors`. Defaults to false
+ * @param  {Object} options.dutyCycle { numerator, denominator }, to find the closest levels. Defaults to 1/5
+ * @return {Object} Color
+ */
+Launchpad.color = (input, options = {}) => {
+  if (typeof input === 'number') return Launchpad.paletteColor(input)
+  if (input && typeof input === 'object' && !Array.isArray(input)) {
+    if (input.rgb || input.palette !== undefined || (input.r !== undefined && input.g !== undefined)) return input
+    throw new Error('Invalid color')
+  }
+  const rgb = parseCssColor(input)
+  if (options.rgbModel) return Launchpad.rgbColor(rgb[0], rgb[1], rgb[2])
+  return Launchpad.ditheredColor(rgb, Object.assign({}, options, { dither: false })).color
+}
+
+/**
+ * Get a color back from its name: one of `Launchpad.Colors`, 'PaletteN' or 'rgb(r, g, b)'
+ * @param  {String} name Color name
+ * @return {Object} Color
+ */
+Launchpad.colorFromName = name => {
+  if (typeof name === 'string') {
+    if (Launchpad.Colors[name]) return Launchpad.Colors[name]
+    const palette = name.match(/^Palette(\d+)$/)
+    if (palette) return Launchpad.paletteColor(Number(palette[1]))
+    const rgb = name.match(/^rgb\((\d+), ?(\d+), ?(\d+)\)$/)
+    if (rgb) return Launchpad.rgbColor(Number(rgb[1]), Number(rgb[2]), Number(rgb[3]))
+  }
+  throw new Error(`Invalid color ${name}`)
+}
+
+/**
+ * Approximate a color with the red/green levels of the original models, flashing between two levels when that's closer
+ * Red comes from the red component and green from the green one, blue can't be shown
+ * @param  {Object|String|array} input Color, CSS color or [r, g, b] (0-255)
+ * @param  {Object} options Options
+ * @param  {Boolean} options.dither If false, only give steady colors. Defaults to true
+ * @param  {Object} options.dutyCycle { numerator, denominator }. Defaults to 1/5
+ * @return {Object} { color, flashColor }, the same color twice when it doesn't need to flash
+ */
+Launchpad.ditheredColor = (input, options = {}) => {
+  if (input && typeof input === 'object' && !Array.isArray(input)) {
+    if (input.r !== undefined && input.g !== undefined) return { color: input, flashColor: input }
+    if (!input.rgb) throw new Error('Invalid color')
+    input = input.rgb
+  }
+  const rgb = parseCssColor(input)
+  const dutyCycle = options.dutyCycle || { numerator: 1, denominator: 5 }
+  const lights = levelLights(dutyCycle.numerator / dutyCycle.denominator)
+  const dither = options.dither !== false
+
+  // Closest level, or pair of consecutive levels averaged by flashing
+  const closestLevels = value => {
+    const target = value / 255
+    let best = null
+    for (let low = 0; low <= 3; low++) {
+      for (let high = low; high <= (dither ? Math.min(3, low + 1) : low); high++) {
+        const error = Math.abs(target - (lights[low] + lights[high]) / 2)
+        if (!best || error < best.error) best = { low, high, error }
+      }
+    }
+    return best
+  }
+  const red = closestLevels(rgb[0])
+  const green = closestLevels(rgb[1])
+  return {
+    color: levelColor(red.low, green.low),
+    flashColor: levelColor(red.high, green.high)
+  }
+}
+
+function imageButton (x, y, sideButtons) {
+  if (!sideButtons) return Launchpad.Buttons[`${x}${y}`]
+  // Top row first, then the grid with the scene launch buttons at its right
+  const topRow = ['Up', 'Down', 'Left', 'Right', 'Session', 'User1', 'User2', 'Mixer']
+  const sideColumn = ['Vol', 'Pan', 'SendA', 'SendB', 'Stop', 'TrackOn', 'Solo', 'Arm']
+  if (y === 0) return x < 8 ? Launchpad.Buttons[topRow[x]] : null
+  return x < 8 ? Launchpad.Buttons[`${x}${y - 1}`] : Launchpad.Buttons[sideColumn[y - 1]]
+}
+
+function levelColor (r, g) {
+  return Object.keys(Launchpad.Colors).map(name => Launchpad.Colors[name]).find(color => color.r === r && color.g === g)
+}
+
+function levelLights (duty) {
+  // Perceived brightness of each red/green level, 0 to 1
+  return [0, duty, Math.min(1, duty * 2), 1].map(light => Math.pow(light, 0.6))
+}
+
+function ledLight (color, duty) {
+  // Perceived brightness of each level, over the unlit pad color
+  const levels = levelLights(duty)
+  const off = htmlToRgb(Launchpad.Colors.Off.htmlColorCode)
+  const red = htmlToRgb(Launchpad.Colors.Red.htmlColorCode)
+  const green = htmlToRgb(Launchpad.Colors.Green.htmlColorCode)
+  return off.map((value, i) => (red[i] - value) * levels[color.r] + (green[i] - value) * levels[color.g])
+}
+
+function htmlToRgb (htmlColorCode) {
+  return [1, 3, 5].map(i => parseInt(htmlColorCode.slice(i, i + 2), 16))
+}
+
+/**
+ * Get a color from the built-in palette of the RGB models
+ * On the original models, these are rejected as invalid colors
+ * @param  {number} index Palette index (0-127)
+ * @return {Object} Color
+ */
+Launchpad.paletteColor = index => {
+  if (typeof index !== 'number' || index < 0 || index > 127) throw new Error('Invalid color')
+  if (!paletteColors[index]) {
+    const color = {}
+    Object.defineProperty(color, 'name', {
+      value: `Palette${index}`,
+      enumerable: true,
+      writable: false
+    })
+    Object.defineProperty(color, 'palette', {
+      value: index,
+      enumerable: false,
+      writable: false
+    })
+    paletteColors[index] = color
+  }
+  return paletteColors[index]
+}
+const paletteColors = []
+
 function colorGenerator (name, r, g, htmlColorCode) {
   const color = {}
   Object.defineProperty(color, 'name', {
@@ -490,6 +1345,34 @@ Launchpad.Buttons.User1 = buttonGenerator({ name: 'User1', _automap_key: 109 })
 Launchpad.Buttons.User2 = buttonGenerator({ name: 'User2', _automap_key: 110 })
 Launchpad.Buttons.Mixer = buttonGenerator({ name: 'Mixer', _automap_key: 111 })
 
+function buttonFilter (options) {
+  const names = options.buttons ? new Set(options.buttons.map(button => typeof button === 'string' ? button : button && button.name)) : null
+  if (names) {
+    names.forEach(name => {
+      if (!Launchpad.Buttons[name]) throw new Error(`Invalid button ${name}`)
+    })
+  }
+  const region = options.region
+  if (!names && !region) return null
+
+  return button => {
+    if (!button || typeof button !== 'object') return false
+    if (names && !names.has(button.name)) return false
+    if (region) {
+      if (typeof button.x !== 'number') return false
+      const x = button.x - region.x
+      const y = button.y - region.y
+      if (x < 0 || y < 0 || x >= region.width || y >= region.height) return false
+    }
+    return true
+  }
+}
+
+function dutyCycleMessage (numerator, denominator) {
+  if (numerator < 9) return [0xB0, 0x1E, 16 * (numerator - 1) + (denominator - 3)]
+  return [0xB0, 0x1F, 16 * (numerator - 9) + (denominator - 3)]
+}
+
 function buttonGenerator (data) {
   const button = {}
   for (let key in data) {
@@ -0,0 +1,71 @@
+const Launchpad = require('./Launchpad.js').default
+const WebMidiTransport = require('./transports/WebMidiTransport.js').default
+const TiledCanvas = require('./TiledCanvas.js').default
+
+/**
+ * LaunchpadManager class
+ * Connects to every Launchpad plugged in, instead of only one
+ *
+ * Devices are found with the `listDevices` of the transport class, which pairs the input and output
+ * ports of each unit, and each unit gets its own Launchpad instance.
+ */
+class LaunchpadManager {
+  /**
+   * Constructor
+   * @param  {String|RegExp} deviceName Name to match the MIDI devices
+   * @param  {Object} options Options
+   * @param  {function} options.transport Transport class with a static `listDevices`. Defaults to WebMidiTransport
+   * @param  {Object} options.transportOptions Options for the transports. Defaults to { sysex: 'optional' }, see WebMidiTransport
+   * @param  {Object} options.launchpadOptions Options for every Launchpad, besides the transport
+   */
+  constructor (deviceName = /Launchpad( \w+)?/, options = {}) {
+    this.deviceName = deviceName
+    this.Transport = options.transport || WebMidiTransport
+    this.transportOptions = options.transportOptions || { sysex: 'optional' }
+    this.launchpadOptions = options.launchpadOptions || {}
+    this.launchpads = []
+  }
+
+  /**
+   * Find and connect to every device matching the name
+   * @return {promise} Resolves to the connected Launchpads, in port order
+   */
+  async connectAll () {
+    const transports = await this.Transport.listDevices(this.deviceName, this.transportOptions)
+    if (!transports.length) throw new Error(`Device ${this.deviceName} not found.`)
+
+    const launchpads = []
+    for (const transport of transports) {
+      const pad = new Launchpad(this.deviceName, Object.assign({}, this.launchpadOptions, { transport }))
+      try {
+        await pad.accessDevice()
+      } catch (e) {
+        // All or nothing: close the ones already open, and the one that failed
+        launchpads.concat(pad).forEach(pad => pad.transport.close())
+        throw e
+      }
+      launchpads.push(pad)
+    }
+    this.launchpads = launchpads
+    return launchpads
+  }
+
+  /**
+   * Close every connected device
+   */
+  disconnectAll () {
+    this.launchpads.forEach(pad => pad.transport.close())
+    this.launchpads = []
+  }
+
+  /**
+   * Combine the connected Launchpads into a single grid
+   * @param  {Object} options Options for the TiledCanvas
+   * @return {TiledCanvas}
+   */
+  createCanvas (options) {
+    return new TiledCanvas(this.launchpads, options)
+  }
+}
+
+module.exports.default = LaunchpadManager
@@ -0,0 +1,301 @@
+const Launchpad = require('./Launchpad.js').default
+const EventEmitter = require('./EventEmitter.js').default
+
+/**
+ * LayerStack class
+ * Lets several pieces of code share one Launchpad, each drawing on its own layer
+ *
+ * Layers are composited by z-order: for every button, the topmost visible layer with a color set wins,
+ * and buttons no layer sets are turned off. The result is sent with `render`, so only the changes go out.
+ * Button events go to the topmost visible layer whose region has the button, and releases to the layer that got the press.
+ * Nothing is sent while the Launchpad isn't connected: call `update` once it is.
+ *
+ * Events: 'error', for failed updates started by `createLayer` and `removeLayer`
+ */
+class LayerStack {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to draw on
+   */
+  constructor (pad) {
+    this.pad = pad
+    this.layers = []
+    this._renderPromise = null
+    this._lastRender = Promise.resolve()
+    this._pressTargets = new Map()
+    this._events = new EventEmitter()
+    this._unbind = [
+      pad.onButtonPressed(button => this._dispatchButton('pressed', button)),
+      pad.onButtonReleased(button => this._dispatchButton('released', button))
+    ]
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'error'
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Add a layer
+   * @param  {Object} options Options
+   * @param  {String} options.name Name, for debugging
+   * @param  {number} options.zIndex Layers with a higher z-index are drawn on top. Defaults to 0
+   * @param  {array} options.region Buttons, or button names, the layer owns. Defaults to the full surface
+   * @param  {Boolean} options.visible Defaults to true
+   * @return {Layer} The new layer
+   */
+  createLayer (options = {}) {
+    const layer = new Layer(this, options)
+    this.layers.push(layer)
+    this.update().catch(e => this._events.reportError(e, 'update'))
+    return layer
+  }
+
+  /**
+   * Remove a layer
+   * @param  {Layer} layer Layer to remove
+   */
+  removeLayer (layer) {
+    const index = this.layers.indexOf(layer)
+    if (index === -1) return
+    this.layers.splice(index, 1)
+    this.update().catch(e => this._events.reportError(e, 'update'))
+  }
+
+  /**
+   * Compose all the visible layers into a frame
+   * @return {Object} Colors by button name
+   */
+  composite () {
+    const frame = {}
+    // Bottom to top, so upper layers overwrite
+    this._sortedLayers().reverse().forEach(layer => {
+      if (!layer.visible) return
+      Object.keys(layer.colors).forEach(name => {
+        frame[name] = layer.colors[name]
+      })
+    })
+    return frame
+  }
+
+  /**
+   * Send the composited result to the device
+   * Changes made in the same tick are sent together
+   * @return {promise} Resolves once sent
+   */
+  update () {
+    if (!this._renderPromise) {
+      this._renderPromise = this._lastRender.then(() => {
+        this._renderPromise = null
+        if (!this.pad.isConnected()) return
+        return this.pad.render(this.composite())
+      })
+      this._lastRender = this._renderPromise.catch(() => {})
+    }
+    return this._renderPromise
+  }
+
+  /**
+   * Find the layer that gets the events of a button
+   * @param  {Object} button Button
+   * @return {Layer} Topmost visible layer whose region has the button, or undefined
+   */
+  layerForButton (button) {
+    return this._sortedLayers().find(layer => layer.visible && layer.hasButton(button))
+  }
+
+  /**
+   * Stop listening to the Launchpad events
+   */
+  destroy () {
+    this._unbind.forEach(unbind => unbind())
+    this._unbind = []
+  }
+
+  _sortedLayers () {
+    // Topmost first. Among equal z-indexes, the layer created last is on top
+    return this.layers
+      .map((layer, index) => ({ layer, index }))
+      .sort((a, b) => (b.layer.zIndex - a.layer.zIndex) || (b.index - a.index))
+      .map(entry => entry.layer)
+  }
+
+  _dispatchButton (type, button) {
+    let layer
+    if (type === 'pressed') {
+      layer = this.layerForButton(button)
+      this._pressTargets.set(button.name, layer)
+    } else if (this._pressTargets.has(button.name)) {
+      // Even if the layers changed while the button was held
+      layer = this._pressTargets.get(button.name)
+      this._pressTargets.delete(button.name)
+      if (this.layers.indexOf(layer) === -1) layer = undefined
+    } else {
+      layer = this.layerForButton(button)
+    }
+    if (layer) layer._dispatchListener(type, button)
+  }
+}
+
+/**
+ * Layer class
+ * Created with `LayerStack.createLayer`. Buttons without a color let the layers below show through
+ * Errors thrown by its button listeners are emitted as 'error' events of the layer
+ */
+class Layer {
+  constructor (stack, options) {
+    this.stack = stack
+    this.name = options.name || ''
+    this.zIndex = options.zIndex || 0
+    this.visible = options.visible !== false
+    this.region = options.region ? new Set(options.region.map(button => typeof button === 'string' ? button : button.name)) : null
+    if (this.region) {
+      this.region.forEach(name => {
+        if (!Launchpad.Buttons[name]) throw new Error(`Invalid button ${name} in region`)
+      })
+    }
+    this.colors = {}
+    this._events = new EventEmitter()
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'pressed', 'released' or 'error'
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Whether a button is part of the layer region
+   * @param  {Object} button Button
+   * @return {Boolean}
+   */
+  hasButton (button) {
+    return !this.region || this.region.has(button.name)
+  }
+
+  /**
+   * Set the color of a button
+   * @param  {Object} button Button to set
+   * @param  {Object|String|array} color Color to set. CSS colors and [r, g, b] are accepted too
+   * @return {promise} Resolves once the stack has been sent to the device
+   */
+  set (button, color) {
+    this._checkButton(button)
+    Launchpad.color(color) // Throws if it's not a valid color
+    this.colors[button.name] = color
+    return this.stack.update()
+  }
+
+  /**
+   * Unset the color of a button, letting the layers below show through
+   * @param  {Object} button Button to clear
+   * @return {promise} Resolves once the stack has been sent to the device
+   */
+  unset (button) {
+    this._checkButton(button)
+    delete this.colors[button.name]
+    return this.stack.update()
+  }
+
+  /**
+   * Replace all the colors of the layer
+   * @param  {Object} frame Colors by button name. Missing buttons are unset
+   * @return {promise} Resolves once the stack has been sent to the device
+   */
+  setFrame (frame) {
+    if (!frame || typeof frame !== 'object') throw new Error('Invalid frame')
+    Object.keys(frame).forEach(name => this._checkButton(Launchpad.Buttons[name]))
+    this.colors = Object.assign({}, frame)
+    return this.stack.update()
+  }
+
+  /**
+   * Set every button of the region to a color
+   * @param  {Object|String|array} color Color to set. CSS colors and [r, g, b] are accepted too
+   * @return {promise} Resolves once the stack has been sent to the device
+   */
+  fill (color) {
+    Launchpad.color(color) // Throws if it's not a valid color
+    Object.keys(Launchpad.Buttons).forEach(name => {
+      if (this.hasButton(Launchpad.Buttons[name])) this.colors[name] = color
+    })
+    return this.stack.update()
+  }
+
+  /**
+   * Unset every button
+   * @return {promise} Resolves once the stack has been sent to the device
+   */
+  clear () {
+    this.colors = {}
+    return this.stack.update()
+  }
+
+  /**
+   * Show the layer
+   * @return {promise} Resolves once the stack has been sent to the device
+   */
+  show () {
+    this.visible = true
+    return this.stack.update()
+  }
+
+  /**
+   * Hide the layer. Hidden layers don't draw nor receive events
+   * @return {promise} Resolves once the stack has been sent to the device
+   */
+  hide () {
+    this.visible = false
+    return this.stack.update()
+  }
+
+  /**
+   * Change the z-order of the layer
+   * @param  {number} zIndex Layers with a higher z-index are drawn on top
+   * @return {promise} Resolves once the stack has been sent to the device
+   */
+  setZIndex (zIndex) {
+    this.zIndex = zIndex
+    return this.stack.update()
+  }
+
+  /**
+   * Add a listener for presses of the buttons this layer gets
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  onButtonPressed (callback) {
+    return this._events.on('pressed', callback)
+  }
+
+  /**
+   * Add a listener for releases of the buttons this layer gets
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  onButtonReleased (callback) {
+    return this._events.on('released', callback)
+  }
+
+  _dispatchListener (type, button) {
+    this._events.emit(type, button)
+  }
+
+  _checkButton (button) {
+    if (!button || typeof button !== 'object' || !Launchpad.Buttons[button.name]) throw new Error('Invalid button')
+    if (!this.hasButton(button)) throw new Error(`Button ${button.name} is outside of the layer region`)
+  }
+}
+
+LayerStack.Layer = Layer
+
+module.exports.default = LayerStack
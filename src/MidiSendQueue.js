@@ -0,0 +1,104 @@
+/**
+ * MidiSendQueue class
+ * Outgoing MIDI queue, throttled to a number of messages per second
+ *
+ * Every packet gets a promise that resolves once the transport has actually sent it.
+ * Packets with a coalescing key replace a queued packet with the same key, as long as no packet
+ * without a key (like buffer control or rapid update messages) is queued after it, so the order of effects is kept.
+ */
+class MidiSendQueue {
+  /**
+   * Constructor
+   * @param  {function} send Function sending a packet, may return a promise
+   * @param  {Object} options Options
+   * @param  {number} options.rate Maximum messages per second. Defaults to 0, no throttling
+   */
+  constructor (send, options = {}) {
+    this._send = send
+    this.rate = options.rate || 0
+    this.coalesced = 0
+    this._queue = []
+    this._pumping = false
+    this._nextSendTime = 0
+    this._drainCallbacks = []
+  }
+
+  /**
+   * Number of packets waiting to be sent
+   * @return {number}
+   */
+  get size () {
+    return this._queue.length
+  }
+
+  /**
+   * Queue a packet
+   * @param  {array} bytes Packet bytes
+   * @param  {String} coalesceKey Packets with the same key overwrite each other while queued
+   * @return {promise} Resolves once the packet, or the one that replaced it, is sent
+   */
+  enqueue (bytes, coalesceKey) {
+    if (coalesceKey) {
+      for (let i = this._queue.length - 1; i >= 0; i--) {
+        const entry = this._queue[i]
+        if (!entry.coalesceKey) break
+        if (entry.coalesceKey === coalesceKey) {
+          entry.bytes = bytes
+          this.coalesced++
+          return entry.promise
+        }
+      }
+    }
+
+    const entry = { bytes, coalesceKey }
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve
+      entry.reject = reject
+    })
+    this._queue.push(entry)
+    this._pump()
+    return entry.promise
+  }
+
+  /**
+   * Wait until every queued packet is sent
+   * @return {promise}
+   */
+  drain () {
+    if (!this._queue.length && !this._pumping) return Promise.resolve()
+    return new Promise(resolve => this._drainCallbacks.push(resolve))
+  }
+
+  /**
+   * Drop every queued packet, rejecting their promises
+   */
+  clear () {
+    const entries = this._queue.splice(0)
+    entries.forEach(entry => entry.reject(new Error('MIDI queue cleared')))
+  }
+
+  async _pump () {
+    if (this._pumping) return
+    this._pumping = true
+    while (this._queue.length) {
+      const wait = this._nextSendTime - Date.now()
+      if (this.rate && wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait))
+        continue // Packets may have been cleared meanwhile
+      }
+
+      const entry = this._queue.shift()
+      try {
+        await this._send(entry.bytes)
+        entry.resolve()
+      } catch (e) {
+        entry.reject(e)
+      }
+      if (this.rate) this._nextSendTime = Date.now() + 1000 / this.rate
+    }
+    this._pumping = false
+    this._drainCallbacks.splice(0).forEach(callback => callback())
+  }
+}
+
+module.exports.default = MidiSendQueue
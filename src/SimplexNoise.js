@@ -6,15 +6,27 @@
 //
 // Sean McCullough banksean@gmail.com
 
+var Alea = require('alea');
+
 /**
- * You can pass in a random number generator object if you like.
- * It is assumed to have a random() method.
+ * Pass in a seed (any number or string) to get the same noise every time, seeded with alea.
+ * You can also pass in a random number generator object, assumed to have a random() method.
+ * Without either, Math.random is used.
  */
-var SimplexNoise = function(r) {
-	if (r == undefined) r = Math;
+var SimplexNoise = function(seed) {
+  var r = Math;
+  if (seed != undefined) r = typeof seed.random === 'function' ? seed : { random: Alea(seed) };
   this.grad3 = [[1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0], 
                                  [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1], 
                                  [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]]; 
+  this.grad4 = [[0,1,1,1],[0,1,1,-1],[0,1,-1,1],[0,1,-1,-1],
+                [0,-1,1,1],[0,-1,1,-1],[0,-1,-1,1],[0,-1,-1,-1],
+                [1,0,1,1],[1,0,1,-1],[1,0,-1,1],[1,0,-1,-1],
+                [-1,0,1,1],[-1,0,1,-1],[-1,0,-1,1],[-1,0,-1,-1],
+                [1,1,0,1],[1,1,0,-1],[1,-1,0,1],[1,-1,0,-1],
+                [-1,1,0,1],[-1,1,0,-1],[-1,-1,0,1],[-1,-1,0,-1],
+                [1,1,1,0],[1,1,-1,0],[1,-1,1,0],[1,-1,-1,0],
+                [-1,1,1,0],[-1,1,-1,0],[-1,-1,1,0],[-1,-1,-1,0]];
   this.p = [];
   for (var i=0; i<256; i++) {
 	  this.p[i] = Math.floor(r.random()*256);
@@ -42,6 +54,14 @@ SimplexNoise.prototype.dot = function(g, x, y) {
 	return g[0]*x + g[1]*y;
 };
 
+SimplexNoise.prototype.dot3 = function(g, x, y, z) {
+  return g[0]*x + g[1]*y + g[2]*z;
+};
+
+SimplexNoise.prototype.dot4 = function(g, x, y, z, w) {
+  return g[0]*x + g[1]*y + g[2]*z + g[3]*w;
+};
+
 SimplexNoise.prototype.noise = function(xin, yin) { 
   var n0, n1, n2; // Noise contributions from the three corners 
   // Skew the input space to determine which simplex cell we're in 
@@ -155,29 +175,202 @@ SimplexNoise.prototype.noise3d = function(xin, yin, zin) {
   if(t0<0) n0 = 0.0; 
   else { 
     t0 *= t0; 
-    n0 = t0 * t0 * this.dot(this.grad3[gi0], x0, y0, z0); 
+    n0 = t0 * t0 * this.dot3(this.grad3[gi0], x0, y0, z0); 
   }
   var t1 = 0.6 - x1*x1 - y1*y1 - z1*z1; 
   if(t1<0) n1 = 0.0; 
   else { 
     t1 *= t1; 
-    n1 = t1 * t1 * this.dot(this.grad3[gi1], x1, y1, z1); 
+    n1 = t1 * t1 * this.dot3(this.grad3[gi1], x1, y1, z1); 
   } 
   var t2 = 0.6 - x2*x2 - y2*y2 - z2*z2; 
   if(t2<0) n2 = 0.0; 
   else { 
     t2 *= t2; 
-    n2 = t2 * t2 * this.dot(this.grad3[gi2], x2, y2, z2); 
+    n2 = t2 * t2 * this.dot3(this.grad3[gi2], x2, y2, z2); 
   } 
   var t3 = 0.6 - x3*x3 - y3*y3 - z3*z3; 
   if(t3<0) n3 = 0.0; 
   else { 
     t3 *= t3; 
-    n3 = t3 * t3 * this.dot(this.grad3[gi3], x3, y3, z3); 
+    n3 = t3 * t3 * this.dot3(this.grad3[gi3], x3, y3, z3); 
   } 
   // Add contributions from each corner to get the final noise value. 
   // The result is scaled to stay just inside [-1,1] 
   return 32.0*(n0 + n1 + n2 + n3); 
 };
 
+// 4D simplex noise 
+SimplexNoise.prototype.noise4d = function(x, y, z, w) { 
+  var n0, n1, n2, n3, n4; // Noise contributions from the five corners 
+  // The skewing and unskewing factors are hairy again for the 4D case 
+  var F4 = (Math.sqrt(5.0)-1.0)/4.0; 
+  var G4 = (5.0-Math.sqrt(5.0))/20.0; 
+  // Skew the (x,y,z,w) space to determine which cell of 24 simplices we're in 
+  var s = (x + y + z + w) * F4; // Factor for 4D skewing 
+  var i = Math.floor(x + s); 
+  var j = Math.floor(y + s); 
+  var k = Math.floor(z + s); 
+  var l = Math.floor(w + s); 
+  var t = (i + j + k + l) * G4; // Factor for 4D unskewing 
+  var X0 = i - t; // Unskew the cell origin back to (x,y,z,w) space 
+  var Y0 = j - t; 
+  var Z0 = k - t; 
+  var W0 = l - t; 
+  var x0 = x - X0; // The x,y,z,w distances from the cell origin 
+  var y0 = y - Y0; 
+  var z0 = z - Z0; 
+  var w0 = w - W0; 
+  // For the 4D case, the simplex is a 4D shape I won't even try to describe. 
+  // To find out which of the 24 possible simplices we're in, we need to 
+  // determine the magnitude ordering of x0, y0, z0 and w0. 
+  // The method below is a good way of finding the ordering of x,y,z,w and 
+  // then find the correct traversal order for the simplex we're in. 
+  // First, six pair-wise comparisons are performed between each possible pair 
+  // of the four coordinates, and the results are used to add up binary bits 
+  // for an integer index. 
+  var c1 = (x0 > y0) ? 32 : 0; 
+  var c2 = (x0 > z0) ? 16 : 0; 
+  var c3 = (y0 > z0) ? 8 : 0; 
+  var c4 = (x0 > w0) ? 4 : 0; 
+  var c5 = (y0 > w0) ? 2 : 0; 
+  var c6 = (z0 > w0) ? 1 : 0; 
+  var c = c1 + c2 + c3 + c4 + c5 + c6; 
+  var i1, j1, k1, l1; // The integer offsets for the second simplex corner 
+  var i2, j2, k2, l2; // The integer offsets for the third simplex corner 
+  var i3, j3, k3, l3; // The integer offsets for the fourth simplex corner 
+  // simplex[c] is a 4-vector with the numbers 0, 1, 2 and 3 in some order. 
+  // Many values of c will never occur, since e.g. x>y>z>w makes x<z, y<w and x<w 
+  // impossible. Only the 24 indices which have non-zero entries make any sense. 
+  // We use a thresholding to set the coordinates in turn from the largest magnitude. 
+  // The number 3 in the "simplex" array is at the position of the largest coordinate. 
+  i1 = this.simplex[c][0]>=3 ? 1 : 0; 
+  j1 = this.simplex[c][1]>=3 ? 1 : 0; 
+  k1 = this.simplex[c][2]>=3 ? 1 : 0; 
+  l1 = this.simplex[c][3]>=3 ? 1 : 0; 
+  // The number 2 in the "simplex" array is at the second largest coordinate. 
+  i2 = this.simplex[c][0]>=2 ? 1 : 0; 
+  j2 = this.simplex[c][1]>=2 ? 1 : 0; 
+  k2 = this.simplex[c][2]>=2 ? 1 : 0; 
+  l2 = this.simplex[c][3]>=2 ? 1 : 0; 
+  // The number 1 in the "simplex" array is at the second smallest coordinate. 
+  i3 = this.simplex[c][0]>=1 ? 1 : 0; 
+  j3 = this.simplex[c][1]>=1 ? 1 : 0; 
+  k3 = this.simplex[c][2]>=1 ? 1 : 0; 
+  l3 = this.simplex[c][3]>=1 ? 1 : 0; 
+  // The fifth corner has all coordinate offsets = 1, so no need to look that up. 
+  var x1 = x0 - i1 + G4; // Offsets for second corner in (x,y,z,w) coords 
+  var y1 = y0 - j1 + G4; 
+  var z1 = z0 - k1 + G4; 
+  var w1 = w0 - l1 + G4; 
+  var x2 = x0 - i2 + 2.0*G4; // Offsets for third corner in (x,y,z,w) coords 
+  var y2 = y0 - j2 + 2.0*G4; 
+  var z2 = z0 - k2 + 2.0*G4; 
+  var w2 = w0 - l2 + 2.0*G4; 
+  var x3 = x0 - i3 + 3.0*G4; // Offsets for fourth corner in (x,y,z,w) coords 
+  var y3 = y0 - j3 + 3.0*G4; 
+  var z3 = z0 - k3 + 3.0*G4; 
+  var w3 = w0 - l3 + 3.0*G4; 
+  var x4 = x0 - 1.0 + 4.0*G4; // Offsets for last corner in (x,y,z,w) coords 
+  var y4 = y0 - 1.0 + 4.0*G4; 
+  var z4 = z0 - 1.0 + 4.0*G4; 
+  var w4 = w0 - 1.0 + 4.0*G4; 
+  // Work out the hashed gradient indices of the five simplex corners 
+  var ii = i & 255; 
+  var jj = j & 255; 
+  var kk = k & 255; 
+  var ll = l & 255; 
+  var gi0 = this.perm[ii+this.perm[jj+this.perm[kk+this.perm[ll]]]] % 32; 
+  var gi1 = this.perm[ii+i1+this.perm[jj+j1+this.perm[kk+k1+this.perm[ll+l1]]]] % 32; 
+  var gi2 = this.perm[ii+i2+this.perm[jj+j2+this.perm[kk+k2+this.perm[ll+l2]]]] % 32; 
+  var gi3 = this.perm[ii+i3+this.perm[jj+j3+this.perm[kk+k3+this.perm[ll+l3]]]] % 32; 
+  var gi4 = this.perm[ii+1+this.perm[jj+1+this.perm[kk+1+this.perm[ll+1]]]] % 32; 
+  // Calculate the contribution from the five corners 
+  var t0 = 0.6 - x0*x0 - y0*y0 - z0*z0 - w0*w0; 
+  if(t0<0) n0 = 0.0; 
+  else { 
+    t0 *= t0; 
+    n0 = t0 * t0 * this.dot4(this.grad4[gi0], x0, y0, z0, w0); 
+  } 
+  var t1 = 0.6 - x1*x1 - y1*y1 - z1*z1 - w1*w1; 
+  if(t1<0) n1 = 0.0; 
+  else { 
+    t1 *= t1; 
+    n1 = t1 * t1 * this.dot4(this.grad4[gi1], x1, y1, z1, w1); 
+  } 
+  var t2 = 0.6 - x2*x2 - y2*y2 - z2*z2 - w2*w2; 
+  if(t2<0) n2 = 0.0; 
+  else { 
+    t2 *= t2; 
+    n2 = t2 * t2 * this.dot4(this.grad4[gi2], x2, y2, z2, w2); 
+  } 
+  var t3 = 0.6 - x3*x3 - y3*y3 - z3*z3 - w3*w3; 
+  if(t3<0) n3 = 0.0; 
+  else { 
+    t3 *= t3; 
+    n3 = t3 * t3 * this.dot4(this.grad4[gi3], x3, y3, z3, w3); 
+  } 
+  var t4 = 0.6 - x4*x4 - y4*y4 - z4*z4 - w4*w4; 
+  if(t4<0) n4 = 0.0; 
+  else { 
+    t4 *= t4; 
+    n4 = t4 * t4 * this.dot4(this.grad4[gi4], x4, y4, z4, w4); 
+  } 
+  // Sum up and scale the result to cover the range [-1,1] 
+  return 27.0 * (n0 + n1 + n2 + n3 + n4); 
+};
+
+/**
+ * Noise at a point of 2 to 4 dimensions, picking noise, noise3d or noise4d
+ * @param  {array} point Coordinates
+ * @return {number} Value in [-1, 1]
+ */
+SimplexNoise.prototype.sample = function(point) {
+  if (point.length === 2) return this.noise(point[0], point[1]);
+  if (point.length === 3) return this.noise3d(point[0], point[1], point[2]);
+  if (point.length === 4) return this.noise4d(point[0], point[1], point[2], point[3]);
+  throw new Error('Invalid point: Must have 2 to 4 coordinates');
+};
+
+/**
+ * Fractal Brownian motion: octaves of noise, each one finer and fainter than the last
+ * @param  {array} point Coordinates, 2 to 4 of them
+ * @param  {Object} options Options
+ * @param  {number} options.octaves Layers of noise. Defaults to 4
+ * @param  {number} options.lacunarity Frequency multiplier between octaves. Defaults to 2
+ * @param  {number} options.gain Amplitude multiplier between octaves. Defaults to 0.5
+ * @return {number} Value in [-1, 1]
+ */
+SimplexNoise.prototype.fbm = function(point, options) {
+  return this._fractal(point, options || {}, function(value) { return value; });
+};
+
+/**
+ * Turbulence: like fbm, but adding up the absolute values, for billowy patterns like fire or smoke
+ * @param  {array} point Coordinates, 2 to 4 of them
+ * @param  {Object} options Same as fbm
+ * @return {number} Value in [0, 1]
+ */
+SimplexNoise.prototype.turbulence = function(point, options) {
+  return this._fractal(point, options || {}, Math.abs);
+};
+
+SimplexNoise.prototype._fractal = function(point, options, shape) {
+  var octaves = options.octaves || 4;
+  var lacunarity = options.lacunarity || 2;
+  var gain = options.gain || 0.5;
+  if (!Number.isInteger(octaves) || octaves < 1) throw new Error('Invalid octaves');
+  var total = 0;
+  var amplitude = 1;
+  var frequency = 1;
+  var maxTotal = 0; // Used to normalize the result
+  for (var o = 0; o < octaves; o++) {
+    total += shape(this.sample(point.map(function(value) { return value * frequency; }))) * amplitude;
+    maxTotal += amplitude;
+    amplitude *= gain;
+    frequency *= lacunarity;
+  }
+  return total / maxTotal;
+};
+
 module.exports.default = SimplexNoise
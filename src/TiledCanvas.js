@@ -0,0 +1,181 @@
+const Launchpad = require('./Launchpad.js').default
+
+/**
+ * TiledCanvas class
+ * Treats the grids of several Launchpads as one big grid, e.g. 16x8 for two units side by side
+ *
+ * Pixels are addressed with global coordinates, (0, 0) being the top left button of the top left unit.
+ * Only the 8x8 grids are part of the canvas, the top and side buttons of each unit are left as they are.
+ */
+class TiledCanvas {
+  /**
+   * Constructor
+   * @param  {array} launchpads Launchpads to combine
+   * @param  {Object} options Options
+   * @param  {number} options.columns Units per row, filled left to right and top to bottom. Defaults to all in one row
+   * @param  {array} options.layout Position of each unit instead, as { pad, column, row }
+   */
+  constructor (launchpads, options = {}) {
+    if (!Array.isArray(launchpads) || !launchpads.length) throw new Error('Invalid launchpads')
+
+    if (options.layout) {
+      this.tiles = options.layout.map(tile => {
+        if (!tile || !tile.pad || !(tile.column >= 0) || !(tile.row >= 0)) throw new Error('Invalid layout')
+        return { pad: tile.pad, column: tile.column, row: tile.row }
+      })
+    } else {
+      const columns = options.columns || launchpads.length
+      this.tiles = launchpads.map((pad, i) => ({ pad, column: i % columns, row: Math.floor(i / columns) }))
+    }
+
+    this.width = 8 * (Math.max(...this.tiles.map(tile => tile.column)) + 1)
+    this.height = 8 * (Math.max(...this.tiles.map(tile => tile.row)) + 1)
+    this.pixels = []
+    for (let y = 0; y < this.height; y++) this.pixels.push(new Array(this.width).fill(Launchpad.Colors.Off))
+  }
+
+  /**
+   * Set the color of a pixel. Call `render` to send it
+   * @param  {number} x Column
+   * @param  {number} y Row
+   * @param  {Object|String|array} color Color to set. CSS colors and [r, g, b] are accepted too
+   */
+  setPixel (x, y, color) {
+    this._checkPixel(x, y)
+    Launchpad.color(color) // Throws if it's not a valid color
+    this.pixels[y][x] = color
+  }
+
+  /**
+   * Get the color of a pixel
+   * @param  {number} x Column
+   * @param  {number} y Row
+   * @return {Object} Color
+   */
+  getPixel (x, y) {
+    this._checkPixel(x, y)
+    return this.pixels[y][x]
+  }
+
+  /**
+   * Draw an image. Pixels falling outside the canvas are ignored
+   * @param  {array} image Rows of colors, top to bottom. Empty cells are transparent
+   * @param  {number} left Column of the left edge. Defaults to 0
+   * @param  {number} top Row of the top edge. Defaults to 0
+   */
+  drawImage (image, left = 0, top = 0) {
+    if (!Array.isArray(image) || image.some(row => !Array.isArray(row))) throw new Error('Invalid image: Must be an array of rows')
+    // Every color is checked before drawing, so an invalid one leaves the canvas untouched
+    image.forEach(row => row.forEach(color => {
+      if (color) Launchpad.color(color) // Throws if it's not a valid color
+    }))
+    image.forEach((row, y) => {
+      row.forEach((color, x) => {
+        if (!color || !this._isInside(left + x, top + y)) return
+        this.pixels[top + y][left + x] = color
+      })
+    })
+  }
+
+  /**
+   * Set every pixel to a color
+   * @param  {Object|String|array} color Color to set. CSS colors and [r, g, b] are accepted too
+   */
+  fill (color) {
+    Launchpad.color(color) // Throws if it's not a valid color
+    this.pixels.forEach(row => row.fill(color))
+  }
+
+  /**
+   * Turn every pixel off
+   */
+  clear () {
+    this.fill(Launchpad.Colors.Off)
+  }
+
+  /**
+   * Send the canvas to every unit, with `render`
+   * @param  {Object} options Options passed to `render`
+   * @return {promise} Resolves to the result of each unit's render
+   */
+  render (options) {
+    return Promise.all(this.tiles.map(tile => {
+      const pad = tile.pad
+      // Keep the top and side buttons as they are shown
+      const frame = Object.assign({}, pad.ledBuffers[pad.displayingBuffer])
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          frame[`${x}${y}`] = this.pixels[tile.row * 8 + y][tile.column * 8 + x]
+        }
+      }
+      return pad.render(frame, options)
+    }))
+  }
+
+  /**
+   * Find the unit and button showing a pixel
+   * @param  {number} x Column
+   * @param  {number} y Row
+   * @return {Object} { pad, button }, or null if no unit covers the pixel
+   */
+  locate (x, y) {
+    this._checkPixel(x, y)
+    const tile = this.tiles.find(tile => tile.column === Math.floor(x / 8) && tile.row === Math.floor(y / 8))
+    if (!tile) return null
+    return { pad: tile.pad, button: Launchpad.Buttons[`${x % 8}${y % 8}`] }
+  }
+
+  /**
+   * Find the pixel a button shows
+   * @param  {Launchpad} pad Unit
+   * @param  {Object} button Button
+   * @return {Object} { x, y }, or null for buttons outside the grid and unknown units
+   */
+  positionOf (pad, button) {
+    const tile = this.tiles.find(tile => tile.pad === pad)
+    if (!tile || !button || typeof button.x !== 'number') return null
+    return { x: tile.column * 8 + button.x, y: tile.row * 8 + button.y }
+  }
+
+  /**
+   * Add a listener for button presses on any unit
+   * @param  {function} callback Called with { x, y, pad, button }. x and y are null for buttons outside the grid
+   * @return {function}          Function to stop listening
+   */
+  onButtonPressed (callback) {
+    return this._addListener('onButtonPressed', callback)
+  }
+
+  /**
+   * Add a listener for button releases on any unit
+   * @param  {function} callback Called with { x, y, pad, button }. x and y are null for buttons outside the grid
+   * @return {function}          Function to stop listening
+   */
+  onButtonReleased (callback) {
+    return this._addListener('onButtonReleased', callback)
+  }
+
+  _addListener (method, listener) {
+    if (!listener || typeof listener !== 'function') throw new Error('Invalid callback function')
+    const unbind = this.tiles.map(tile => tile.pad[method](button => {
+      const position = this.positionOf(tile.pad, button)
+      listener({
+        x: position ? position.x : null,
+        y: position ? position.y : null,
+        pad: tile.pad,
+        button
+      })
+    }))
+    return () => unbind.forEach(stop => stop())
+  }
+
+  _isInside (x, y) {
+    return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < this.width && y < this.height
+  }
+
+  _checkPixel (x, y) {
+    if (!this._isInside(x, y)) throw new Error(`Invalid pixel ${x}, ${y}`)
+  }
+}
+
+module.exports.default = TiledCanvas
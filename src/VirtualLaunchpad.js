@@ -0,0 +1,270 @@
+const Launchpad = require('./Launchpad.js').default
+const LoopbackTransport = require('./transports/LoopbackTransport.js').default
+const EventEmitter = require('./EventEmitter.js').default
+
+/**
+ * VirtualLaunchpad class
+ * Software model of the original Launchpad/Mini/S, for development and testing without hardware
+ *
+ * It listens to everything a Launchpad sends through a LoopbackTransport, and interprets it the way the device does:
+ * two LED buffers, buffer flashing, duty cycle and rapid update mode. It answers device inquiries as a Launchpad S.
+ * Simulated presses are sent back to the Launchpad as MIDI input.
+ *
+ * Only the X-Y mapping mode layout is modelled.
+ */
+class VirtualLaunchpad {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {Object} options.transport LoopbackTransport to listen on. Defaults to a new one, available as `transport`
+   * @param  {function} options.now Clock used to compute the flashing phase, in milliseconds. Defaults to Date.now
+   * @param  {number} options.flashInterval Time between flashing buffer flips, in milliseconds. Defaults to 280
+   */
+  constructor (options = {}) {
+    this.transport = options.transport || new LoopbackTransport()
+    this.now = options.now || Date.now
+    this.flashInterval = options.flashInterval || 280
+    this._events = new EventEmitter()
+    this._pressedButtons = new Set()
+    this._rapidUpdateCursor = 0
+    this._changes = []
+    this._reset()
+    this._changes = [] // Powering up isn't reported as a change
+    this.transport.onHostMessage(data => this._receive(data))
+  }
+
+  /* Public commands **********************************/
+
+  /**
+   * Simulate a button being pressed on the device
+   * @param {Object} button Button to press
+   */
+  press (button) {
+    this._pressedButtons.add(button)
+    this.transport.sendToHost(buttonMessage(button, 0x7F))
+  }
+
+  /**
+   * Simulate a button being released on the device
+   * @param {Object} button Button to release
+   */
+  release (button) {
+    this._pressedButtons.delete(button)
+    this.transport.sendToHost(buttonMessage(button, 0x00))
+  }
+
+  /**
+   * Simulate the device being unplugged
+   */
+  unplug () {
+    this._pressedButtons.clear()
+    this.transport.unplug()
+  }
+
+  /**
+   * Simulate the device being plugged back in. It powers up with every LED off and the default settings
+   */
+  plug () {
+    this._rapidUpdateCursor = 0
+    this._reset()
+    this._dispatchChanges()
+    this.transport.plug()
+  }
+
+  /**
+   * Check whether a simulated button is being held down
+   * @param  {Object} button Button to check
+   * @return {Boolean} Whether it is pressed
+   */
+  isButtonPressed (button) {
+    return this._pressedButtons.has(button)
+  }
+
+  /**
+   * Get the color stored for a button
+   * @param  {Object} button Button to look up
+   * @param  {number} buffer Buffer to read from. Defaults to the displaying buffer
+   * @return {Object} One of Launchpad.Colors
+   */
+  getLED (button, buffer = this.displayingBuffer) {
+    return this.ledBuffers[buffer][button.name]
+  }
+
+  /**
+   * Get the buffer that is lit right now, accounting for flashing
+   * @return {number} Buffer index
+   */
+  getVisibleBuffer () {
+    if (!this.flashing) return this.displayingBuffer
+    const phase = Math.floor(this.now() / this.flashInterval) % 2
+    return phase ? 1 - this.displayingBuffer : this.displayingBuffer
+  }
+
+  /**
+   * Get the color a button is showing right now, accounting for flashing
+   * @param  {Object} button Button to look up
+   * @return {Object} One of Launchpad.Colors
+   */
+  getVisibleLED (button) {
+    return this.getLED(button, this.getVisibleBuffer())
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'led_changed', like in `onLedChanged`, or 'error', called with the error thrown by a listener and { event }
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Add a listener for LED changes
+   * It's called for every message received, with { changes } like `Launchpad.onLedChanged`.
+   * Messages that only switch buffers or change the duty cycle are reported too, with no changes
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  onLedChanged (callback) {
+    return this._events.on('led_changed', callback)
+  }
+
+  /* Private functions **********************************/
+
+  _dispatchListener (event, data) {
+    this._events.emit(event, data)
+  }
+
+  _reset (color = Launchpad.Colors.Off) {
+    this.displayingBuffer = 0
+    this.updatingBuffer = 0
+    this.flashing = false
+    this.mappingMode = 'xy'
+    this.dutyCycle = { numerator: 1, denominator: 5 }
+    if (!this.ledBuffers) this.ledBuffers = { 0: {}, 1: {} }
+    Object.keys(Launchpad.Buttons).forEach(buttonName => {
+      this._setLED(0, buttonName, color)
+      this._setLED(1, buttonName, color)
+    })
+  }
+
+  _setLED (buffer, buttonName, color) {
+    const oldColor = this.ledBuffers[buffer][buttonName]
+    this.ledBuffers[buffer][buttonName] = color
+    if (oldColor !== color) this._changes.push({ buffer, button: Launchpad.Buttons[buttonName], oldColor: oldColor || null, newColor: color })
+  }
+
+  _dispatchChanges () {
+    const changes = this._changes
+    this._changes = []
+    this._dispatchListener('led_changed', { changes })
+  }
+
+  _receive (data) {
+    if (isDeviceInquiry(data)) {
+      this.transport.sendToHost(inquiryReply)
+      return
+    }
+    if (data.length !== 3) return false // Unknown packet
+    const [status, key, value] = data
+
+    // Any other message leaves rapid update mode
+    if (status !== 0x92) this._rapidUpdateCursor = 0
+
+    switch (status) {
+      case 0x80:
+      case 0x90: {
+        const button = noteKeyToButton[key]
+        if (!button) return false
+        this._writeLED(button, status === 0x80 ? 0 : value)
+        break
+      }
+      case 0xB0:
+        if (key === 0x00) this._controlMessage(value)
+        else if (key === 0x1E || key === 0x1F) this._setDutyCycle(key, value)
+        else if (automapKeyToButton[key]) this._writeLED(automapKeyToButton[key], value)
+        else return false
+        break
+      case 0x92:
+        this._writeLED(batchOrder[this._rapidUpdateCursor], key)
+        this._writeLED(batchOrder[this._rapidUpdateCursor + 1], value)
+        this._rapidUpdateCursor = (this._rapidUpdateCursor + 2) % batchOrder.length
+        break
+      default:
+        return false
+    }
+    this._dispatchChanges()
+  }
+
+  _controlMessage (value) {
+    if (value === 0x00) {
+      this._reset()
+    } else if (value === 0x01 || value === 0x02) {
+      this.mappingMode = value === 0x01 ? 'xy' : 'drum'
+    } else if (value >= 0x7D && value <= 0x7F) {
+      // All LEDs on also resets every other setting
+      this._reset([Launchpad.Colors.AmberLow, Launchpad.Colors.AmberMed, Launchpad.Colors.Amber][value - 0x7D])
+    } else if (value >= 0x20 && value <= 0x3F) {
+      this.displayingBuffer = value & 1
+      this.updatingBuffer = (value >> 2) & 1
+      this.flashing = !!(value & 8)
+      if (value & 16) {
+        Object.keys(Launchpad.Buttons).forEach(name => this._setLED(this.updatingBuffer, name, this.ledBuffers[this.displayingBuffer][name]))
+      }
+    }
+  }
+
+  _setDutyCycle (key, value) {
+    this.dutyCycle = {
+      numerator: (value >> 4) + (key === 0x1E ? 1 : 9),
+      denominator: (value & 0x0F) + 3
+    }
+  }
+
+  _writeLED (button, velocity) {
+    const color = velocityToColor(velocity)
+    const otherBuffer = 1 - this.updatingBuffer
+    this._setLED(this.updatingBuffer, button.name, color)
+    if (velocity & 4) this._setLED(otherBuffer, button.name, color) // Copy flag
+    else if (velocity & 8) this._setLED(otherBuffer, button.name, Launchpad.Colors.Off) // Clear flag
+  }
+}
+
+const noteKeyToButton = {}
+const automapKeyToButton = {}
+Object.keys(Launchpad.Buttons).forEach(buttonName => {
+  const button = Launchpad.Buttons[buttonName]
+  if (button._note_key !== undefined) noteKeyToButton[button._note_key] = button
+  else automapKeyToButton[button._automap_key] = button
+})
+
+// Rapid update order: 8x8 grid left-to-right, top-to-bottom, then scene launch buttons top-to-bottom, then Automap/Live buttons left-to-right
+const batchOrder = []
+for (let y = 0; y <= 7; y++) {
+  for (let x = 0; x <= 7; x++) {
+    batchOrder.push(Launchpad.Buttons[`${x}${y}`])
+  }
+}
+for (let y = 0; y <= 7; y++) batchOrder.push(noteKeyToButton[8 + y * 16])
+for (let key = 0x68; key <= 0x6F; key++) batchOrder.push(automapKeyToButton[key])
+
+// Identity reply of a Launchpad S, so Launchpad drives it with the original protocol
+const inquiryReply = [0xF0, 0x7E, 0x00, 0x06, 0x02, 0x00, 0x20, 0x29, 0x20, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF7]
+
+function isDeviceInquiry (data) {
+  return data.length === 6 && data[0] === 0xF0 && data[1] === 0x7E && data[3] === 0x06 && data[4] === 0x01 && data[5] === 0xF7
+}
+
+function velocityToColor (velocity) {
+  const r = velocity & 3
+  const g = (velocity >> 4) & 3
+  return Object.values(Launchpad.Colors).find(color => color.r === r && color.g === g)
+}
+
+function buttonMessage (button, velocity) {
+  if (button._note_key !== undefined) return [0x90, button._note_key, velocity]
+  return [0xB0, button._automap_key, velocity]
+}
+
+module.exports.default = VirtualLaunchpad
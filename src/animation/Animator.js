@@ -0,0 +1,147 @@
+const Launchpad = require('../Launchpad.js').default
+const EventEmitter = require('../EventEmitter.js').default
+
+/**
+ * Animator class
+ * Plays animations on a Launchpad at a fixed frame rate
+ *
+ * An animation is any object with a `render (frame, time)` method, drawing on a frame (colors by button name)
+ * given the milliseconds since it was added. Its optional `duration` and `loop` properties control when it ends,
+ * and its optional `onFinished` method is called once its last frame has been presented.
+ * Animations are drawn in the order they were added, over the background, and every frame is presented
+ * atomically with `workOnBackgroundBuffer`.
+ *
+ * Events: 'error', for frames the scheduler failed to draw. The scheduler stops on them
+ */
+class Animator {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to draw on
+   * @param  {Object} options Options
+   * @param  {number} options.fps Frames per second. Defaults to 30
+   * @param  {Object} options.background Colors by button name drawn under the animations. Defaults to all off
+   * @param  {function} options.now Clock, in milliseconds. Defaults to Date.now
+   */
+  constructor (pad, options = {}) {
+    this.pad = pad
+    this.fps = options.fps || 30
+    this.background = options.background || {}
+    this.now = options.now || Date.now
+    this.running = false
+    this.animations = []
+    this._timer = null
+    this._nextTick = 0
+    this._events = new EventEmitter()
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'error'
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Start playing an animation
+   * @param  {Object} animation Animation
+   * @return {function}         Function to stop it
+   */
+  add (animation) {
+    if (!animation || typeof animation.render !== 'function') throw new Error('Invalid animation')
+    const entry = { animation, start: this.now() }
+    this.animations.push(entry)
+    return () => this.remove(animation)
+  }
+
+  /**
+   * Stop playing an animation
+   * @param  {Object} animation Animation
+   */
+  remove (animation) {
+    this.animations = this.animations.filter(entry => entry.animation !== animation)
+  }
+
+  /**
+   * Start the frame scheduler
+   */
+  start () {
+    if (this.running) return
+    this.running = true
+    this._nextTick = this.now()
+    this._schedule()
+  }
+
+  /**
+   * Stop the frame scheduler. Animations are kept
+   */
+  stop () {
+    this.running = false
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  /**
+   * Draw and present a single frame
+   * @param  {number} time Time to draw at. Defaults to now
+   * @return {Object} The frame presented
+   */
+  async tick (time = this.now()) {
+    const frame = Object.assign({}, this.background)
+    const finished = []
+    this.animations.forEach(entry => {
+      const { animation } = entry
+      const duration = animation.duration === undefined ? Infinity : animation.duration
+      let localTime = time - entry.start
+      if (localTime >= duration) {
+        if (animation.loop && duration > 0) {
+          localTime %= duration
+        } else {
+          localTime = duration
+          finished.push(animation)
+        }
+      }
+      animation.render(frame, localTime)
+    })
+    finished.forEach(animation => this.remove(animation))
+
+    await this._present(frame)
+    finished.forEach(animation => {
+      if (typeof animation.onFinished === 'function') animation.onFinished()
+    })
+    return frame
+  }
+
+  _schedule () {
+    if (!this.running) return
+    const interval = 1000 / this.fps
+    this._timer = setTimeout(async () => {
+      // Frames that couldn't be drawn on time are dropped
+      this._nextTick = Math.max(this._nextTick + interval, this.now())
+      try {
+        await this.tick()
+      } catch (e) {
+        this.stop()
+        this._events.reportError(e, 'tick')
+      }
+      this._schedule()
+    }, Math.max(0, this._nextTick - this.now()))
+  }
+
+  async _present (frame) {
+    const buffer = this.pad.ledBuffers[this.pad.updatingBuffer]
+    const changed = Object.keys(Launchpad.Buttons).filter(name => {
+      const color = frame[name] || Launchpad.Colors.Off
+      return !buffer[name] || buffer[name].name !== color.name
+    })
+    if (!changed.length) return
+
+    // A single change can't tear
+    if (changed.length === 1) await this.pad.applyFrame(frame)
+    else await this.pad.workOnBackgroundBuffer(() => this.pad.applyFrame(frame))
+  }
+}
+
+module.exports.default = Animator
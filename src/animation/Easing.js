@@ -0,0 +1,18 @@
+/**
+ * Easing functions
+ * They map a progress from 0 to 1 into an eased progress, also from 0 to 1
+ * @type {Object}
+ */
+const Easing = {
+  linear: t => t,
+  step: t => t < 1 ? 0 : 1,
+  easeInQuad: t => t * t,
+  easeOutQuad: t => t * (2 - t),
+  easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => (t - 1) * (t - 1) * (t - 1) + 1,
+  easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+}
+
+module.exports.default = Easing
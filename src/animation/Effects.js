@@ -0,0 +1,191 @@
+const Launchpad = require('../Launchpad.js').default
+const Easing = require('./Easing.js').default
+const mixColors = require('./mixColors.js').default
+const SimplexNoise = require('../SimplexNoise.js').default
+
+/**
+ * Ready-made animations, to be played by an Animator
+ * Each factory returns a new animation object, with `render (frame, time)`, `duration` and `loop`
+ * @type {Object}
+ */
+const Effects = {}
+
+/**
+ * Ring expanding from a button, e.g. the one just pressed
+ * @param  {Object} button Center of the ripple
+ * @param  {Object} options Options
+ * @param  {Object} options.color Color of the ring. Defaults to Launchpad.Colors.Green
+ * @param  {number} options.speed Buttons per second. Defaults to 12
+ * @param  {number} options.width Width of the ring, in buttons. Defaults to 1.5
+ * @return {Object} Animation
+ */
+Effects.ripple = (button, options = {}) => {
+  const center = buttonPosition(button)
+  if (!center) throw new Error('Invalid button')
+  const color = options.color || Launchpad.Colors.Green
+  const speed = options.speed || 12
+  const width = options.width || 1.5
+  // Far enough to leave the surface from any corner
+  const maxRadius = 12 + width
+
+  return {
+    duration: maxRadius / speed * 1000,
+    render (frame, time) {
+      const radius = speed * time / 1000
+      Object.keys(Launchpad.Buttons).forEach(name => {
+        const position = buttonPosition(Launchpad.Buttons[name])
+        const distance = Math.sqrt(Math.pow(position.x - center.x, 2) + Math.pow(position.y - center.y, 2))
+        const intensity = 1 - Math.abs(distance - radius) / width
+        if (intensity > 0) frame[name] = mixColors(frame[name] || Launchpad.Colors.Off, color, intensity)
+      })
+    }
+  }
+}
+
+/**
+ * Image scrolling across the 8x8 grid
+ * @param  {array} image Rows of colors, top to bottom. Empty cells are transparent
+ * @param  {Object} options Options
+ * @param  {String} options.direction Direction the image moves to: 'left', 'right', 'up' or 'down'. Defaults to 'left'
+ * @param  {number} options.speed Buttons per second. Defaults to 8
+ * @param  {Boolean} options.loop If true, scroll forever. Defaults to false
+ * @return {Object} Animation
+ */
+Effects.scroll = (image, options = {}) => {
+  if (!Array.isArray(image) || !image.length) throw new Error('Invalid image: Must be a non-empty array of rows')
+  const direction = options.direction || 'left'
+  if (['left', 'right', 'up', 'down'].indexOf(direction) === -1) throw new Error('Invalid direction')
+  const speed = options.speed || 8
+  const height = image.length
+  const width = image.reduce((max, row) => Math.max(max, row.length), 0)
+  const horizontal = direction === 'left' || direction === 'right'
+  // The image enters from one side and fully leaves through the other
+  const distance = (horizontal ? width : height) + 8
+
+  return {
+    duration: distance / speed * 1000,
+    loop: !!options.loop,
+    render (frame, time) {
+      const offset = Math.floor(speed * time / 1000)
+      for (let y = 0; y <= 7; y++) {
+        for (let x = 0; x <= 7; x++) {
+          let imageX = x
+          let imageY = y
+          if (direction === 'left') imageX = x + offset - 8
+          else if (direction === 'right') imageX = width - 1 - (7 - x) - offset + 8
+          else if (direction === 'up') imageY = y + offset - 8
+          else imageY = height - 1 - (7 - y) - offset + 8
+          const color = image[imageY] && image[imageY][imageX]
+          if (color) frame[`${x}${y}`] = color
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Color sweeping over the 8x8 grid
+ * @param  {Object} color Color to fill with
+ * @param  {Object} options Options
+ * @param  {String} options.direction Direction of the sweep: 'left', 'right', 'up' or 'down'. Defaults to 'right'
+ * @param  {number} options.duration Duration in milliseconds. Defaults to 500
+ * @param  {function} options.easing Easing of the sweep. Defaults to Easing.linear
+ * @return {Object} Animation
+ */
+Effects.wipe = (color, options = {}) => {
+  if (!color || typeof color !== 'object') throw new Error('Invalid color')
+  const direction = options.direction || 'right'
+  if (['left', 'right', 'up', 'down'].indexOf(direction) === -1) throw new Error('Invalid direction')
+  const easing = options.easing || Easing.linear
+  const duration = options.duration || 500
+
+  return {
+    duration,
+    render (frame, time) {
+      const covered = easing(time / duration) * 8
+      for (let y = 0; y <= 7; y++) {
+        for (let x = 0; x <= 7; x++) {
+          const position = { right: x, left: 7 - x, down: y, up: 7 - y }[direction]
+          if (position < covered) frame[`${x}${y}`] = color
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Animated noise field over the 8x8 grid. Endless
+ * @param  {array} palette Colors from the lowest noise values to the highest. Empty entries are transparent
+ * @param  {Object} options Options
+ * @param  {SimplexNoise} options.noise Noise generator. Defaults to a new one, seeded with options.seed
+ * @param  {number|String} options.seed Seed of the default noise generator. Defaults to a random one
+ * @param  {number} options.scale Noise units per button; smaller is smoother. Defaults to 0.15
+ * @param  {number} options.speed Noise units per second the field moves through. Defaults to 0.5
+ * @param  {number} options.octaves Octaves of fBm; 1 is plain noise. Defaults to 1
+ * @param  {Boolean} options.turbulence If true, use turbulence instead of fBm. Defaults to false
+ * @return {Object} Animation
+ */
+Effects.noiseField = (palette, options = {}) => {
+  if (!Array.isArray(palette) || !palette.length) throw new Error('Invalid palette: Must be a non-empty array of colors')
+  const noise = options.noise || new SimplexNoise(options.seed)
+  const scale = options.scale || 0.15
+  const speed = options.speed || 0.5
+  const fractal = { octaves: options.octaves || 1 }
+  const turbulence = !!options.turbulence
+
+  return {
+    render (frame, time) {
+      const z = speed * time / 1000
+      for (let y = 0; y <= 7; y++) {
+        for (let x = 0; x <= 7; x++) {
+          const point = [x * scale, y * scale, z]
+          // Both mapped to [0, 1]
+          const value = turbulence ? noise.turbulence(point, fractal) : noise.fbm(point, fractal) * 0.5 + 0.5
+          const color = palette[Math.min(palette.length - 1, Math.floor(value * palette.length))]
+          if (color) frame[`${x}${y}`] = color
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Play animations one after the other
+ * Every animation must have a finite duration, except the last one
+ * @param  {...Object} animations Animations
+ * @return {Object} Animation
+ */
+Effects.sequence = (...animations) => {
+  if (!animations.length) throw new Error('Invalid sequence: Needs at least one animation')
+  animations.slice(0, -1).forEach(animation => {
+    if (!isFinite(animation.duration)) throw new Error('Invalid sequence: Only the last animation can be endless')
+  })
+
+  return {
+    duration: animations.reduce((total, animation) => total + (animation.duration === undefined ? Infinity : animation.duration), 0),
+    render (frame, time) {
+      for (let i = 0; i < animations.length; i++) {
+        const animation = animations[i]
+        const duration = animation.duration === undefined ? Infinity : animation.duration
+        if (time < duration || i === animations.length - 1) {
+          animation.render(frame, Math.min(time, duration))
+          return
+        }
+        time -= duration
+      }
+    }
+  }
+}
+
+// Grid coordinates extended to the Automap/Live row (y = -1) and the scene launch column (x = 8)
+function buttonPosition (button) {
+  if (!button || typeof button !== 'object') return null
+  if (button.x !== undefined) return { x: button.x, y: button.y }
+  const top = ['Up', 'Down', 'Left', 'Right', 'Session', 'User1', 'User2', 'Mixer'].indexOf(button.name)
+  if (top !== -1) return { x: top, y: -1 }
+  const side = ['Vol', 'Pan', 'SendA', 'SendB', 'Stop', 'TrackOn', 'Solo', 'Arm'].indexOf(button.name)
+  if (side !== -1) return { x: 8, y: side }
+  return null
+}
+
+module.exports.default = Effects
@@ -0,0 +1,85 @@
+const Easing = require('./Easing.js').default
+const mixColors = require('./mixColors.js').default
+
+/**
+ * Timeline class
+ * Keyframed color tracks, one per button, to be played by an Animator
+ *
+ * Between two keyframes, colors are crossfaded through the brightness levels the device can show.
+ * Before its first keyframe a track leaves its button untouched, and after its last one it holds the last color.
+ */
+class Timeline {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {Boolean} options.loop If true, start over once the last keyframe is reached. Defaults to false
+   */
+  constructor (options = {}) {
+    this.loop = !!options.loop
+    this.tracks = []
+  }
+
+  /**
+   * Add a color track for a button
+   * @param  {Object} button Button to animate
+   * @param  {array} keyframes List of { time, color, easing }, with time in milliseconds. Easing applies to the fade towards the next keyframe
+   * @param  {function} easing Default easing for the track. Defaults to Easing.linear
+   * @return {Timeline} The timeline, for chaining
+   */
+  track (button, keyframes, easing = Easing.linear) {
+    if (!button || typeof button !== 'object' || !button.name) throw new Error('Invalid button')
+    if (!Array.isArray(keyframes) || !keyframes.length) throw new Error('Invalid keyframes: Must be a non-empty array')
+    keyframes.forEach(keyframe => {
+      if (typeof keyframe.time !== 'number' || keyframe.time < 0) throw new Error('Invalid keyframe time')
+      if (!keyframe.color || typeof keyframe.color !== 'object') throw new Error('Invalid keyframe color')
+    })
+
+    this.tracks.push({
+      button,
+      easing,
+      keyframes: keyframes.slice().sort((a, b) => a.time - b.time)
+    })
+    return this
+  }
+
+  /**
+   * Time of the last keyframe of all tracks, in milliseconds
+   * @return {number}
+   */
+  get duration () {
+    return this.tracks.reduce((max, track) => Math.max(max, track.keyframes[track.keyframes.length - 1].time), 0)
+  }
+
+  /**
+   * Get the color of a track at a given time
+   * @param  {Object} track Track
+   * @param  {number} time Time in milliseconds
+   * @return {Object} Color, or undefined before the first keyframe
+   */
+  colorAt (track, time) {
+    const keyframes = track.keyframes
+    if (time < keyframes[0].time) return undefined
+    for (let i = keyframes.length - 1; i >= 0; i--) {
+      if (keyframes[i].time > time) continue
+      const from = keyframes[i]
+      const to = keyframes[i + 1]
+      if (!to) return from.color
+      const easing = from.easing || track.easing
+      return mixColors(from.color, to.color, easing((time - from.time) / (to.time - from.time)))
+    }
+  }
+
+  /**
+   * Draw the tracks on a frame
+   * @param  {Object} frame Colors by button name, modified in place
+   * @param  {number} time Time since the timeline started, in milliseconds
+   */
+  render (frame, time) {
+    this.tracks.forEach(track => {
+      const color = this.colorAt(track, time)
+      if (color) frame[track.button.name] = color
+    })
+  }
+}
+
+module.exports.default = Timeline
@@ -0,0 +1,39 @@
+const Launchpad = require('../Launchpad.js').default
+
+/**
+ * Blend two colors
+ * Colors of the original models are blended through their red and green brightness levels, so the result can be displayed by them.
+ * Any other color is blended in RGB. Palette colors can't be blended, so they switch at the halfway point
+ * @param  {Object} from Color at amount 0
+ * @param  {Object} to Color at amount 1
+ * @param  {number} amount Blend amount (0-1)
+ * @return {Object} Color
+ */
+function mixColors (from, to, amount) {
+  amount = Math.min(1, Math.max(0, amount))
+  if (amount === 0) return from
+  if (amount === 1) return to
+
+  if (isLevelColor(from) && isLevelColor(to)) {
+    const r = Math.round(from.r + (to.r - from.r) * amount)
+    const g = Math.round(from.g + (to.g - from.g) * amount)
+    return Object.values(Launchpad.Colors).find(color => color.r === r && color.g === g)
+  }
+
+  const a = toRGB(from)
+  const b = toRGB(to)
+  if (!a || !b) return amount < 0.5 ? from : to
+  return Launchpad.rgbColor(...a.map((value, i) => Math.round(value + (b[i] - value) * amount)))
+}
+
+function isLevelColor (color) {
+  return color.r !== undefined && color.g !== undefined
+}
+
+function toRGB (color) {
+  if (color.rgb) return color.rgb
+  if (isLevelColor(color)) return [color.r * 85, color.g * 85, 0]
+  return null
+}
+
+module.exports.default = mixColors
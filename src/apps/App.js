@@ -0,0 +1,40 @@
+/**
+ * App class
+ * Base class for the apps an AppHost runs. Every lifecycle method is optional
+ *
+ * Lifecycle, for the app being shown:
+ *  init (host): it's being switched to, or restarted. Set up the state here
+ *  tick (time): advance the state, `fps` times per second
+ *  input (event): a button was pressed or released, with { type, button }
+ *  render (frame, time): draw the state on the frame, colors by button name. Buttons left unset are turned off
+ *  teardown (): it's being switched away from. Clear timers and listeners here
+ *
+ * Times are in milliseconds, from the host clock.
+ */
+class App {
+  /**
+   * Constructor
+   * @param  {String} name Name, for the host and debugging
+   * @param  {Object} options Options
+   * @param  {number} options.fps Ticks and frames per second. Defaults to the host one
+   */
+  constructor (name, options = {}) {
+    this.name = name
+    this.fps = options.fps
+    this.host = null
+  }
+
+  init (host) {
+    this.host = host
+  }
+
+  tick (time) {}
+
+  input (event) {}
+
+  render (frame, time) {}
+
+  teardown () {}
+}
+
+module.exports.default = App
@@ -0,0 +1,219 @@
+const Launchpad = require('../Launchpad.js').default
+const EventEmitter = require('../EventEmitter.js').default
+
+const switcherButtons = {
+  previous: 'User1',
+  next: 'User2',
+  restart: 'Session'
+}
+
+/**
+ * AppHost class
+ * Runs one app at a time on a Launchpad, and switches between them
+ *
+ * User1 and User2 switch to the previous and next app, and Session restarts the current one.
+ * Those buttons are kept for the switcher: apps don't get their events and can't draw on them.
+ * Frames are presented with `render`, so only the changes are sent. See App for the lifecycle.
+ *
+ * Events: 'switch', with { app, index }, and 'error', for errors thrown by the apps
+ */
+class AppHost {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to run the apps on
+   * @param  {array} apps Apps, see App
+   * @param  {Object} options Options
+   * @param  {number} options.fps Ticks and frames per second of apps without their own. Defaults to 10
+   * @param  {function} options.now Clock, in milliseconds. Defaults to Date.now
+   * @param  {function} options.random Random number generator for the apps, in [0, 1). Defaults to Math.random
+   */
+  constructor (pad, apps, options = {}) {
+    if (!Array.isArray(apps) || !apps.length) throw new Error('Invalid apps: Needs at least one')
+    apps.forEach(app => {
+      if (!app || typeof app !== 'object') throw new Error('Invalid app')
+    })
+    this.pad = pad
+    this.apps = apps
+    this.fps = options.fps || 10
+    this.now = options.now || Date.now
+    this.random = options.random || Math.random
+    this.running = false
+    this.index = -1
+    this._timer = null
+    this._nextTick = 0
+    this._unbind = []
+    this._renderPromise = null
+    this._lastRender = Promise.resolve()
+    this._drawTime = 0
+    this._events = new EventEmitter()
+  }
+
+  /**
+   * App being run
+   * @return {Object}
+   */
+  get app () {
+    return this.apps[this.index]
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'switch' or 'error'
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Start running apps
+   * @param  {number} index App to start with. Defaults to the first one
+   */
+  start (index = 0) {
+    if (this.running) return
+    this.running = true
+    this._unbind = [
+      this.pad.onButtonPressed(button => this._input('pressed', button)),
+      this.pad.onButtonReleased(button => this._input('released', button))
+    ]
+    this.switchTo(index)
+  }
+
+  /**
+   * Tear down the current app and stop
+   */
+  stop () {
+    if (!this.running) return
+    this.running = false
+    clearTimeout(this._timer)
+    this._timer = null
+    this._unbind.forEach(unbind => unbind())
+    this._unbind = []
+    if (this.app) this._call('teardown')
+    this.index = -1
+  }
+
+  /**
+   * Switch to an app. Switching to the current one restarts it
+   * @param  {number} index App index
+   */
+  switchTo (index) {
+    if (!Number.isInteger(index) || !this.apps[index]) throw new Error('Invalid app index')
+    if (this.app) this._call('teardown')
+    this.index = index
+    this._call('init', this)
+    clearTimeout(this._timer)
+    // The first frame is drawn right away, and the first tick comes after a frame
+    this._nextTick = this.now() + 1000 / (this.app.fps || this.fps)
+    this._schedule()
+    this.draw().catch(e => this._events.reportError(e, 'render'))
+    this._events.emit('switch', { app: this.app, index })
+  }
+
+  /**
+   * Switch to the next app, going back to the first one after the last
+   */
+  next () {
+    this.switchTo((this.index + 1) % this.apps.length)
+  }
+
+  /**
+   * Switch to the previous app, going to the last one before the first
+   */
+  previous () {
+    this.switchTo((this.index - 1 + this.apps.length) % this.apps.length)
+  }
+
+  /**
+   * Restart the current app
+   */
+  restart () {
+    this.switchTo(this.index)
+  }
+
+  /**
+   * Tick the current app, then draw its frame
+   * @param  {number} time Time to run at. Defaults to now
+   * @return {promise} Resolves to the frame presented
+   */
+  step (time = this.now()) {
+    this._call('tick', time)
+    return this.draw(time)
+  }
+
+  /**
+   * Draw the frame of the current app, without ticking it. Draws requested in the same tick are drawn together
+   * @param  {number} time Time to draw at. Defaults to now
+   * @return {promise} Resolves to the frame presented
+   */
+  draw (time = this.now()) {
+    this._drawTime = time
+    if (!this._renderPromise) {
+      this._renderPromise = this._lastRender.then(async () => {
+        this._renderPromise = null
+        // Stopped meanwhile
+        if (!this.app) return null
+        const frame = this._frame(this._drawTime)
+        await this.pad.render(frame)
+        return frame
+      })
+      this._lastRender = this._renderPromise.catch(() => {})
+    }
+    return this._renderPromise
+  }
+
+  _frame (time) {
+    const frame = {}
+    if (typeof this.app.render === 'function') this.app.render(frame, time)
+    // The switcher buttons are drawn by the host
+    Object.keys(switcherButtons).forEach(action => { delete frame[switcherButtons[action]] })
+    if (this.apps.length > 1) {
+      frame[switcherButtons.previous] = Launchpad.Colors.GreenLow
+      frame[switcherButtons.next] = Launchpad.Colors.GreenLow
+    }
+    frame[switcherButtons.restart] = Launchpad.Colors.AmberLow
+    return frame
+  }
+
+  _input (type, button) {
+    if (button.name === switcherButtons.previous || button.name === switcherButtons.next || button.name === switcherButtons.restart) {
+      if (type !== 'pressed') return
+      if (button.name === switcherButtons.previous) this.previous()
+      else if (button.name === switcherButtons.next) this.next()
+      else this.restart()
+      return
+    }
+    this._call('input', { type, button })
+  }
+
+  _call (method, ...args) {
+    const app = this.app
+    if (typeof app[method] !== 'function') return
+    try {
+      app[method](...args)
+    } catch (e) {
+      // A broken app doesn't take the host down
+      this._events.reportError(e, method)
+    }
+  }
+
+  _schedule () {
+    if (!this.running) return
+    const interval = 1000 / (this.app.fps || this.fps)
+    const timer = setTimeout(async () => {
+      // Frames that couldn't be drawn on time are dropped
+      this._nextTick = Math.max(this._nextTick + interval, this.now())
+      try {
+        await this.step()
+      } catch (e) {
+        this._events.reportError(e, 'render')
+      }
+      // Unless it was stopped, or another app was switched to meanwhile
+      if (this._timer === timer) this._schedule()
+    }, Math.max(0, this._nextTick - this.now()))
+    this._timer = timer
+  }
+}
+
+module.exports.default = AppHost
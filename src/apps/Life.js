@@ -0,0 +1,101 @@
+const Launchpad = require('../Launchpad.js').default
+const App = require('./App.js').default
+
+/**
+ * Life app
+ * Conway's Game of Life on the grid, with the edges wrapping around
+ *  grid buttons: toggle cells, also while running
+ *  Vol: pause/resume
+ *  Pan: fill with random cells
+ *  SendA: clear
+ * Cells born in the last generation are drawn brighter.
+ */
+class Life extends App {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {number} options.fps Generations per second. Defaults to 4
+   * @param  {number} options.density Fraction of cells alive when filling with random cells (0-1). Defaults to 0.35
+   */
+  constructor (options = {}) {
+    super('Life', { fps: options.fps || 4 })
+    this.density = options.density || 0.35
+  }
+
+  init (host) {
+    super.init(host)
+    this.paused = false
+    this.generation = 0
+    this.randomize()
+  }
+
+  /**
+   * Whether a cell is alive
+   * @param  {number} x Column (0-7)
+   * @param  {number} y Row (0-7)
+   * @return {Boolean}
+   */
+  isAlive (x, y) {
+    return this.cells[((y + 8) % 8) * 8 + (x + 8) % 8]
+  }
+
+  /**
+   * Fill the grid with random cells
+   */
+  randomize () {
+    this.cells = Array.from({ length: 64 }, () => this.host.random() < this.density)
+    this._born = this.cells.slice()
+  }
+
+  /**
+   * Kill every cell
+   */
+  clear () {
+    this.cells = new Array(64).fill(false)
+    this._born = this.cells.slice()
+  }
+
+  tick () {
+    if (this.paused) return
+    const next = this.cells.map((alive, i) => {
+      const x = i % 8
+      const y = Math.floor(i / 8)
+      let neighbours = 0
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx || dy) && this.isAlive(x + dx, y + dy)) neighbours++
+        }
+      }
+      return neighbours === 3 || (alive && neighbours === 2)
+    })
+    this._born = next.map((alive, i) => alive && !this.cells[i])
+    this.cells = next
+    this.generation++
+  }
+
+  input ({ type, button }) {
+    if (type !== 'pressed') return
+    if (typeof button.x === 'number') {
+      const i = button.y * 8 + button.x
+      this.cells[i] = !this.cells[i]
+      this._born[i] = this.cells[i]
+    } else if (button.name === 'Vol') {
+      this.paused = !this.paused
+    } else if (button.name === 'Pan') {
+      this.randomize()
+    } else if (button.name === 'SendA') {
+      this.clear()
+    }
+  }
+
+  render (frame) {
+    this.cells.forEach((alive, i) => {
+      if (alive) frame[`${i % 8}${Math.floor(i / 8)}`] = this._born[i] ? Launchpad.Colors.Green : Launchpad.Colors.GreenMed
+    })
+    frame.Vol = this.paused ? Launchpad.Colors.Amber : Launchpad.Colors.GreenLow
+    frame.Pan = Launchpad.Colors.AmberLow
+    frame.SendA = Launchpad.Colors.RedLow
+  }
+}
+
+module.exports.default = Life
@@ -0,0 +1,76 @@
+const Launchpad = require('../Launchpad.js').default
+const App = require('./App.js').default
+
+/**
+ * ReactionTimer app
+ * After a random wait a grid button lights up: press it as fast as possible
+ * The time is shown as a bar, one button per 10ms, green under 300ms, amber under 500ms and red above.
+ * Pressing anything during the wait is too early, and lights the grid red. Any grid button starts again
+ *
+ * States: 'waiting', 'target', 'result' and 'early'
+ */
+class ReactionTimer extends App {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {number} options.minWait Shortest wait, in milliseconds. Defaults to 1000
+   * @param  {number} options.maxWait Longest wait, in milliseconds. Defaults to 4000
+   */
+  constructor (options = {}) {
+    super('ReactionTimer', { fps: 30 })
+    this.minWait = options.minWait || 1000
+    this.maxWait = options.maxWait || 4000
+    this.best = null
+  }
+
+  init (host) {
+    super.init(host)
+    this.result = null
+    this._wait(host.now())
+  }
+
+  tick (time) {
+    if (this.state === 'waiting' && time >= this._targetTime) {
+      this.state = 'target'
+      this._targetTime = time
+    }
+  }
+
+  input ({ type, button }) {
+    if (type !== 'pressed') return
+    const now = this.host.now()
+    if (this.state === 'waiting') {
+      this.state = 'early'
+    } else if (this.state === 'target') {
+      if (button.name !== this.target) return
+      this.result = now - this._targetTime
+      this.best = this.best === null ? this.result : Math.min(this.best, this.result)
+      this.state = 'result'
+    } else if (typeof button.x === 'number') {
+      this._wait(now)
+    }
+  }
+
+  render (frame) {
+    if (this.state === 'target') {
+      frame[this.target] = Launchpad.Colors.Amber
+    } else if (this.state === 'early') {
+      for (let i = 0; i < 64; i++) frame[`${i % 8}${Math.floor(i / 8)}`] = Launchpad.Colors.RedLow
+    } else if (this.state === 'result') {
+      let color = Launchpad.Colors.Red
+      if (this.result < 300) color = Launchpad.Colors.Green
+      else if (this.result < 500) color = Launchpad.Colors.Amber
+      const length = Math.min(64, Math.max(1, Math.round(this.result / 10)))
+      for (let i = 0; i < length; i++) frame[`${i % 8}${Math.floor(i / 8)}`] = color
+    }
+  }
+
+  _wait (time) {
+    this.state = 'waiting'
+    this._targetTime = time + this.minWait + this.host.random() * (this.maxWait - this.minWait)
+    const i = Math.floor(this.host.random() * 64)
+    this.target = `${i % 8}${Math.floor(i / 8)}`
+  }
+}
+
+module.exports.default = ReactionTimer
@@ -0,0 +1,109 @@
+const Launchpad = require('../Launchpad.js').default
+const App = require('./App.js').default
+
+const quadrants = [
+  { bright: Launchpad.Colors.Green, dim: Launchpad.Colors.GreenLow },
+  { bright: Launchpad.Colors.Red, dim: Launchpad.Colors.RedLow },
+  { bright: Launchpad.Colors.Amber, dim: Launchpad.Colors.AmberLow },
+  { bright: Launchpad.Colors.Yellow, dim: Launchpad.Colors.YellowMed }
+]
+
+/**
+ * Simon app
+ * Watch the quadrants light up, then press them back in the same order. Every round adds one more
+ * The rounds won are shown on the side buttons. A mistake flashes red and starts over
+ *
+ * States: 'showing', 'input', 'success' and 'fail'
+ */
+class Simon extends App {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {number} options.stepTime Time every quadrant of the sequence is shown, in milliseconds. Defaults to 600
+   */
+  constructor (options = {}) {
+    super('Simon', { fps: 20 })
+    this.stepTime = options.stepTime || 600
+    this.best = 0
+  }
+
+  init (host) {
+    super.init(host)
+    this.sequence = []
+    this._held = null
+    this._nextRound(host.now())
+  }
+
+  /**
+   * Quadrant of a grid button: 0 and 1 on top, 2 and 3 below
+   * @param  {Object} button Grid button
+   * @return {number}
+   */
+  static quadrant (button) {
+    return (button.y < 4 ? 0 : 2) + (button.x < 4 ? 0 : 1)
+  }
+
+  tick (time) {
+    if (this.state === 'showing') {
+      const elapsed = time - this._since
+      const index = Math.floor(elapsed / this.stepTime)
+      // A gap between steps, so repeated quadrants can be told apart
+      this._lit = index < this.sequence.length && elapsed % this.stepTime < this.stepTime * 0.7 ? this.sequence[index] : null
+      if (index >= this.sequence.length) this._setState('input', time)
+    } else if (this.state === 'success' && time - this._since >= this.stepTime) {
+      this._nextRound(time)
+    } else if (this.state === 'fail' && time - this._since >= this.stepTime * 3) {
+      this.sequence = []
+      this._nextRound(time)
+    }
+  }
+
+  input ({ type, button }) {
+    if (typeof button.x !== 'number') return
+    const quadrant = Simon.quadrant(button)
+    if (type === 'released') {
+      if (this._held === quadrant) this._held = null
+      return
+    }
+    if (this.state !== 'input') return
+    this._held = quadrant
+    if (quadrant !== this.sequence[this.position]) {
+      this._setState('fail', this.host.now())
+      return
+    }
+    this.position++
+    if (this.position === this.sequence.length) {
+      this.best = Math.max(this.best, this.sequence.length)
+      this._setState('success', this.host.now())
+    }
+  }
+
+  render (frame) {
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        const quadrant = Simon.quadrant({ x, y })
+        let color = quadrants[quadrant].dim
+        if (this.state === 'fail') color = Launchpad.Colors.Red
+        else if (this.state === 'showing') color = this._lit === quadrant ? quadrants[quadrant].bright : Launchpad.Colors.Off
+        else if (this._held === quadrant) color = quadrants[quadrant].bright
+        frame[`${x}${y}`] = color
+      }
+    }
+    const sideButtons = ['Vol', 'Pan', 'SendA', 'SendB', 'Stop', 'TrackOn', 'Solo', 'Arm']
+    sideButtons.slice(0, this.sequence.length - 1).forEach(name => { frame[name] = Launchpad.Colors.GreenLow })
+  }
+
+  _nextRound (time) {
+    this.sequence.push(Math.floor(this.host.random() * 4))
+    this.position = 0
+    this._lit = null
+    this._setState('showing', time)
+  }
+
+  _setState (state, time) {
+    this.state = state
+    this._since = time
+  }
+}
+
+module.exports.default = Simon
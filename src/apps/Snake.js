@@ -0,0 +1,101 @@
+const Launchpad = require('../Launchpad.js').default
+const App = require('./App.js').default
+
+const directions = {
+  Up: { x: 0, y: -1 },
+  Down: { x: 0, y: 1 },
+  Left: { x: -1, y: 0 },
+  Right: { x: 1, y: 0 }
+}
+
+/**
+ * Snake app
+ * Steer with the arrows, or by pressing a grid button beside the head. The walls wrap around
+ * Eating grows the snake by one and shows the length on the side buttons. After crashing, any grid button plays again
+ */
+class Snake extends App {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {number} options.fps Moves per second. Defaults to 4
+   */
+  constructor (options = {}) {
+    super('Snake', { fps: options.fps || 4 })
+  }
+
+  init (host) {
+    super.init(host)
+    this.body = [{ x: 2, y: 3 }, { x: 1, y: 3 }, { x: 0, y: 3 }]
+    this.direction = directions.Right
+    this._nextDirection = this.direction
+    this.over = false
+    this._placeFood()
+  }
+
+  tick () {
+    if (this.over) return
+    this.direction = this._nextDirection
+    const head = {
+      x: (this.body[0].x + this.direction.x + 8) % 8,
+      y: (this.body[0].y + this.direction.y + 8) % 8
+    }
+    const eating = head.x === this.food.x && head.y === this.food.y
+    // The tail moves out of the way unless the snake grows
+    const body = eating ? this.body : this.body.slice(0, -1)
+    if (body.some(part => part.x === head.x && part.y === head.y)) {
+      this.over = true
+      return
+    }
+    this.body = [head, ...body]
+    if (eating) this._placeFood()
+  }
+
+  input ({ type, button }) {
+    if (type !== 'pressed') return
+    if (this.over) {
+      if (typeof button.x === 'number') this.init(this.host)
+      return
+    }
+    let direction = directions[button.name]
+    if (typeof button.x === 'number') {
+      const head = this.body[0]
+      if (button.x !== head.x && button.y !== head.y) return
+      if (button.x === head.x && button.y === head.y) return
+      if (button.x === head.x) direction = button.y < head.y ? directions.Up : directions.Down
+      else direction = button.x < head.x ? directions.Left : directions.Right
+    }
+    if (!direction) return
+    // Turning back into itself isn't allowed
+    if (direction.x === -this.direction.x && direction.y === -this.direction.y) return
+    this._nextDirection = direction
+  }
+
+  render (frame) {
+    const bodyColor = this.over ? Launchpad.Colors.RedMed : Launchpad.Colors.GreenMed
+    const headColor = this.over ? Launchpad.Colors.Red : Launchpad.Colors.Green
+    this.body.forEach((part, i) => {
+      frame[`${part.x}${part.y}`] = i === 0 ? headColor : bodyColor
+    })
+    if (this.food) frame[`${this.food.x}${this.food.y}`] = Launchpad.Colors.Amber
+    Object.keys(directions).forEach(name => {
+      frame[name] = directions[name] === this._nextDirection ? Launchpad.Colors.GreenLow : Launchpad.Colors.Off
+    })
+    // Length on the side buttons, one per 8 cells
+    const sideButtons = ['Vol', 'Pan', 'SendA', 'SendB', 'Stop', 'TrackOn', 'Solo', 'Arm']
+    sideButtons.slice(0, Math.floor(this.body.length / 8)).forEach(name => { frame[name] = Launchpad.Colors.AmberLow })
+  }
+
+  _placeFood () {
+    const free = []
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        if (!this.body.some(part => part.x === x && part.y === y)) free.push({ x, y })
+      }
+    }
+    // A full grid is a win: nothing left to eat
+    this.food = free.length ? free[Math.floor(this.host.random() * free.length)] : null
+    if (!this.food) this.over = true
+  }
+}
+
+module.exports.default = Snake
@@ -0,0 +1,350 @@
+const Launchpad = require('../Launchpad.js').default
+const EventEmitter = require('../EventEmitter.js').default
+const { encodeArgs, buttonFromName, decodeChanges, wrapSocket } = require('./protocol.js')
+
+/**
+ * BridgeClient class
+ * Drives a Launchpad shared by a BridgeServer, through a WebSocket, with the Launchpad drawing, buffer and listener methods
+ *
+ * Commands resolve once the server has run them, and reject like on the Launchpad. The LED buffers, buffer settings
+ * and pressed buttons are mirrored from the server events, so they can be read right away like on a local Launchpad.
+ * Everything built on top of these methods, like LayerStack or GestureRecognizer, works with it.
+ * Text scrolling isn't forwarded: the server runs one call at a time, and a scrolling text would hold up the others.
+ *
+ * Messages from the server that can't be understood are emitted as 'error' events.
+ */
+class BridgeClient {
+  /**
+   * Constructor
+   * @param  {Object} socket WebSocket to the server: a browser WebSocket, one from `ws`, or a LoopbackSocket
+   * @param  {Object} options Options
+   * @param  {number} options.timeout Time to wait for the server state or a reply, in milliseconds. Defaults to 5000
+   */
+  constructor (socket, options = {}) {
+    this.socket = socket
+    this.timeout = options.timeout || 5000
+    this.model = 'classic'
+    this.driver = null
+    this.ledBuffers = undefined
+    this.displayingBuffer = 0
+    this.updatingBuffer = 0
+    this.flashingBuffers = 0
+    this.dutyCycle = { numerator: 1, denominator: 5 }
+    this._rgbModel = false
+    this._connection = null
+    this._connected = false
+    this._nextId = 1
+    this._pending = new Map()
+    this._events = new EventEmitter()
+    this._pressedButtons = new Set()
+  }
+
+  /* Public commands **********************************/
+
+  /**
+   * Connect to the server and wait for the Launchpad state
+   * @return {promise} Resolves to the client
+   */
+  accessDevice () {
+    if (this._connection) return this._ready
+    const connection = this._connection = wrapSocket(this.socket)
+    this._ready = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Bridge server did not send the Launchpad state')), this.timeout)
+      this._resolveReady = () => {
+        clearTimeout(timer)
+        resolve(this)
+      }
+      this._rejectReady = error => {
+        clearTimeout(timer)
+        reject(error)
+      }
+      // Browser WebSockets may still be connecting
+      if (this.socket.readyState === 0 && typeof this.socket.addEventListener === 'function') {
+        this.socket.addEventListener('error', () => {
+          clearTimeout(timer)
+          reject(new Error('Bridge connection failed'))
+        })
+      }
+    })
+    connection.onMessage(message => this._message(message))
+    connection.onClose(() => this._closed())
+    return this._ready
+  }
+
+  /**
+   * Close the connection. The shared Launchpad is left as it is
+   */
+  close () {
+    if (this._connection) this._connection.close()
+  }
+
+  /**
+   * Whether the connection to the server is open
+   * @return {Boolean}
+   */
+  isConnected () {
+    return this._connected
+  }
+
+  /**
+   * Like `Launchpad.reset`
+   */
+  reset () {
+    return this._call('reset', [])
+  }
+
+  /**
+   * Like `Launchpad.allLEDsOn`
+   * @param  {string} brightness Brightness level ('low'/'medium'/'high'). Defaults to medium
+   */
+  allLEDsOn (brightness) {
+    return this._call('allLEDsOn', [brightness])
+  }
+
+  /**
+   * Like `Launchpad.setSingleLED`
+   * @param {Object} button Button to set
+   * @param {Object|String|array} color Color to set, or a CSS color or [r, g, b]
+   * @param {Boolean} changeInBothBuffers If true, change value on the other buffer as well. Defaults to false
+   * @param {Boolean} turnOffInOtherBuffer If true, clear the other buffer's copy of this LED. Defaults to false
+   */
+  async setSingleLED (button, color, changeInBothBuffers, turnOffInOtherBuffer) {
+    if (!button || typeof button !== 'object') throw new Error('Invalid button')
+    return this._call('setSingleLED', [button, this.resolveColor(color), changeInBothBuffers, turnOffInOtherBuffer])
+  }
+
+  /**
+   * Like `Launchpad.setMultipleLED`
+   * @param  {array} colors Array of up to 80 colors, in `forBatch` order
+   */
+  async setMultipleLED (colors) {
+    if (!colors || typeof colors !== 'object') throw new Error('Invalid argument type. Must be array of colors')
+    return this._call('setMultipleLED', [Array.from(colors, color => color && this.resolveColor(color))])
+  }
+
+  /**
+   * Like `Launchpad.render`
+   * @param  {Object|array} frame Colors by button name, or array of 80 colors in `forBatch` order
+   * @param  {Object} options Options, like in `Launchpad.render`
+   * @return {promise} Resolves to { strategy, changed }
+   */
+  async render (frame, options) {
+    return this._call('render', [this._resolveFrame(frame, color => this.resolveColor(color)), options])
+  }
+
+  /**
+   * Like `Launchpad.applyFrame`
+   * @param  {Object|array} frame Colors by button name, or array of 80 colors in `forBatch` order
+   * @return {promise} Resolves to { strategy, changed }
+   */
+  async applyFrame (frame) {
+    return this._call('applyFrame', [this._resolveFrame(frame, color => this.resolveColor(color))])
+  }
+
+  /**
+   * Like `Launchpad.renderDithered`
+   * @param  {Object|array} frame Colors by button name, or array of 80 colors in `forBatch` order
+   * @return {promise} Resolves to { dithered }
+   */
+  async renderDithered (frame) {
+    // The exact shades are sent, for the server to pick the levels
+    return this._call('renderDithered', [this._resolveFrame(frame, color => Launchpad.color(color, { rgbModel: true }))])
+  }
+
+  /**
+   * Like `Launchpad.restore`
+   * @param  {Object|String} snapshot Snapshot, or its JSON
+   */
+  async restore (snapshot) {
+    return this._call('restore', [snapshot])
+  }
+
+  /**
+   * Like `Launchpad.switchDisplayingBuffer`
+   */
+  switchDisplayingBuffer () {
+    return this._call('switchDisplayingBuffer', [])
+  }
+
+  /**
+   * Like `Launchpad.switchUpdatingBuffer`
+   * @param {Boolean} copy If true, copy the LED states from the new buffer to the old buffer
+   */
+  switchUpdatingBuffer (copy) {
+    return this._call('switchUpdatingBuffer', [copy])
+  }
+
+  /**
+   * Like `Launchpad.switchFlash`
+   */
+  switchFlash () {
+    return this._call('switchFlash', [])
+  }
+
+  /**
+   * Like `Launchpad.setDutyCycle`
+   * @param  {number} numerator Numerator (1-16)
+   * @param  {number} denominator Denominator (3-18)
+   */
+  setDutyCycle (numerator, denominator) {
+    return this._call('setDutyCycle', [numerator, denominator])
+  }
+
+  /**
+   * Like `Launchpad.setBrightness`
+   * @param  {number} brightness Brightness level (1-5). Defaults to 1
+   */
+  setBrightness (brightness = 1) {
+    return this._call('setBrightness', [brightness])
+  }
+
+  /**
+   * Fake a button being pressed. Every client of the server gets the event
+   * @param {Object} button Button
+   */
+  dispatchButtonPressed (button) {
+    return this._call('dispatchButtonPressed', [button])
+  }
+
+  /**
+   * Fake a button being released. Every client of the server gets the event
+   * @param {Object} button Button
+   */
+  dispatchButtonReleased (button) {
+    return this._call('dispatchButtonReleased', [button])
+  }
+
+  /**
+   * Resolve a color input to a color of the shared Launchpad model
+   * @param  {Object|String|array|number} input Color, CSS color, [r, g, b] (0-255) or palette index
+   * @return {Object} Color
+   */
+  resolveColor (input) {
+    return Launchpad.color(input, { rgbModel: this._rgbModel, dutyCycle: this.dutyCycle })
+  }
+
+  /* Private functions **********************************/
+
+  _resolveFrame (frame, resolveColor) {
+    if (!frame || typeof frame !== 'object') throw new Error('Invalid frame')
+    if (Array.isArray(frame)) return frame.map(color => color && resolveColor(color))
+    const resolved = {}
+    Object.keys(frame).forEach(name => { resolved[name] = frame[name] && resolveColor(frame[name]) })
+    return resolved
+  }
+
+  _call (method, args) {
+    if (!this._connected) return Promise.reject(new Error('Bridge is not connected'))
+    const id = this._nextId++
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(id)
+        reject(new Error(`Bridge server did not answer ${method}`))
+      }, this.timeout)
+      this._pending.set(id, { resolve, reject, timer })
+      this._connection.send({ type: 'call', id, method, args: encodeArgs(method, args) })
+    })
+  }
+
+  _message (message) {
+    try {
+      this._handleMessage(message)
+    } catch (e) {
+      // Not a server of this version
+      if (this._connected) this._events.reportError(e, 'message')
+      else this._rejectReady(e)
+    }
+  }
+
+  _handleMessage (message) {
+    if (message.type === 'error') {
+      throw new Error(message.error)
+    } else if (message.type === 'state') {
+      const state = message.state
+      this._rgbModel = !!state.rgbModel
+      const ledBuffers = { 0: {}, 1: {} }
+      for (const buffer of [0, 1]) {
+        Object.keys(state.buffers[buffer]).forEach(name => {
+          ledBuffers[buffer][name] = Launchpad.colorFromName(state.buffers[buffer][name])
+        })
+      }
+      const pressedButtons = new Set(state.pressed.map(buttonFromName))
+      this.ledBuffers = ledBuffers
+      this._applyBufferState(state)
+      this._pressedButtons = pressedButtons
+      this._connected = true
+      this._resolveReady()
+    } else if (message.type === 'reply') {
+      const pending = this._pending.get(message.id)
+      if (!pending) return
+      // A reply without a valid state throws before settling, leaving the call to time out
+      if (!message.error) this._applyBufferState(message.state)
+      this._pending.delete(message.id)
+      clearTimeout(pending.timer)
+      if (message.error) pending.reject(new Error(message.error))
+      else pending.resolve(message.result === null ? undefined : message.result)
+    } else if (message.type === 'event') {
+      this._event(message)
+    }
+  }
+
+  _event (message) {
+    switch (message.event) {
+      case 'pressed':
+      case 'released': {
+        const button = buttonFromName(message.button)
+        if (message.event === 'pressed') this._pressedButtons.add(button)
+        else this._pressedButtons.delete(button)
+        this._events.emit(message.event, button, { type: message.event, button, timestamp: Date.now(), source: 'bridge' })
+        break
+      }
+      case 'led_changed': {
+        const changes = decodeChanges(message.changes)
+        changes.forEach(change => { this.ledBuffers[change.buffer][change.button.name] = change.newColor })
+        this._events.emit('led_changed', { changes })
+        break
+      }
+      case 'buffers':
+        this._applyBufferState(message.state)
+        this._events.emit('buffers', message.state)
+        break
+      case 'disconnected':
+        this._pressedButtons.clear()
+        this._events.emit('disconnected')
+        break
+      case 'connected':
+        this._events.emit('connected')
+        break
+    }
+  }
+
+  _applyBufferState (state) {
+    if (!state || typeof state !== 'object' || !state.dutyCycle) throw new Error('Invalid buffer state from the bridge server')
+    this.displayingBuffer = state.displayingBuffer
+    this.updatingBuffer = state.updatingBuffer
+    this.flashingBuffers = state.flashing ? 1 : 0
+    this.dutyCycle = state.dutyCycle
+  }
+
+  _closed () {
+    this._connected = false
+    this._pressedButtons.clear()
+    this._pending.forEach(pending => {
+      clearTimeout(pending.timer)
+      pending.reject(new Error('Bridge connection closed'))
+    })
+    this._pending.clear()
+    this._events.emit('disconnected')
+  }
+}
+
+// The listener and lookup methods only rely on _events, _pressedButtons, the LED buffers and the buffer settings,
+// and the helpers on the commands above, so they are shared with Launchpad to behave exactly the same
+;[
+  'on', 'once', 'off', 'onButtonPressed', 'onButtonReleased', 'onLedChanged', 'onConnected', 'onDisconnected',
+  'isButtonPressed', 'getOrderedButtons', 'snapshot', 'workOnBackgroundBuffer', 'drawImage'
+].forEach(method => {
+  BridgeClient.prototype[method] = Launchpad.prototype[method]
+})
+
+module.exports.default = BridgeClient
@@ -0,0 +1,181 @@
+const { methods, decodeArgs, encodeChanges, wrapSocket } = require('./protocol.js')
+const { encodeOscMessage, decodeOscPacket } = require('./osc.js')
+
+/**
+ * BridgeServer class
+ * Shares a Launchpad over the network, so other machines can drive it and listen to it
+ *
+ * WebSocket clients, usually `BridgeClient`s, call the Launchpad methods listed in `methods` and get its
+ * pressed, released, led_changed, buffers, connected and disconnected events, plus the LED state when they connect.
+ * Bring your own WebSocket server, like `ws`, and hand it every connection:
+ *
+ *     wss.on('connection', socket => bridge.accept(socket))
+ *
+ * OSC peers call the same methods with messages like `/launchpad/setSingleLED ,ss 00 red`. They get the events as
+ * `/launchpad/pressed ,s 00`, `/launchpad/released ,s 00` and `/launchpad/led ,iss 0 00 Red` (buffer, button, color),
+ * and errors as `/launchpad/error ,s message`.
+ */
+class BridgeServer {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to share. It must be connected before clients connect or calls arrive
+   * @param  {Object} options Options
+   * @param  {String} options.oscPrefix Address prefix of the OSC messages. Defaults to '/launchpad'
+   */
+  constructor (pad, options = {}) {
+    this.pad = pad
+    this.oscPrefix = options.oscPrefix || '/launchpad'
+    this.clients = new Set()
+    this.oscEndpoints = new Set()
+    this._calls = Promise.resolve()
+    this._unbind = [
+      pad.on('pressed', button => this._broadcast('pressed', { button: button.name }, [button.name])),
+      pad.on('released', button => this._broadcast('released', { button: button.name }, [button.name])),
+      pad.on('led_changed', event => this._broadcast('led_changed', { changes: encodeChanges(event.changes) })),
+      // Buffer switches don't change any LED, so clients are told about them separately
+      pad.on('buffers', state => this.clients.forEach(client => this._send(client, { type: 'event', event: 'buffers', state }))),
+      pad.on('connected', () => this._broadcast('connected', {})),
+      pad.on('disconnected', () => this._broadcast('disconnected', {}))
+    ]
+  }
+
+  /**
+   * Serve a WebSocket connection
+   * If the Launchpad isn't connected yet, the client is sent the error and the connection is closed
+   * @param  {Object} socket Open WebSocket: from `ws`, a browser WebSocket or a LoopbackSocket
+   * @return {function} Function to stop serving it
+   */
+  accept (socket) {
+    const connection = wrapSocket(socket)
+    const client = { connection, unbind: [] }
+    let state
+    try {
+      state = this.pad.snapshot()
+    } catch (e) {
+      this._send(client, { type: 'error', error: e.message })
+      connection.close()
+      return () => {}
+    }
+
+    const stop = () => {
+      client.unbind.forEach(unbind => unbind())
+      this.clients.delete(client)
+    }
+    client.unbind.push(connection.onMessage(message => {
+      if (message.type !== 'call') return
+      this._call(message.method, message.args).then(result => {
+        this._send(client, { type: 'reply', id: message.id, result: result === undefined ? null : result, state: this._bufferState() })
+      }, error => {
+        this._send(client, { type: 'reply', id: message.id, error: error.message })
+      })
+    }))
+    client.unbind.push(connection.onClose(stop))
+    this.clients.add(client)
+
+    state.rgbModel = !!this.pad.driver
+    state.pressed = this.pad.getOrderedButtons().filter(button => this.pad.isButtonPressed(button)).map(button => button.name)
+    this._send(client, { type: 'state', state })
+    return stop
+  }
+
+  /**
+   * Serve OSC over a UDP socket
+   * Whoever sends a message gets the events from then on, besides the given remotes
+   * @param  {Object} socket Bound UDP socket, from `dgram.createSocket`
+   * @param  {Object} options Options
+   * @param  {array} options.remotes { address, port } of peers to send the events to
+   * @return {function} Function to stop serving it
+   */
+  acceptOsc (socket, options = {}) {
+    const endpoint = { socket, remotes: new Map() }
+    ;(options.remotes || []).forEach(remote => endpoint.remotes.set(`${remote.address}:${remote.port}`, remote))
+    const listener = (packet, remote) => {
+      endpoint.remotes.set(`${remote.address}:${remote.port}`, { address: remote.address, port: remote.port })
+      let messages
+      try {
+        messages = decodeOscPacket(packet)
+      } catch (e) {
+        this._sendOsc(endpoint, remote, 'error', [e.message])
+        return
+      }
+      messages.forEach(message => {
+        if (message.address.indexOf(this.oscPrefix + '/') !== 0) return
+        const method = message.address.slice(this.oscPrefix.length + 1)
+        this._call(method, oscArgs(method, message.args)).catch(e => this._sendOsc(endpoint, remote, 'error', [e.message]))
+      })
+    }
+    socket.on('message', listener)
+    this.oscEndpoints.add(endpoint)
+    return () => {
+      socket.removeListener('message', listener)
+      this.oscEndpoints.delete(endpoint)
+    }
+  }
+
+  /**
+   * Stop listening to the Launchpad and close every WebSocket client. OSC sockets are left open
+   */
+  close () {
+    this._unbind.forEach(unbind => unbind())
+    this._unbind = []
+    this.clients.forEach(client => client.connection.close())
+    this.clients.clear()
+    this.oscEndpoints.clear()
+  }
+
+  _call (method, args) {
+    // One call at a time, in arrival order, like a single local caller awaiting each command
+    const call = this._calls.then(() => {
+      const decoded = decodeArgs(method, args || [])
+      return this.pad[method](...decoded)
+    })
+    this._calls = call.catch(() => {})
+    return call
+  }
+
+  _bufferState () {
+    return {
+      displayingBuffer: this.pad.displayingBuffer,
+      updatingBuffer: this.pad.updatingBuffer,
+      flashing: !!this.pad.flashingBuffers,
+      dutyCycle: Object.assign({}, this.pad.dutyCycle)
+    }
+  }
+
+  _broadcast (event, data, oscEventArgs) {
+    this.clients.forEach(client => this._send(client, Object.assign({ type: 'event', event }, data)))
+    this.oscEndpoints.forEach(endpoint => {
+      endpoint.remotes.forEach(remote => {
+        if (event === 'led_changed') {
+          data.changes.forEach(change => this._sendOsc(endpoint, remote, 'led', [change.buffer, change.button, change.newColor]))
+        } else {
+          this._sendOsc(endpoint, remote, event, oscEventArgs || [])
+        }
+      })
+    })
+  }
+
+  _send (client, message) {
+    try {
+      client.connection.send(message)
+    } catch (e) {
+      // Closing: its close event removes it
+    }
+  }
+
+  _sendOsc (endpoint, remote, name, args) {
+    const packet = encodeOscMessage(`${this.oscPrefix}/${name}`, args)
+    endpoint.socket.send(packet, remote.port, remote.address)
+  }
+}
+
+function oscArgs (method, args) {
+  // OSC has no arrays: the colors of setMultipleLED and render come as one argument each
+  if (!Object.prototype.hasOwnProperty.call(methods, method)) return args
+  const types = methods[method]
+  const listIndex = types.findIndex(type => type === 'colors' || type === 'frame')
+  if (listIndex === -1) return args
+  return args.slice(0, listIndex).concat([args.slice(listIndex)])
+}
+
+module.exports.default = BridgeServer
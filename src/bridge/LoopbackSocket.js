@@ -0,0 +1,82 @@
+/**
+ * LoopbackSocket class
+ * In-memory stand-in for a WebSocket, to run a bridge server and its clients in the same process, like in tests
+ * Create connected ends with `LoopbackSocket.pair()`. Messages are delivered asynchronously, as over a network
+ */
+class LoopbackSocket {
+  constructor () {
+    this.readyState = LoopbackSocket.OPEN
+    this.peer = null
+    this.listeners = {
+      message: [],
+      close: []
+    }
+  }
+
+  /**
+   * Create two sockets connected to each other
+   * @return {array} [serverSide, clientSide]
+   */
+  static pair () {
+    const a = new LoopbackSocket()
+    const b = new LoopbackSocket()
+    a.peer = b
+    b.peer = a
+    return [a, b]
+  }
+
+  /**
+   * Send a message to the other end
+   * @param  {String} data Message
+   */
+  send (data) {
+    if (this.readyState !== LoopbackSocket.OPEN) throw new Error('Socket is closed')
+    const peer = this.peer
+    setTimeout(() => {
+      if (peer.readyState === LoopbackSocket.OPEN) peer._dispatchListener('message', { data })
+    })
+  }
+
+  /**
+   * Close both ends
+   */
+  close () {
+    if (this.readyState !== LoopbackSocket.OPEN) return
+    this.readyState = LoopbackSocket.CLOSED
+    this._dispatchListener('close', {})
+    // Like after a closing handshake, the other end still gets what was sent before
+    const peer = this.peer
+    setTimeout(() => peer.close())
+  }
+
+  /**
+   * Add a listener, like on a WebSocket
+   * @param  {String} event 'message' or 'close'
+   * @param  {function} callback Listener to call with the event
+   */
+  addEventListener (event, callback) {
+    if (!this.listeners[event]) throw new Error(`Invalid event ${event}`)
+    if (!callback || typeof callback !== 'function') throw new Error('Invalid callback function')
+    this.listeners[event].push(callback)
+  }
+
+  /**
+   * Remove a listener
+   * @param  {String} event 'message' or 'close'
+   * @param  {function} callback Listener to remove
+   */
+  removeEventListener (event, callback) {
+    if (!this.listeners[event]) return
+    const index = this.listeners[event].indexOf(callback)
+    if (index !== -1) this.listeners[event].splice(index, 1)
+  }
+
+  _dispatchListener (event, data) {
+    this.listeners[event].slice().forEach(callback => callback(data))
+  }
+}
+
+LoopbackSocket.OPEN = 1
+LoopbackSocket.CLOSED = 3
+
+module.exports.default = LoopbackSocket
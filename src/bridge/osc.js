@@ -0,0 +1,100 @@
+/**
+ * Encode an OSC message
+ * Integers are sent as int32, other numbers as float32, booleans as T/F and anything else as strings
+ * @param  {String} address OSC address, like '/launchpad/reset'
+ * @param  {array} args Arguments
+ * @return {Uint8Array} Packet
+ */
+function encodeOscMessage (address, args = []) {
+  if (typeof address !== 'string' || address[0] !== '/') throw new Error('Invalid OSC address')
+  let tags = ','
+  const parts = [oscString(address)]
+  args.forEach(arg => {
+    if (arg === true || arg === false) {
+      tags += arg ? 'T' : 'F'
+    } else if (typeof arg === 'number') {
+      const bytes = new Uint8Array(4)
+      const view = new DataView(bytes.buffer)
+      if (Number.isInteger(arg)) {
+        tags += 'i'
+        view.setInt32(0, arg)
+      } else {
+        tags += 'f'
+        view.setFloat32(0, arg)
+      }
+      parts.push(bytes)
+    } else {
+      tags += 's'
+      parts.push(oscString(String(arg)))
+    }
+  })
+  parts.splice(1, 0, oscString(tags))
+
+  const packet = new Uint8Array(parts.reduce((length, part) => length + part.length, 0))
+  let offset = 0
+  parts.forEach(part => {
+    packet.set(part, offset)
+    offset += part.length
+  })
+  return packet
+}
+
+/**
+ * Decode an OSC packet. Bundles are flattened, their time tags are ignored
+ * @param  {Uint8Array} packet Packet, like a Buffer received from a UDP socket
+ * @return {array} Messages, as { address, args }
+ */
+function decodeOscPacket (packet) {
+  const bytes = packet instanceof Uint8Array ? packet : Uint8Array.from(packet)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const reader = { offset: 0 }
+
+  const address = readString(bytes, reader)
+  if (address === '#bundle') {
+    reader.offset += 8 // Time tag
+    const messages = []
+    while (reader.offset < bytes.length) {
+      const size = view.getInt32(reader.offset)
+      reader.offset += 4
+      if (size <= 0 || reader.offset + size > bytes.length) throw new Error('Invalid OSC packet')
+      messages.push(...decodeOscPacket(bytes.subarray(reader.offset, reader.offset + size)))
+      reader.offset += size
+    }
+    return messages
+  }
+  if (address[0] !== '/') throw new Error('Invalid OSC packet')
+
+  const args = []
+  const tags = reader.offset < bytes.length ? readString(bytes, reader) : ','
+  for (const tag of tags.slice(1)) {
+    switch (tag) {
+      case 'i': args.push(view.getInt32(reader.offset)); reader.offset += 4; break
+      case 'f': args.push(view.getFloat32(reader.offset)); reader.offset += 4; break
+      case 's': args.push(readString(bytes, reader)); break
+      case 'T': args.push(true); break
+      case 'F': args.push(false); break
+      case 'N': args.push(null); break
+      default: throw new Error(`Invalid OSC packet: Unsupported type ${tag}`)
+    }
+  }
+  return [{ address, args }]
+}
+
+function oscString (string) {
+  // Null terminated, padded to a multiple of 4 bytes
+  const encoded = new TextEncoder().encode(string)
+  const bytes = new Uint8Array(Math.ceil((encoded.length + 1) / 4) * 4)
+  bytes.set(encoded)
+  return bytes
+}
+
+function readString (bytes, reader) {
+  const end = bytes.indexOf(0, reader.offset)
+  if (end === -1) throw new Error('Invalid OSC packet')
+  const string = new TextDecoder().decode(bytes.subarray(reader.offset, end))
+  reader.offset = Math.ceil((end + 1) / 4) * 4
+  return string
+}
+
+module.exports.encodeOscMessage = encodeOscMessage
+module.exports.decodeOscPacket = decodeOscPacket
@@ -0,0 +1,172 @@
+const Launchpad = require('../Launchpad.js').default
+
+/**
+ * Launchpad methods the bridge forwards, with how each argument goes over the wire:
+ * buttons and colors by name, frames and color arrays as names too, and anything else as is
+ */
+const methods = {
+  setSingleLED: ['button', 'color', 'value', 'value'],
+  setMultipleLED: ['colors'],
+  render: ['frame', 'value'],
+  applyFrame: ['frame'],
+  renderDithered: ['frame'],
+  restore: ['value'],
+  switchDisplayingBuffer: [],
+  switchUpdatingBuffer: ['value'],
+  switchFlash: [],
+  reset: [],
+  allLEDsOn: ['value'],
+  setDutyCycle: ['value', 'value'],
+  setBrightness: ['value'],
+  dispatchButtonPressed: ['button'],
+  dispatchButtonReleased: ['button']
+}
+
+/**
+ * Turn the arguments of a bridged method into JSON-friendly values
+ * @param  {String} method Method name
+ * @param  {array} args Arguments, with colors already resolved
+ * @return {array} Arguments to send
+ */
+function encodeArgs (method, args) {
+  return types(method).map((type, i) => {
+    const value = args[i]
+    if (value === undefined || value === null) return null
+    switch (type) {
+      case 'button': return value.name
+      case 'color': return value.name
+      case 'colors': return Array.from(value, color => color ? color.name : null)
+      case 'frame': return mapFrame(value, color => color.name)
+      default: return value
+    }
+  })
+}
+
+/**
+ * Turn received arguments back into the buttons and colors the Launchpad methods take
+ * Colors can also be CSS colors or [r, g, b], like on the Launchpad itself
+ * @param  {String} method Method name
+ * @param  {array} args Received arguments
+ * @return {array} Arguments for the Launchpad method
+ */
+function decodeArgs (method, args) {
+  if (!Array.isArray(args)) throw new Error('Invalid arguments')
+  return types(method).map((type, i) => {
+    const value = args[i]
+    if (value === undefined || value === null) return undefined
+    switch (type) {
+      case 'button': return buttonFromName(value)
+      case 'color': return decodeColor(value)
+      case 'colors':
+        if (!Array.isArray(value)) throw new Error('Invalid colors array')
+        return value.map(color => color === null ? null : decodeColor(color))
+      case 'frame': return mapFrame(value, decodeColor)
+      default: return value
+    }
+  })
+}
+
+/**
+ * Button from its name
+ * @param  {String} name Button name
+ * @return {Object} Button
+ */
+function buttonFromName (name) {
+  if (typeof name !== 'string' || !Launchpad.Buttons[name]) throw new Error(`Invalid button ${name}`)
+  return Launchpad.Buttons[name]
+}
+
+/**
+ * Changes of a led_changed event, by name
+ * @param  {array} changes { buffer, button, oldColor, newColor }
+ * @return {array} Same changes with button and color names
+ */
+function encodeChanges (changes) {
+  return changes.map(change => ({
+    buffer: change.buffer,
+    button: change.button.name,
+    oldColor: change.oldColor ? change.oldColor.name : null,
+    newColor: change.newColor.name
+  }))
+}
+
+/**
+ * Changes of a led_changed event, back from names
+ * @param  {array} changes Changes with button and color names
+ * @return {array} { buffer, button, oldColor, newColor }
+ */
+function decodeChanges (changes) {
+  return changes.map(change => ({
+    buffer: change.buffer,
+    button: buttonFromName(change.button),
+    oldColor: change.oldColor === null ? null : Launchpad.colorFromName(change.oldColor),
+    newColor: Launchpad.colorFromName(change.newColor)
+  }))
+}
+
+/**
+ * Common interface over the WebSocket flavours: browser WebSockets and LoopbackSockets with addEventListener,
+ * and Node servers like `ws` with on/removeListener. Messages are JSON
+ * @param  {Object} socket Open socket
+ * @return {Object} { send, onMessage, onClose, close }, where onMessage and onClose return a function to stop listening
+ */
+function wrapSocket (socket) {
+  const listen = (event, callback) => {
+    if (typeof socket.on === 'function') {
+      socket.on(event, callback)
+      return () => socket.removeListener(event, callback)
+    }
+    socket.addEventListener(event, callback)
+    return () => socket.removeEventListener(event, callback)
+  }
+
+  return {
+    send: message => socket.send(JSON.stringify(message)),
+    onMessage: callback => listen('message', data => {
+      // ws gives the data, browsers a MessageEvent
+      const text = data && data.data !== undefined ? data.data : data
+      let message
+      try {
+        message = JSON.parse(String(text))
+      } catch (e) {
+        return // Not ours
+      }
+      if (message && typeof message === 'object') callback(message)
+    }),
+    onClose: callback => listen('close', () => callback()),
+    close: () => socket.close()
+  }
+}
+
+function types (method) {
+  if (!Object.prototype.hasOwnProperty.call(methods, method)) throw new Error(`Invalid method ${method}`)
+  return methods[method]
+}
+
+function decodeColor (value) {
+  if (typeof value === 'string') {
+    try {
+      return Launchpad.colorFromName(value)
+    } catch (e) {
+      return value // A CSS color, resolved by the Launchpad
+    }
+  }
+  return value
+}
+
+function mapFrame (frame, mapColor) {
+  if (!frame || typeof frame !== 'object') throw new Error('Invalid frame')
+  const map = color => color === null || color === undefined ? null : mapColor(color)
+  if (Array.isArray(frame)) return frame.map(map)
+  const mapped = {}
+  Object.keys(frame).forEach(name => { mapped[name] = map(frame[name]) })
+  return mapped
+}
+
+module.exports.methods = methods
+module.exports.encodeArgs = encodeArgs
+module.exports.decodeArgs = decodeArgs
+module.exports.buttonFromName = buttonFromName
+module.exports.encodeChanges = encodeChanges
+module.exports.decodeChanges = decodeChanges
+module.exports.wrapSocket = wrapSocket
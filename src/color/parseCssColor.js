@@ -0,0 +1,74 @@
+const namedColors = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  lime: [0, 255, 0],
+  yellow: [255, 255, 0],
+  orange: [255, 165, 0],
+  orangered: [255, 69, 0],
+  gold: [255, 215, 0],
+  amber: [255, 191, 0],
+  greenyellow: [173, 255, 47],
+  chartreuse: [127, 255, 0],
+  darkred: [139, 0, 0],
+  darkgreen: [0, 100, 0],
+  maroon: [128, 0, 0],
+  olive: [128, 128, 0],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  blue: [0, 0, 255],
+  transparent: [0, 0, 0]
+}
+
+/**
+ * Parse a CSS color, or an RGB tuple
+ * Supports hex ('#f80', '#ff8800'), rgb()/rgba(), hsl()/hsla() and common color names. Alpha is ignored
+ * @param  {String|array} input CSS color, or [r, g, b] with values 0-255
+ * @return {array} [r, g, b], 0-255
+ */
+function parseCssColor (input) {
+  if (Array.isArray(input)) {
+    if (input.length < 3 || input.slice(0, 3).some(value => typeof value !== 'number' || !(value >= 0 && value <= 255))) throw new Error('Invalid color')
+    return input.slice(0, 3).map(Math.round)
+  }
+  if (typeof input !== 'string') throw new Error('Invalid color')
+  const css = input.trim().toLowerCase()
+
+  if (namedColors[css]) return namedColors[css].slice()
+
+  const hex = css.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit) : hex[1].match(/../g)
+    return digits.slice(0, 3).map(pair => parseInt(pair, 16))
+  }
+
+  const fn = css.match(/^(rgb|hsl)a?\(([^)]*)\)$/)
+  if (fn) {
+    const args = fn[2].split(/[\s,/]+/).filter(arg => arg.length)
+    if (args.length < 3) throw new Error(`Invalid color ${input}`)
+    if (fn[1] === 'rgb') {
+      return args.slice(0, 3).map(arg => {
+        const value = arg.endsWith('%') ? parseFloat(arg) * 2.55 : parseFloat(arg)
+        if (isNaN(value)) throw new Error(`Invalid color ${input}`)
+        return Math.min(255, Math.max(0, Math.round(value)))
+      })
+    }
+    const [h, s, l] = [parseFloat(args[0]), parseFloat(args[1]) / 100, parseFloat(args[2]) / 100]
+    if ([h, s, l].some(isNaN)) throw new Error(`Invalid color ${input}`)
+    return hslToRgb(((h % 360) + 360) % 360, Math.min(1, Math.max(0, s)), Math.min(1, Math.max(0, l)))
+  }
+
+  throw new Error(`Invalid color ${input}`)
+}
+
+function hslToRgb (h, s, l) {
+  const chroma = (1 - Math.abs(2 * l - 1)) * s
+  const x = chroma * (1 - Math.abs((h / 60) % 2 - 1))
+  const m = l - chroma / 2
+  const sector = Math.floor(h / 60)
+  const [r, g, b] = [[chroma, x, 0], [x, chroma, 0], [0, chroma, x], [0, x, chroma], [x, 0, chroma], [chroma, 0, x]][sector]
+  return [r, g, b].map(value => Math.round((value + m) * 255))
+}
+
+module.exports.default = parseCssColor
@@ -0,0 +1,199 @@
+/**
+ * ProgrammerModeDriver class
+ * Protocol of the RGB Launchpads (Mini MK3, X, Pro MK3) in programmer mode
+ *
+ * These models have no hardware double buffering: the Launchpad class keeps both buffers in software,
+ * and uses the driver to push the visible state of each LED with the SysEx LED lighting command.
+ * See the programmer's reference manual of each model for the details.
+ */
+class ProgrammerModeDriver {
+  /**
+   * Constructor
+   * @param  {String} model Model key from ProgrammerModeDriver.Models
+   */
+  constructor (model) {
+    if (!ProgrammerModeDriver.Models[model]) throw new Error(`Unknown model ${model}`)
+    this.model = model
+    this.name = ProgrammerModeDriver.Models[model].name
+    this._header = [0xF0, 0x00, 0x20, 0x29, 0x02, ProgrammerModeDriver.Models[model].deviceId]
+  }
+
+  /**
+   * Messages to take over the surface: switch to programmer mode and turn every LED off
+   * @param  {array} buttons Buttons to turn off
+   * @return {array} List of MIDI packets
+   */
+  resetMessages (buttons) {
+    return [
+      this._sysex([0x0E, 0x01]),
+      this.ledMessage(buttons.map(button => ({ button, color: 0 })))
+    ]
+  }
+
+  /**
+   * Build a single SysEx LED lighting message
+   * @param  {array} entries List of { button, color, flashColor }. Colors must be valid for `colorSpec`
+   * @return {array} MIDI packet
+   */
+  ledMessage (entries) {
+    const specs = []
+    entries.forEach(({ button, color, flashColor }) => {
+      const index = this.buttonIndex(button)
+      const spec = this.colorSpec(color)
+      const flashSpec = flashColor !== undefined ? this.colorSpec(flashColor) : null
+      if (flashSpec && flashSpec.palette !== undefined && spec.palette !== undefined) {
+        // Flashing alternates between two palette entries
+        specs.push(0x01, index, flashSpec.palette, spec.palette)
+      } else if (spec.palette !== undefined) {
+        specs.push(0x00, index, spec.palette)
+      } else {
+        specs.push(0x03, index, spec.rgb[0], spec.rgb[1], spec.rgb[2])
+      }
+    })
+    return this._sysex([0x03].concat(specs))
+  }
+
+  /**
+   * Build a text scrolling message. Sending it without text stops the current scroll
+   * @param  {String} text ASCII text
+   * @param  {Object} options Options
+   * @param  {Object} options.color Color of the text
+   * @param  {number} options.speed Scrolling speed (1-127)
+   * @param  {Boolean} options.loop If true, scroll until stopped
+   * @return {array} MIDI packet
+   */
+  textScrollMessage (text, options = {}) {
+    if (!text) return this._sysex([0x07])
+    const spec = this.colorSpec(options.color)
+    const colorSpec = spec.palette !== undefined ? [0x00, spec.palette] : [0x01].concat(spec.rgb)
+    const speed = Math.min(127, Math.max(1, Math.round(options.speed || 7)))
+    return this._sysex([0x07, options.loop ? 1 : 0, speed].concat(colorSpec, asciiBytes(text)))
+  }
+
+  /**
+   * Resolve a color to either a palette index or 7-bit RGB components
+   * Accepts Launchpad.Colors, RGB colors, palette colors and raw palette indexes
+   * @param  {Object|number} color Color to resolve
+   * @return {Object} { palette } or { rgb }
+   */
+  colorSpec (color) {
+    if (typeof color === 'number' && color >= 0 && color <= 127) return { palette: color }
+    if (!color || typeof color !== 'object') throw new Error('Invalid color')
+    if (color.palette !== undefined) return { palette: color.palette }
+    if (color.rgb) return { rgb: color.rgb.map(value => Math.round(value * 127 / 255)) }
+    if (color.r !== undefined && color.g !== undefined) {
+      // Two-bit red/green levels of the original models
+      if (!color.r && !color.g) return { palette: 0 }
+      return { rgb: [Math.round(color.r * 127 / 3), Math.round(color.g * 127 / 3), 0] }
+    }
+    throw new Error('Invalid color')
+  }
+
+  /**
+   * Programmer mode index of a button: grid is 11-88 from the bottom left, top row 91-98, right column 19-89
+   * @param  {Object} button Button from Launchpad.Buttons
+   * @return {number} Index
+   */
+  buttonIndex (button) {
+    if (button.x !== undefined) return (8 - button.y) * 10 + button.x + 1
+    const top = topRow.indexOf(button.name)
+    if (top !== -1) return 91 + top
+    const side = sideColumn.indexOf(button.name)
+    if (side !== -1) return 89 - side * 10
+    throw new Error('Invalid button')
+  }
+
+  /**
+   * Parse a button message coming from the device
+   * @param  {array} data MIDI packet
+   * @param  {Object} buttons Launchpad.Buttons
+   * @return {Object} { type, button } or null if it's not a known button message
+   */
+  parseButtonMessage (data, buttons) {
+    if (data.length !== 3 || (data[0] !== 0x90 && data[0] !== 0xB0)) return null
+    const index = data[1]
+    const row = Math.floor(index / 10)
+    const column = index % 10
+    let name
+    if (data[0] === 0x90 && row >= 1 && row <= 8 && column >= 1 && column <= 8) name = `${column - 1}${8 - row}`
+    else if (data[0] === 0xB0 && row === 9 && column >= 1 && column <= 8) name = topRow[column - 1]
+    else if (data[0] === 0xB0 && column === 9 && row >= 1 && row <= 8) name = sideColumn[8 - row]
+    if (!name) return null
+    return { type: data[2] > 0 ? 'pressed' : 'released', button: buttons[name] }
+  }
+
+  /**
+   * Find the model answering a device inquiry
+   * @param  {array} data Device inquiry reply
+   * @return {ProgrammerModeDriver} Driver, or null if it's not one of the supported RGB models
+   */
+  static fromInquiry (data) {
+    const model = findFamily(ProgrammerModeDriver.Models, data)
+    return model ? new ProgrammerModeDriver(model) : null
+  }
+
+  /**
+   * Tell whether a device inquiry reply comes from a Novation device that isn't one of the supported models
+   * @param  {array} data Device inquiry reply
+   * @return {Object} { name, family }, name being null for models not in UnsupportedModels. Null for supported models and other manufacturers
+   */
+  static unsupportedModel (data) {
+    if (!isNovationReply(data) || ProgrammerModeDriver.fromInquiry(data) || findFamily(ProgrammerModeDriver.ClassicModels, data)) return null
+    const model = findFamily(ProgrammerModeDriver.UnsupportedModels, data)
+    return { name: model ? ProgrammerModeDriver.UnsupportedModels[model].name : null, family: [data[8], data[9]] }
+  }
+
+  _sysex (body) {
+    return this._header.concat(body, [0xF7])
+  }
+}
+
+/**
+ * Supported models, with their device inquiry family code and SysEx device ID
+ * @type {Object}
+ */
+ProgrammerModeDriver.Models = {
+  'x': { name: 'Launchpad X', family: [0x03, 0x01], deviceId: 0x0C },
+  'mini-mk3': { name: 'Launchpad Mini MK3', family: [0x13, 0x01], deviceId: 0x0D },
+  'pro-mk3': { name: 'Launchpad Pro MK3', family: [0x23, 0x01], deviceId: 0x0E }
+}
+
+/**
+ * Models driven with the original Launchpad protocol that reply to the device inquiry, with their family code
+ * @type {Object}
+ */
+ProgrammerModeDriver.ClassicModels = {
+  's-mini': { name: 'Launchpad S or Mini', family: [0x20, 0x00] }
+}
+
+/**
+ * Novation models that reply to the device inquiry but no driver supports, with their family code
+ * Their protocols differ from both the original models and programmer mode, so they can't be driven as either
+ * @type {Object}
+ */
+ProgrammerModeDriver.UnsupportedModels = {
+  'mk2': { name: 'Launchpad MK2', family: [0x69, 0x00] },
+  'pro': { name: 'Launchpad Pro', family: [0x51, 0x00] }
+}
+
+function isNovationReply (data) {
+  if (data[1] !== 0x7E || data[3] !== 0x06 || data[4] !== 0x02) return false
+  return data[5] === 0x00 && data[6] === 0x20 && data[7] === 0x29
+}
+
+function findFamily (models, data) {
+  if (!isNovationReply(data)) return undefined
+  return Object.keys(models).find(key => models[key].family[0] === data[8] && models[key].family[1] === data[9])
+}
+
+function asciiBytes (text) {
+  return Array.from(String(text)).map(character => {
+    const code = character.charCodeAt(0)
+    return code >= 0x20 && code < 0x7F ? code : 0x3F // '?'
+  })
+}
+
+const topRow = ['Up', 'Down', 'Left', 'Right', 'Session', 'User1', 'User2', 'Mixer']
+const sideColumn = ['Vol', 'Pan', 'SendA', 'SendB', 'Stop', 'TrackOn', 'Solo', 'Arm']
+
+module.exports.default = ProgrammerModeDriver
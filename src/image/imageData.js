@@ -0,0 +1,71 @@
+/**
+ * Get the pixels of an image source
+ * @param  {Object} source ImageData, or anything with { width, height, data } in RGBA like a PNG decoded by pngjs,
+ * a canvas, or an element a canvas can draw like a video, an image or an ImageBitmap
+ * @param  {Object} size { width, height } to draw elements at. Canvases and pixel data keep their size
+ * @param  {Object} canvas Canvas to draw elements on. Defaults to a new one from `document`
+ * @return {Object} { width, height, data }
+ */
+function toImageData (source, size, canvas) {
+  if (!source || typeof source !== 'object') throw new Error('Invalid image source')
+  if (source.data && source.width > 0 && source.height > 0) {
+    if (source.data.length < source.width * source.height * 4) throw new Error('Invalid image data: Expected RGBA pixels')
+    return source
+  }
+  if (typeof source.getContext === 'function' && source.width > 0 && source.height > 0) {
+    return source.getContext('2d').getImageData(0, 0, source.width, source.height)
+  }
+
+  const width = source.videoWidth || source.naturalWidth || source.width
+  const height = source.videoHeight || source.naturalHeight || source.height
+  if (!(width > 0 && height > 0)) throw new Error('Invalid image source: It has no size yet')
+  if (!canvas) {
+    if (typeof document === 'undefined') throw new Error('Invalid image source: A canvas is needed to read it')
+    canvas = document.createElement('canvas')
+  }
+  canvas.width = size.width
+  canvas.height = size.height
+  const context = canvas.getContext('2d')
+  context.drawImage(source, 0, 0, size.width, size.height)
+  return context.getImageData(0, 0, size.width, size.height)
+}
+
+/**
+ * Downscale pixels by averaging the area each cell covers
+ * Transparent pixels count as black
+ * @param  {Object} imageData { width, height, data } in RGBA
+ * @param  {number} columns Columns of the result
+ * @param  {number} rows Rows of the result
+ * @return {array} Rows of [r, g, b]
+ */
+function downscaleImage (imageData, columns, rows) {
+  const { width, height, data } = imageData
+  const result = []
+  for (let row = 0; row < rows; row++) {
+    const top = row * height / rows
+    const bottom = (row + 1) * height / rows
+    const cells = []
+    for (let column = 0; column < columns; column++) {
+      const left = column * width / columns
+      const right = (column + 1) * width / columns
+      const sum = [0, 0, 0]
+      let area = 0
+      for (let y = Math.floor(top); y < Math.ceil(bottom); y++) {
+        const coverageY = Math.min(bottom, y + 1) - Math.max(top, y)
+        for (let x = Math.floor(left); x < Math.ceil(right); x++) {
+          const coverage = coverageY * (Math.min(right, x + 1) - Math.max(left, x))
+          const offset = (y * width + x) * 4
+          const alpha = data[offset + 3] / 255
+          for (let i = 0; i < 3; i++) sum[i] += data[offset + i] * alpha * coverage
+          area += coverage
+        }
+      }
+      cells.push(sum.map(value => Math.round(value / area)))
+    }
+    result.push(cells)
+  }
+  return result
+}
+
+module.exports.toImageData = toImageData
+module.exports.downscaleImage = downscaleImage
@@ -0,0 +1,124 @@
+const Launchpad = require('../Launchpad.js').default
+
+/**
+ * MacroPlayer class
+ * Replays a macro recorded with MacroRecorder, through `dispatchButtonPressed`/`dispatchButtonReleased`
+ */
+class MacroPlayer {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to replay the macro on
+   * @param  {Object|String} macro Macro, or its JSON
+   * @param  {Object} options Options
+   * @param  {number} options.speed Playback speed, 2 being twice as fast. Defaults to 1
+   * @param  {Boolean} options.loop If true, play until `stop` is called. The macro must last longer than 0ms. Defaults to false
+   * @param  {function} options.now Clock, in milliseconds. Defaults to Date.now
+   */
+  constructor (pad, macro, options = {}) {
+    this.pad = pad
+    this.macro = MacroPlayer.parse(macro)
+    this.speed = options.speed || 1
+    if (!(this.speed > 0)) throw new Error('Invalid speed')
+    this.loop = !!options.loop
+    if (this.loop && !(this.macro.duration > 0)) throw new Error('Invalid macro: Only macros lasting longer than 0ms can loop')
+    this.now = options.now || Date.now
+    this._playback = null
+  }
+
+  /**
+   * Validate a macro
+   * @param  {Object|String} macro Macro, or its JSON
+   * @return {Object} The macro, with the button names checked
+   */
+  static parse (macro) {
+    if (typeof macro === 'string') macro = JSON.parse(macro)
+    if (!macro || typeof macro !== 'object' || macro.version !== 1 || !Array.isArray(macro.events)) throw new Error('Invalid macro')
+    let lastTime = 0
+    macro.events.forEach(event => {
+      if (!event || (event.type !== 'pressed' && event.type !== 'released')) throw new Error('Invalid macro event')
+      if (!Launchpad.Buttons[event.button]) throw new Error(`Invalid button ${event.button} in macro`)
+      if (typeof event.time !== 'number' || event.time < lastTime) throw new Error('Invalid macro event time')
+      lastTime = event.time
+    })
+    return {
+      version: 1,
+      duration: Math.max(lastTime, macro.duration || 0),
+      events: macro.events
+    }
+  }
+
+  /**
+   * Whether it's playing
+   * @return {Boolean}
+   */
+  get playing () {
+    return !!this._playback
+  }
+
+  /**
+   * Start playing. Playing again restarts from the beginning
+   * @return {promise} Resolves once the macro has finished, or has been stopped
+   */
+  play () {
+    this.stop()
+    let finish
+    const finished = new Promise(resolve => { finish = resolve })
+    const playback = { finish, timer: null, held: new Set() }
+    this._playback = playback
+    this._playFrom(playback, this.now(), 0)
+    return finished
+  }
+
+  /**
+   * Stop playing. Buttons the macro left pressed are released
+   */
+  stop () {
+    const playback = this._playback
+    if (!playback) return
+    this._playback = null
+    clearTimeout(playback.timer)
+    this._releaseHeld(playback)
+    playback.finish()
+  }
+
+  _releaseHeld (playback) {
+    const held = Array.from(playback.held)
+    playback.held.clear()
+    held.forEach(name => this.pad.dispatchButtonReleased(Launchpad.Buttons[name]))
+  }
+
+  _playFrom (playback, startTime, index) {
+    if (this._playback !== playback) return
+    const events = this.macro.events
+    // Timing is computed from the start, so delays don't add up
+    const elapsed = (this.now() - startTime) * this.speed
+    while (index < events.length && events[index].time <= elapsed) {
+      const event = events[index++]
+      const button = Launchpad.Buttons[event.button]
+      if (event.type === 'pressed') {
+        playback.held.add(event.button)
+        this.pad.dispatchButtonPressed(button)
+      } else {
+        playback.held.delete(event.button)
+        this.pad.dispatchButtonReleased(button)
+      }
+      if (this._playback !== playback) return // Stopped by a listener
+    }
+
+    if (index < events.length) {
+      playback.timer = setTimeout(() => this._playFrom(playback, startTime, index), (events[index].time - elapsed) / this.speed)
+    } else if (this.loop && this.macro.duration > 0) {
+      const restart = () => {
+        // Every pass starts with no button held
+        this._releaseHeld(playback)
+        this._playFrom(playback, this.now(), 0)
+      }
+      playback.timer = setTimeout(restart, Math.max(0, this.macro.duration - elapsed) / this.speed)
+    } else {
+      this._playback = null
+      playback.finish()
+    }
+  }
+}
+
+module.exports.default = MacroPlayer
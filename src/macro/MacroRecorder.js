@@ -0,0 +1,65 @@
+/**
+ * MacroRecorder class
+ * Records the button presses and releases of a Launchpad, with their timing, as a macro that can be saved as JSON
+ *
+ * Macro format:
+ * { version: 1, duration, events: [{ time, type: 'pressed'|'released', button: buttonName }] }
+ * Times are in milliseconds from the start of the recording.
+ */
+class MacroRecorder {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to record
+   * @param  {Object} options Options
+   * @param  {Boolean} options.includeDispatched Also record the events faked with `dispatchButtonPressed`/`dispatchButtonReleased`. Defaults to false
+   * @param  {function} options.now Clock, in milliseconds. Defaults to Date.now
+   */
+  constructor (pad, options = {}) {
+    this.pad = pad
+    this.includeDispatched = !!options.includeDispatched
+    this.now = options.now || Date.now
+    this.events = []
+    this._startTime = null
+    this._unbind = []
+  }
+
+  /**
+   * Whether it's recording
+   * @return {Boolean}
+   */
+  get recording () {
+    return this._startTime !== null
+  }
+
+  /**
+   * Start recording, dropping whatever was recorded before
+   */
+  start () {
+    if (this.recording) this.stop()
+    this.events = []
+    this._startTime = this.now()
+    this._unbind = ['pressed', 'released'].map(type => this.pad.on(type, (button, event) => {
+      if (event.source !== 'hardware' && !this.includeDispatched) return
+      this.events.push({ time: this.now() - this._startTime, type, button: button.name })
+    }))
+  }
+
+  /**
+   * Stop recording
+   * @return {Object} The recorded macro
+   */
+  stop () {
+    if (!this.recording) throw new Error('Not recording')
+    const duration = this.now() - this._startTime
+    this._unbind.forEach(unbind => unbind())
+    this._unbind = []
+    this._startTime = null
+    return {
+      version: 1,
+      duration,
+      events: this.events.slice()
+    }
+  }
+}
+
+module.exports.default = MacroRecorder
@@ -0,0 +1,320 @@
+const Launchpad = require('../Launchpad.js').default
+const EventEmitter = require('../EventEmitter.js').default
+
+const defaultColors = { on: 'Green', off: 'Off' }
+
+/**
+ * ControllerMapping class
+ * Turns the Launchpad into a MIDI controller for other software, from a profile that says what each button does
+ *
+ * Control types:
+ *  momentary: sends the on value while held, and the off value when released
+ *  toggle: every press flips between the on and off values
+ *  radio: a group of buttons where one is selected. Sends a CC with the value of the selected button, or the note of each button
+ *  fader: a grid column acting as a fader, the bottom button being 0 and the top one 127. Sends a CC
+ *
+ * Messages go to the output transport, and messages coming back from it update the controls and their LEDs,
+ * so the pad follows the other software. Messages that can't be sent and LEDs that can't be drawn are emitted as 'error' events.
+ *
+ * Profile example:
+ *
+ *     {
+ *       "channel": 0,
+ *       "colors": { "on": "Green", "off": "GreenLow" },
+ *       "controls": [
+ *         { "name": "kick", "type": "momentary", "button": "00", "note": 36 },
+ *         { "name": "mute", "type": "toggle", "button": "Vol", "cc": 20, "onColor": "Red" },
+ *         { "name": "scene", "type": "radio", "buttons": ["Up", "Down", "Left"], "notes": [60, 61, 62] },
+ *         { "name": "volume", "type": "fader", "column": 7, "cc": 7, "channel": 1 }
+ *       ]
+ *     }
+ */
+class ControllerMapping {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to use as the controller
+   * @param  {Object|String} profile Profile, or its JSON
+   * @param  {Object} options Options
+   * @param  {Object} options.output Open MIDI transport to the other software, like a NodeMidiTransport of a virtual port
+   */
+  constructor (pad, profile, options = {}) {
+    if (!options.output || typeof options.output.send !== 'function') throw new Error('Invalid output transport')
+    this.pad = pad
+    this.output = options.output
+    this.controls = ControllerMapping.parseProfile(profile).controls
+    this._events = new EventEmitter()
+    this._controlsByButton = {}
+    this.controls.forEach(control => {
+      control.buttons.forEach(button => { this._controlsByButton[button.name] = control })
+    })
+    this._unbind = [
+      pad.onButtonPressed(button => this._buttonPressed(button)),
+      pad.onButtonReleased(button => this._buttonReleased(button))
+    ]
+    this.output.onMessage(data => this._feedback(data))
+    this.draw().catch(e => this._events.reportError(e, 'draw'))
+  }
+
+  /**
+   * Validate a profile
+   * @param  {Object|String} profile Profile, or its JSON
+   * @return {Object} { controls }, with the buttons and colors resolved and the defaults filled in
+   */
+  static parseProfile (profile) {
+    if (typeof profile === 'string') profile = JSON.parse(profile)
+    if (!profile || typeof profile !== 'object' || !Array.isArray(profile.controls)) throw new Error('Invalid profile')
+    const colors = Object.assign({}, defaultColors, profile.colors)
+    const used = new Set()
+
+    const controls = profile.controls.map((spec, index) => {
+      if (!spec || typeof spec !== 'object') throw new Error('Invalid control')
+      const name = spec.name || `${spec.type}${index}`
+      const control = {
+        name,
+        type: spec.type,
+        channel: spec.channel !== undefined ? spec.channel : (profile.channel || 0),
+        onValue: spec.onValue !== undefined ? spec.onValue : 127,
+        offValue: spec.offValue !== undefined ? spec.offValue : 0,
+        onColor: profileColor(spec.onColor || colors.on),
+        offColor: profileColor(spec.offColor || colors.off)
+      }
+      if (!(control.channel >= 0 && control.channel <= 15)) throw new Error(`Invalid channel in control ${name}`)
+      ;[control.onValue, control.offValue].forEach(value => checkMidiValue(value, name))
+
+      switch (spec.type) {
+        case 'momentary':
+        case 'toggle':
+          control.buttons = [buttonByName(spec.button, name)]
+          setMessage(control, spec)
+          control.value = false
+          break
+        case 'radio':
+          if (!Array.isArray(spec.buttons) || spec.buttons.length < 2) throw new Error(`Invalid control ${name}: Needs at least two buttons`)
+          control.buttons = spec.buttons.map(button => buttonByName(button, name))
+          if (Array.isArray(spec.notes)) {
+            if (spec.notes.length !== control.buttons.length) throw new Error(`Invalid control ${name}: Needs a note per button`)
+            spec.notes.forEach(note => checkMidiValue(note, name))
+            control.message = 'note'
+            control.notes = spec.notes
+          } else {
+            setMessage(control, spec)
+            if (control.message !== 'cc') throw new Error(`Invalid control ${name}: Needs notes or a cc`)
+            const last = control.buttons.length - 1
+            control.values = spec.values || control.buttons.map((button, i) => Math.round(i * 127 / last))
+            if (control.values.length !== control.buttons.length) throw new Error(`Invalid control ${name}: Needs a value per button`)
+            control.values.forEach(value => checkMidiValue(value, name))
+          }
+          control.value = -1 // Selected index
+          break
+        case 'fader':
+          if (!(spec.column >= 0 && spec.column <= 7)) throw new Error(`Invalid control ${name}: Needs a column from 0 to 7`)
+          control.buttons = [0, 1, 2, 3, 4, 5, 6, 7].map(y => Launchpad.Buttons[`${spec.column}${y}`])
+          setMessage(control, spec)
+          if (control.message !== 'cc') throw new Error(`Invalid control ${name}: Faders need a cc`)
+          control.value = 0
+          break
+        default:
+          throw new Error(`Invalid control type ${spec.type}`)
+      }
+
+      control.buttons.forEach(button => {
+        if (used.has(button.name)) throw new Error(`Button ${button.name} is mapped twice`)
+        used.add(button.name)
+      })
+      return control
+    })
+    return { controls }
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'change', like in `onChange`, or 'error', called with the error and { event } ('send' or 'draw')
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Add a listener for control changes, from the pad or from the other software
+   * @param  {function} callback Called with { control, value, source }, source being 'pad' or 'feedback'.
+   * The value is a boolean for momentary and toggle controls, the selected index (-1 for none) for radios, and 0-127 for faders
+   * @return {function}          Function to stop listening
+   */
+  onChange (callback) {
+    return this._events.on('change', callback)
+  }
+
+  /**
+   * Find a control by name
+   * @param  {String} name Control name
+   * @return {Object} Control, or undefined
+   */
+  getControl (name) {
+    return this.controls.find(control => control.name === name)
+  }
+
+  /**
+   * Show the state of every control on the LEDs
+   * @return {promise} Resolves once sent
+   */
+  async draw () {
+    for (const control of this.controls) await this._drawControl(control)
+  }
+
+  /**
+   * Stop listening to the Launchpad and the output. The LEDs are left as they are
+   */
+  destroy () {
+    this._unbind.forEach(unbind => unbind())
+    this._unbind = []
+    this.output.onMessage(() => {})
+  }
+
+  _buttonPressed (button) {
+    const control = this._controlsByButton[button.name]
+    if (!control) return
+    switch (control.type) {
+      case 'momentary':
+        this._change(control, true, 'pad')
+        this._send(control, control.number, control.onValue)
+        break
+      case 'toggle':
+        this._change(control, !control.value, 'pad')
+        this._send(control, control.number, control.value ? control.onValue : control.offValue)
+        break
+      case 'radio': {
+        const index = control.buttons.indexOf(button)
+        const previous = control.value
+        this._change(control, index, 'pad')
+        if (control.notes) {
+          if (previous !== -1 && previous !== index) this._send(control, control.notes[previous], 0)
+          this._send(control, control.notes[index], control.onValue)
+        } else {
+          this._send(control, control.number, control.values[index])
+        }
+        break
+      }
+      case 'fader': {
+        const value = Math.round((7 - button.y) * 127 / 7)
+        this._change(control, value, 'pad')
+        this._send(control, control.number, value)
+        break
+      }
+    }
+  }
+
+  _buttonReleased (button) {
+    const control = this._controlsByButton[button.name]
+    if (!control || control.type !== 'momentary') return
+    this._change(control, false, 'pad')
+    this._send(control, control.number, control.offValue)
+  }
+
+  _feedback (data) {
+    const type = data[0] & 0xF0
+    const channel = data[0] & 0x0F
+    if (type !== 0x80 && type !== 0x90 && type !== 0xB0) return
+    const message = type === 0xB0 ? 'cc' : 'note'
+    const number = data[1]
+    const value = type === 0x80 ? 0 : data[2]
+
+    this.controls.forEach(control => {
+      if (control.message !== message || control.channel !== channel) return
+      if (control.notes) {
+        const index = control.notes.indexOf(number)
+        if (index === -1) return
+        if (value > 0) this._change(control, index, 'feedback')
+        else if (control.value === index) this._change(control, -1, 'feedback')
+        return
+      }
+      if (control.number !== number) return
+      switch (control.type) {
+        case 'momentary':
+        case 'toggle':
+          this._change(control, value > 0 && value !== control.offValue, 'feedback')
+          break
+        case 'radio':
+          this._change(control, closestIndex(control.values, value), 'feedback')
+          break
+        case 'fader':
+          this._change(control, value, 'feedback')
+          break
+      }
+    })
+  }
+
+  _change (control, value, source) {
+    if (control.value === value) return
+    control.value = value
+    this._drawControl(control).catch(e => this._events.reportError(e, 'draw'))
+    this._events.emit('change', { control, value, source })
+  }
+
+  _send (control, number, value) {
+    const status = control.message === 'cc' ? 0xB0 : (value > 0 ? 0x90 : 0x80)
+    Promise.resolve()
+      .then(() => this.output.send([status | control.channel, number, value]))
+      .catch(e => this._events.reportError(e, 'send'))
+  }
+
+  async _drawControl (control) {
+    // The value is read for every LED, so draws overlapping a newer change end up showing it
+    const colorOf = (button, i) => {
+      switch (control.type) {
+        case 'radio': return i === control.value ? control.onColor : control.offColor
+        case 'fader': return control.value >= Math.round((7 - button.y) * 127 / 7) ? control.onColor : control.offColor
+        default: return control.value ? control.onColor : control.offColor
+      }
+    }
+    for (let i = 0; i < control.buttons.length; i++) {
+      const button = control.buttons[i]
+      const color = this.pad.resolveColor(colorOf(button, i))
+      const shown = this.pad.ledBuffers && this.pad.ledBuffers[this.pad.updatingBuffer][button.name]
+      if (!shown || shown.name !== color.name) await this.pad.setSingleLED(button, color)
+    }
+  }
+}
+
+function buttonByName (name, controlName) {
+  if (!Launchpad.Buttons[name]) throw new Error(`Invalid button ${name} in control ${controlName}`)
+  return Launchpad.Buttons[name]
+}
+
+function profileColor (input) {
+  // Launchpad color names first, as some are CSS colors too
+  try {
+    return Launchpad.colorFromName(input)
+  } catch (e) {
+    Launchpad.color(input) // Throws if it's not a valid color
+    return input
+  }
+}
+
+function setMessage (control, spec) {
+  if (spec.note !== undefined) {
+    control.message = 'note'
+    control.number = spec.note
+  } else if (spec.cc !== undefined) {
+    control.message = 'cc'
+    control.number = spec.cc
+  } else {
+    throw new Error(`Invalid control ${control.name}: Needs a note or a cc`)
+  }
+  checkMidiValue(control.number, control.name)
+}
+
+function checkMidiValue (value, controlName) {
+  if (!Number.isInteger(value) || value < 0 || value > 127) throw new Error(`Invalid MIDI value ${value} in control ${controlName}`)
+}
+
+function closestIndex (values, value) {
+  let closest = 0
+  values.forEach((candidate, i) => {
+    if (Math.abs(candidate - value) < Math.abs(values[closest] - value)) closest = i
+  })
+  return closest
+}
+
+module.exports.default = ControllerMapping
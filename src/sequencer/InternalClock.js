@@ -0,0 +1,90 @@
+const EventEmitter = require('../EventEmitter.js').default
+
+/**
+ * InternalClock class
+ * Timer-driven clock for the StepSequencer, at 24 pulses per quarter note like MIDI clock
+ * Pulses are scheduled against the start time, so timer delays don't add up into drift
+ *
+ * Events: 'start', 'pulse' and 'stop'
+ */
+class InternalClock {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {number} options.tempo Beats per minute (20-300). Defaults to 120
+   * @param  {function} options.now Clock, in milliseconds. Defaults to Date.now
+   */
+  constructor (options = {}) {
+    this.now = options.now || Date.now
+    this.setTempo(options.tempo || 120)
+    this._events = new EventEmitter()
+    this._timer = null
+    this._nextPulse = 0
+  }
+
+  /**
+   * Whether it's running
+   * @return {Boolean}
+   */
+  get running () {
+    return this._timer !== null
+  }
+
+  /**
+   * Time between pulses, in milliseconds
+   * @return {number}
+   */
+  get pulseInterval () {
+    return 60000 / (this.tempo * 24)
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'start', 'pulse' or 'stop'
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Change the tempo. Takes effect from the next pulse
+   * @param  {number} tempo Beats per minute (20-300)
+   */
+  setTempo (tempo) {
+    if (typeof tempo !== 'number' || tempo < 20 || tempo > 300) throw new Error('Invalid tempo')
+    this.tempo = tempo
+  }
+
+  /**
+   * Start from the first pulse
+   */
+  start () {
+    if (this.running) return
+    this._events.emit('start')
+    this._nextPulse = this.now()
+    this._schedule()
+  }
+
+  /**
+   * Stop
+   */
+  stop () {
+    if (!this.running) return
+    clearTimeout(this._timer)
+    this._timer = null
+    this._events.emit('stop')
+  }
+
+  _schedule () {
+    const timer = this._timer = setTimeout(() => {
+      this._nextPulse += this.pulseInterval
+      this._events.emit('pulse')
+      // Unless a listener stopped it, or stopped and started it again with a timer of its own
+      if (this._timer === timer) this._schedule()
+    }, Math.max(0, this._nextPulse - this.now()))
+  }
+}
+
+module.exports.default = InternalClock
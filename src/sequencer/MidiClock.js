@@ -0,0 +1,87 @@
+const EventEmitter = require('../EventEmitter.js').default
+
+const PULSE = 0xF8
+const START = 0xFA
+const CONTINUE = 0xFB
+const STOP = 0xFC
+
+/**
+ * MidiClock class
+ * Follows the MIDI clock of other software or gear, for the StepSequencer
+ * The tempo is measured from the pulses, so it can be read back and used for swing and note lengths
+ *
+ * Events: 'start', 'continue', 'pulse' and 'stop'
+ */
+class MidiClock {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {Object} options.input Open MIDI transport sending the clock. Without it, feed the messages to `handleMessage`
+   * @param  {function} options.now Clock, in milliseconds. Defaults to Date.now
+   */
+  constructor (options = {}) {
+    this.now = options.now || Date.now
+    this.running = false
+    this._events = new EventEmitter()
+    this._pulseInterval = 60000 / (120 * 24)
+    this._lastPulse = null
+    if (options.input) options.input.onMessage(data => this.handleMessage(data))
+  }
+
+  /**
+   * Time between pulses, in milliseconds, averaged over the last ones. Assumes 120 BPM until pulses arrive
+   * @return {number}
+   */
+  get pulseInterval () {
+    return this._pulseInterval
+  }
+
+  /**
+   * Measured tempo, in beats per minute
+   * @return {number}
+   */
+  get tempo () {
+    return 60000 / (this._pulseInterval * 24)
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'start', 'continue', 'pulse' or 'stop'
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Handle an incoming MIDI message. Anything but clock and transport messages is ignored
+   * @param  {array} data Message bytes
+   */
+  handleMessage (data) {
+    switch (data[0]) {
+      case START:
+      case CONTINUE:
+        this.running = true
+        this._lastPulse = null
+        this._events.emit(data[0] === START ? 'start' : 'continue')
+        break
+      case STOP:
+        this.running = false
+        this._events.emit('stop')
+        break
+      case PULSE: {
+        const time = this.now()
+        if (this._lastPulse !== null) {
+          // Smoothed, as pulses arrive with some jitter
+          this._pulseInterval = this._pulseInterval * 0.9 + (time - this._lastPulse) * 0.1
+        }
+        this._lastPulse = time
+        if (this.running) this._events.emit('pulse')
+        break
+      }
+    }
+  }
+}
+
+module.exports.default = MidiClock
@@ -0,0 +1,371 @@
+const Launchpad = require('../Launchpad.js').default
+const EventEmitter = require('../EventEmitter.js').default
+const InternalClock = require('./InternalClock.js').default
+
+const trackButtons = ['Vol', 'Pan', 'SendA', 'SendB', 'Stop', 'TrackOn', 'Solo', 'Arm']
+const pulsesPerStep = 6 // 16th notes at 24 pulses per quarter note
+
+const colors = {
+  step: Launchpad.Colors.GreenMed,
+  mutedStep: Launchpad.Colors.RedLow,
+  playhead: Launchpad.Colors.AmberLow,
+  trigger: Launchpad.Colors.Amber,
+  selected: Launchpad.Colors.Amber,
+  muted: Launchpad.Colors.Red,
+  available: Launchpad.Colors.GreenLow,
+  playing: Launchpad.Colors.Green
+}
+
+/**
+ * StepSequencer class
+ * 8 track step sequencer played on the grid, sending MIDI notes
+ *
+ * Each grid row is a track, and each column a step of the page being shown:
+ *  grid buttons: turn steps on and off
+ *  Vol to Arm: select a track. Pressing the selected track again mutes or unmutes it
+ *  Left/Right: previous/next page of steps
+ *  Up/Down: previous/next pattern. The pattern being shown is the one playing
+ *  Session: start/stop, with clocks that can be started, like the internal one
+ *
+ * Steps are 16th notes, driven by a clock at 24 pulses per quarter note: an InternalClock, or a MidiClock to follow other software.
+ * The playhead is drawn with `render`, which draws big changes in the hidden buffer and swaps buffers.
+ * Notes that can't be sent and pages that can't be drawn are emitted as 'error' events.
+ */
+class StepSequencer {
+  /**
+   * Constructor
+   * @param  {Launchpad} pad Launchpad to play on
+   * @param  {Object} options Options
+   * @param  {Object} options.output Open MIDI transport to send the notes to
+   * @param  {Object} options.clock InternalClock or MidiClock. Defaults to a new InternalClock
+   * @param  {number} options.steps Steps per pattern, a multiple of 8. Defaults to 16
+   * @param  {number} options.patterns Number of patterns. Defaults to 4
+   * @param  {number} options.swing Fraction of a step the odd steps are delayed (0-0.5). Defaults to 0
+   * @param  {number} options.gate Note length, as a fraction of a step (more than 0, up to 1). Defaults to 0.5
+   * @param  {Boolean} options.follow If true, the page being shown follows the playhead. Defaults to true
+   * @param  {array} options.tracks { note, channel, velocity } of every track. Defaults to notes 36 to 43 on channel 9 (0-based), the drum channel
+   */
+  constructor (pad, options = {}) {
+    if (!options.output || typeof options.output.send !== 'function') throw new Error('Invalid output transport')
+    this.pad = pad
+    this.output = options.output
+    this.clock = options.clock || new InternalClock()
+    this.steps = options.steps || 16
+    if (this.steps % 8 || this.steps < 8) throw new Error('Invalid steps: Must be a multiple of 8')
+    this.gate = options.gate !== undefined ? options.gate : 0.5
+    if (typeof this.gate !== 'number' || !(this.gate > 0 && this.gate <= 1)) throw new Error('Invalid gate')
+    this.follow = options.follow !== false
+    this.setSwing(options.swing || 0)
+    this.tracks = [0, 1, 2, 3, 4, 5, 6, 7].map(i => {
+      const track = Object.assign({ note: 36 + i, channel: 9, velocity: 100 }, (options.tracks || [])[i])
+      if ([track.note, track.velocity].some(value => !Number.isInteger(value) || value < 0 || value > 127)) throw new Error(`Invalid track ${i}`)
+      if (!Number.isInteger(track.channel) || track.channel < 0 || track.channel > 15) throw new Error(`Invalid track ${i}`)
+      track.muted = false
+      return track
+    })
+    this.patterns = Array.from({ length: options.patterns || 4 }, () => this.tracks.map(() => new Array(this.steps).fill(false)))
+    this.pattern = 0
+    this.page = 0
+    this.selectedTrack = 0
+    this.playing = false
+    this.position = -1 // Step being played
+    this._pulse = -1
+    this._sounding = new Map() // 'channel:note' => note off timer
+    this._swung = new Set() // Timers of the delayed odd steps
+    this._events = new EventEmitter()
+    this._renderPromise = null
+    this._lastRender = Promise.resolve()
+
+    this._unbind = [
+      pad.onButtonPressed(button => this._buttonPressed(button)),
+      this.clock.on('start', () => this._clockStarted(true)),
+      this.clock.on('continue', () => this._clockStarted(false)),
+      this.clock.on('pulse', () => this._clockPulse()),
+      this.clock.on('stop', () => this._clockStopped())
+    ]
+    this.draw().catch(ignore)
+  }
+
+  /**
+   * Start playing from the first step. Only for clocks that can be started, like the InternalClock
+   */
+  start () {
+    if (typeof this.clock.start !== 'function') throw new Error('The clock follows an external transport')
+    this.clock.start()
+  }
+
+  /**
+   * Stop playing, turning off the notes still sounding
+   */
+  stop () {
+    if (typeof this.clock.stop === 'function') this.clock.stop()
+    else this._clockStopped()
+  }
+
+  /**
+   * Change the tempo of the internal clock
+   * @param  {number} tempo Beats per minute (20-300)
+   */
+  setTempo (tempo) {
+    if (typeof this.clock.setTempo !== 'function') throw new Error('The clock follows an external tempo')
+    this.clock.setTempo(tempo)
+  }
+
+  /**
+   * Change the swing
+   * @param  {number} swing Fraction of a step the odd steps are delayed (0-0.5)
+   */
+  setSwing (swing) {
+    if (typeof swing !== 'number' || swing < 0 || swing > 0.5) throw new Error('Invalid swing')
+    this.swing = swing
+  }
+
+  /**
+   * Turn a step on or off
+   * @param  {number} track Track (0-7)
+   * @param  {number} step Step
+   * @param  {Boolean} on Whether it plays
+   * @param  {number} pattern Pattern. Defaults to the current one
+   * @return {promise} Resolves once drawn
+   */
+  setStep (track, step, on, pattern = this.pattern) {
+    this._pattern(pattern)[this._track(track)][this._step(step)] = !!on
+    return this.draw()
+  }
+
+  /**
+   * Check whether a step is on
+   * @param  {number} track Track (0-7)
+   * @param  {number} step Step
+   * @param  {number} pattern Pattern. Defaults to the current one
+   * @return {Boolean}
+   */
+  isStepOn (track, step, pattern = this.pattern) {
+    return this._pattern(pattern)[this._track(track)][this._step(step)]
+  }
+
+  /**
+   * Select a track
+   * @param  {number} track Track (0-7)
+   * @return {promise} Resolves once drawn
+   */
+  selectTrack (track) {
+    this.selectedTrack = this._track(track)
+    return this.draw()
+  }
+
+  /**
+   * Mute or unmute a track
+   * @param  {number} track Track (0-7)
+   * @param  {Boolean} muted Whether it is muted
+   * @return {promise} Resolves once drawn
+   */
+  muteTrack (track, muted) {
+    this.tracks[this._track(track)].muted = !!muted
+    return this.draw()
+  }
+
+  /**
+   * Show a page of steps
+   * @param  {number} page Page (0 to steps / 8 - 1)
+   * @return {promise} Resolves once drawn
+   */
+  setPage (page) {
+    if (!Number.isInteger(page) || page < 0 || page >= this.steps / 8) throw new Error('Invalid page')
+    this.page = page
+    return this.draw()
+  }
+
+  /**
+   * Switch to another pattern, which plays from the next step on
+   * @param  {number} pattern Pattern
+   * @return {promise} Resolves once drawn
+   */
+  setPattern (pattern) {
+    this._pattern(pattern)
+    this.pattern = pattern
+    return this.draw()
+  }
+
+  /**
+   * Add a listener
+   * @param  {String} event 'step', like in `onStep`, or 'error', called with the error and { event } ('send' or 'draw')
+   * @param  {function} callback Listener to call
+   * @return {function}          Function to stop listening
+   */
+  on (event, callback) {
+    return this._events.on(event, callback)
+  }
+
+  /**
+   * Add a listener for the steps being played
+   * @param  {function} callback Called with { step, pattern, tracks }, tracks being the ones triggered
+   * @return {function}          Function to stop listening
+   */
+  onStep (callback) {
+    return this._events.on('step', callback)
+  }
+
+  /**
+   * Draw the current page. Changes made in the same tick are drawn together
+   * @return {promise} Resolves once sent
+   */
+  draw () {
+    if (!this._renderPromise) {
+      this._renderPromise = this._lastRender.then(() => {
+        this._renderPromise = null
+        return this.pad.render(this._frame())
+      })
+      this._lastRender = this._renderPromise.catch(e => this._events.reportError(e, 'draw'))
+    }
+    return this._renderPromise
+  }
+
+  /**
+   * Stop playing and listening to the Launchpad and the clock
+   */
+  destroy () {
+    this._clockStopped()
+    this._unbind.forEach(unbind => unbind())
+    this._unbind = []
+  }
+
+  _frame () {
+    const frame = {}
+    const pattern = this.patterns[this.pattern]
+    const playheadColumn = this.playing && Math.floor(this.position / 8) === this.page ? this.position % 8 : -1
+    this.tracks.forEach((track, y) => {
+      for (let x = 0; x < 8; x++) {
+        const on = pattern[y][this.page * 8 + x]
+        if (x === playheadColumn) frame[`${x}${y}`] = on && !track.muted ? colors.trigger : colors.playhead
+        else if (on) frame[`${x}${y}`] = track.muted ? colors.mutedStep : colors.step
+      }
+      if (track.muted) frame[trackButtons[y]] = colors.muted
+      else if (y === this.selectedTrack) frame[trackButtons[y]] = colors.selected
+    })
+    if (this.page > 0) frame.Left = colors.available
+    if (this.page < this.steps / 8 - 1) frame.Right = colors.available
+    if (this.pattern > 0) frame.Up = colors.available
+    if (this.pattern < this.patterns.length - 1) frame.Down = colors.available
+    frame.Session = this.playing ? colors.playing : colors.available
+    return frame
+  }
+
+  _buttonPressed (button) {
+    const trackIndex = trackButtons.indexOf(button.name)
+    if (typeof button.x === 'number') {
+      const step = this.page * 8 + button.x
+      this.setStep(button.y, step, !this.isStepOn(button.y, step)).catch(ignore)
+    } else if (trackIndex !== -1) {
+      if (trackIndex === this.selectedTrack) this.muteTrack(trackIndex, !this.tracks[trackIndex].muted).catch(ignore)
+      else this.selectTrack(trackIndex).catch(ignore)
+    } else if (button.name === 'Left' && this.page > 0) {
+      this.setPage(this.page - 1).catch(ignore)
+    } else if (button.name === 'Right' && this.page < this.steps / 8 - 1) {
+      this.setPage(this.page + 1).catch(ignore)
+    } else if (button.name === 'Up' && this.pattern > 0) {
+      this.setPattern(this.pattern - 1).catch(ignore)
+    } else if (button.name === 'Down' && this.pattern < this.patterns.length - 1) {
+      this.setPattern(this.pattern + 1).catch(ignore)
+    } else if (button.name === 'Session' && typeof this.clock.start === 'function') {
+      if (this.playing) this.stop()
+      else this.start()
+    }
+  }
+
+  _clockStarted (fromStart) {
+    this.playing = true
+    if (fromStart) {
+      this._pulse = -1
+      this.position = -1
+    }
+    this.draw().catch(ignore)
+  }
+
+  _clockStopped () {
+    this.playing = false
+    // Or they would play if it starts again before they're due
+    this._swung.forEach(timer => clearTimeout(timer))
+    this._swung.clear()
+    this._sounding.forEach((timer, key) => {
+      clearTimeout(timer)
+      const [channel, note] = key.split(':').map(Number)
+      this._send([0x80 | channel, note, 0])
+    })
+    this._sounding.clear()
+    this.draw().catch(ignore)
+  }
+
+  _clockPulse () {
+    if (!this.playing) return
+    this._pulse++
+    if (this._pulse % pulsesPerStep) return
+    const step = (this._pulse / pulsesPerStep) % this.steps
+    const stepDuration = this.clock.pulseInterval * pulsesPerStep
+    if (step % 2 && this.swing) {
+      const timer = setTimeout(() => {
+        this._swung.delete(timer)
+        this._playStep(step, stepDuration)
+      }, this.swing * stepDuration)
+      this._swung.add(timer)
+    } else {
+      this._playStep(step, stepDuration)
+    }
+  }
+
+  _playStep (step, stepDuration) {
+    if (!this.playing) return
+    this.position = step
+    if (this.follow) this.page = Math.floor(step / 8)
+    const pattern = this.patterns[this.pattern]
+    const triggered = []
+    this.tracks.forEach((track, i) => {
+      if (!pattern[i][step] || track.muted) return
+      triggered.push(i)
+      this._playNote(track, stepDuration * this.gate)
+    })
+    this.draw().catch(ignore)
+    this._events.emit('step', { step, pattern: this.pattern, tracks: triggered })
+  }
+
+  _playNote (track, duration) {
+    const key = `${track.channel}:${track.note}`
+    if (this._sounding.has(key)) {
+      // Retriggered before its end: end it first
+      clearTimeout(this._sounding.get(key))
+      this._send([0x80 | track.channel, track.note, 0])
+    }
+    this._send([0x90 | track.channel, track.note, track.velocity])
+    this._sounding.set(key, setTimeout(() => {
+      this._sounding.delete(key)
+      this._send([0x80 | track.channel, track.note, 0])
+    }, duration))
+  }
+
+  _send (bytes) {
+    Promise.resolve()
+      .then(() => this.output.send(bytes))
+      .catch(e => this._events.reportError(e, 'send'))
+  }
+
+  _pattern (pattern) {
+    if (!Number.isInteger(pattern) || !this.patterns[pattern]) throw new Error('Invalid pattern')
+    return this.patterns[pattern]
+  }
+
+  _track (track) {
+    if (!Number.isInteger(track) || track < 0 || track > 7) throw new Error('Invalid track')
+    return track
+  }
+
+  _step (step) {
+    if (!Number.isInteger(step) || step < 0 || step >= this.steps) throw new Error('Invalid step')
+    return step
+  }
+}
+
+function ignore () {
+  // Drawing errors are reported by `draw`
+}
+
+module.exports.default = StepSequencer
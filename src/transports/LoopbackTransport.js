@@ -0,0 +1,112 @@
+/**
+ * LoopbackTransport class
+ * In-memory MIDI transport. Whatever the Launchpad sends is handed to the listeners registered with `onHostMessage`,
+ * and packets passed to `sendToHost` are delivered to the Launchpad as if they came from a device
+ */
+class LoopbackTransport {
+  /**
+   * Constructor
+   * @param  {String} name Name of the fake device, matched against the Launchpad deviceName
+   */
+  constructor (name = 'Launchpad Loopback') {
+    this.name = name
+    this.connected = false
+    this.plugged = true
+    this._messageCallback = null
+    this._stateCallback = null
+    this._hostListeners = []
+  }
+
+  /**
+   * Connect, as long as the device name matches
+   * @param  {String|RegExp} deviceName Name to match the MIDI device
+   * @return {promise} Resolves once connected
+   */
+  async open (deviceName) {
+    if (!this.name.match(deviceName)) throw new Error(`Device ${deviceName} not found.`)
+    this.connected = true
+    return this
+  }
+
+  /**
+   * Disconnect
+   */
+  close () {
+    this.connected = false
+  }
+
+  /**
+   * Whether the transport is open
+   * @return {Boolean}
+   */
+  isConnected () {
+    return this.connected && this.plugged
+  }
+
+  /**
+   * Set the callback that receives every incoming MIDI packet
+   * @param  {function} callback Called with the packet bytes
+   */
+  onMessage (callback) {
+    this._messageCallback = callback
+  }
+
+  /**
+   * Set the callback that is told when the device is unplugged or plugged back in
+   * @param  {function} callback Called with 'connected' or 'disconnected'
+   */
+  onStateChange (callback) {
+    this._stateCallback = callback
+  }
+
+  /**
+   * Send a MIDI packet to the device side
+   * @param  {array} bytes Packet bytes
+   */
+  async send (bytes) {
+    if (!this.isConnected()) throw new Error('Device is not connected')
+    this._hostListeners.forEach(callback => callback(Array.from(bytes)))
+  }
+
+  /**
+   * Add a listener for the packets sent by the Launchpad
+   * @param  {function} callback Listener to call with the packet bytes
+   * @return {function}          Function to stop listening
+   */
+  onHostMessage (callback) {
+    if (!callback || typeof callback !== 'function') throw new Error('Invalid callback function')
+    this._hostListeners.push(callback)
+    return () => {
+      const index = this._hostListeners.indexOf(callback)
+      if (index !== -1) this._hostListeners.splice(index, 1)
+    }
+  }
+
+  /**
+   * Deliver a MIDI packet to the Launchpad, as if it came from the device
+   * @param  {array} bytes Packet bytes
+   */
+  sendToHost (bytes) {
+    if (this.isConnected() && this._messageCallback) this._messageCallback(Array.from(bytes))
+  }
+
+  /**
+   * Simulate the device being unplugged
+   */
+  unplug () {
+    if (!this.plugged) return
+    this.plugged = false
+    if (this.connected && this._stateCallback) this._stateCallback('disconnected')
+  }
+
+  /**
+   * Simulate the device being plugged back in
+   */
+  plug () {
+    if (this.plugged) return
+    this.plugged = true
+    if (this.connected && this._stateCallback) this._stateCallback('connected')
+  }
+}
+
+module.exports.default = LoopbackTransport
@@ -0,0 +1,152 @@
+const pairPorts = require('./pairPorts.js').default
+
+/**
+ * NodeMidiTransport class
+ * MIDI transport for Node.js, backed by the `midi` package (RtMidi bindings)
+ *
+ * The `midi` package is not a dependency of this library, install it alongside when running in Node:
+ * npm install midi
+ *
+ * The `midi` package doesn't report devices being unplugged, so this transport has no hot-plug support.
+ */
+class NodeMidiTransport {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {Object} options.midi `midi` module to use. Defaults to require('midi')
+   * @param  {Boolean} options.sysex Whether to receive SysEx messages. Defaults to false
+   * @param  {number} options.inputPort Index of the input port to open, instead of looking one up by name
+   * @param  {number} options.outputPort Index of the output port to open, instead of looking one up by name
+   */
+  constructor (options = {}) {
+    this.midi = options.midi || null
+    this.sysex = !!options.sysex
+    this.inputPort = typeof options.inputPort === 'number' ? options.inputPort : null
+    this.outputPort = typeof options.outputPort === 'number' ? options.outputPort : null
+    this.input = null
+    this.output = null
+    this._messageCallback = null
+  }
+
+  /**
+   * Find every device matching a name
+   * @param  {String|RegExp} deviceName Name to match the MIDI devices
+   * @param  {Object} options Options for the transports, like in the constructor
+   * @return {promise} Resolves to a transport for each device, ready to be opened
+   */
+  static async listDevices (deviceName, options = {}) {
+    const midi = new NodeMidiTransport(options)._getMidiModule()
+    const input = new midi.Input()
+    const output = new midi.Output()
+    const inputs = matchingPorts(input, deviceName)
+    const outputs = matchingPorts(output, deviceName)
+    input.closePort()
+    output.closePort()
+
+    return pairPorts(inputs.map(port => port.name), outputs.map(port => port.name))
+      .map(([inputIndex, outputIndex]) => new NodeMidiTransport(Object.assign({}, options, {
+        midi,
+        inputPort: inputs[inputIndex].index,
+        outputPort: outputs[outputIndex].index
+      })))
+  }
+
+  /**
+   * Open the first input/output ports matching the device name
+   * Transports created with port indexes open them instead
+   * @param  {String|RegExp} deviceName Name to match the MIDI device
+   * @return {promise} Resolves once both ports are open
+   */
+  async open (deviceName) {
+    const midi = this._getMidiModule()
+    const input = new midi.Input()
+    const output = new midi.Output()
+
+    const inputPort = this.inputPort !== null ? this.inputPort : findPort(input, deviceName)
+    const outputPort = this.outputPort !== null ? this.outputPort : findPort(output, deviceName)
+    if (inputPort === -1 || outputPort === -1) {
+      // Release the native handles
+      input.closePort()
+      output.closePort()
+      throw new Error(`Device ${deviceName} not found.`)
+    }
+
+    // Arguments are which types to ignore: sysex, timing, active sensing
+    input.ignoreTypes(!this.sysex, true, true)
+    input.on('message', (deltaTime, message) => {
+      if (this._messageCallback) this._messageCallback(message)
+    })
+    input.openPort(inputPort)
+    output.openPort(outputPort)
+
+    this.input = input
+    this.output = output
+    return this
+  }
+
+  /**
+   * Close the open ports
+   */
+  close () {
+    if (this.input) this.input.closePort()
+    if (this.output) this.output.closePort()
+    this.input = null
+    this.output = null
+  }
+
+  /**
+   * Whether both ports are open
+   * @return {Boolean}
+   */
+  isConnected () {
+    return !!(this.input && this.output)
+  }
+
+  /**
+   * Set the callback that receives every incoming MIDI packet
+   * @param  {function} callback Called with the packet bytes
+   */
+  onMessage (callback) {
+    this._messageCallback = callback
+  }
+
+  /**
+   * Send a MIDI packet to the device
+   * @param  {array} bytes Packet bytes
+   */
+  async send (bytes) {
+    if (!this.output) throw new Error('Device is not connected')
+    this.output.sendMessage(Array.from(bytes))
+  }
+
+  _getMidiModule () {
+    if (!this.midi) {
+      try {
+        this.midi = require('midi')
+      } catch (e) {
+        throw new Error('The `midi` package is required to use NodeMidiTransport. Install it with `npm install midi`.')
+      }
+    }
+    return this.midi
+  }
+}
+
+function findPort (port, deviceName) {
+  const count = port.getPortCount()
+  for (let i = 0; i < count; i++) {
+    if (port.getPortName(i).match(deviceName)) return i
+  }
+  return -1
+}
+
+function matchingPorts (port, deviceName) {
+  const ports = []
+  const count = port.getPortCount()
+  for (let i = 0; i < count; i++) {
+    const name = port.getPortName(i)
+    if (name.match(deviceName)) ports.push({ index: i, name })
+  }
+  return ports
+}
+
+module.exports.default = NodeMidiTransport
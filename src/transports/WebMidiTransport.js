@@ -0,0 +1,213 @@
+const pairPorts = require('./pairPorts.js').default
+
+/**
+ * WebMidiTransport class
+ * MIDI transport backed by the browser's Web MIDI API
+ *
+ * It follows the MIDIAccess `statechange` events: the ports are released when the device is unplugged,
+ * and bound again when a port with the same id (or name, if there are no ids) comes back.
+ */
+class WebMidiTransport {
+  /**
+   * Constructor
+   * @param  {Object} options Options
+   * @param  {Boolean|String} options.sysex Whether to request SysEx permission, or 'optional' to carry on without it if it's denied. Defaults to false
+   * @param  {Object} options.navigator Navigator to request MIDI access from. Defaults to window.navigator
+   * @param  {MIDIInput} options.input Input port to bind to, instead of looking one up by name
+   * @param  {MIDIOutput} options.output Output port to bind to, instead of looking one up by name
+   * @param  {MIDIAccess} options.access MIDIAccess the ports belong to, to follow their state changes
+   */
+  constructor (options = {}) {
+    this.sysex = options.sysex === 'optional' ? 'optional' : !!options.sysex
+    this.navigator = options.navigator || null
+    this.access = options.access || null
+    // Whether SysEx was granted, null until MIDI access is given
+    this.sysexEnabled = sysexEnabled(this.access)
+    this.input = null
+    this.output = null
+    this._ports = options.input && options.output ? { input: options.input, output: options.output } : null
+    this._boundPorts = { input: null, output: null }
+    this._messageCallback = null
+    this._stateCallback = null
+    this._stateListener = null
+  }
+
+  /**
+   * Find every device matching a name
+   * @param  {String|RegExp} deviceName Name to match the MIDI devices
+   * @param  {Object} options Options for the transports, like in the constructor
+   * @return {promise} Resolves to a transport for each device, ready to be opened
+   */
+  static listDevices (deviceName, options = {}) {
+    return requestAccess(options.navigator, options.sysex).then(access => {
+      const inputs = Array.from(access.inputs.values()).filter(port => port.type === 'input' && port.name.match(deviceName))
+      const outputs = Array.from(access.outputs.values()).filter(port => port.type === 'output' && port.name.match(deviceName))
+      return pairPorts(inputs.map(port => port.name), outputs.map(port => port.name))
+        .map(([inputIndex, outputIndex]) => new WebMidiTransport(Object.assign({}, options, {
+          access,
+          input: inputs[inputIndex],
+          output: outputs[outputIndex]
+        })))
+    })
+  }
+
+  /**
+   * Request MIDI access and bind to the last input/output pair matching the device name
+   * Transports created with ports bind to them instead
+   * @param  {String|RegExp} deviceName Name to match the MIDI device
+   * @return {promise} Resolves once both ports are bound
+   */
+  open (deviceName) {
+    if (this._ports) {
+      this.sysexEnabled = sysexEnabled(this.access)
+      this._bind(this._ports.input, this._ports.output)
+      this._watch(this.access)
+      return Promise.resolve(this)
+    }
+
+    return requestAccess(this.navigator, this.sysex)
+      .then(access => {
+        this.access = access
+        this.sysexEnabled = sysexEnabled(access)
+        // Get MIDI devices
+        const inputs = Array.from(access.inputs.values())
+        for (let i = 0; i < inputs.length; i++) {
+          const input = inputs[i]
+          if (input.type === 'input' && input.name.match(deviceName)) {
+            this._bind(input, this.output)
+          }
+        }
+
+        const outputs = Array.from(access.outputs.values())
+        for (let i = 0; i < outputs.length; i++) {
+          const output = outputs[i]
+          if (output.type === 'output' && output.name.match(deviceName)) {
+            this._bind(this.input, output)
+          }
+        }
+
+        if (this.input && this.output) {
+          this._watch(access)
+          return this
+        }
+
+        // No device found
+        throw new Error(`Device ${deviceName} not found.`)
+      })
+  }
+
+  /**
+   * Release the bound ports
+   */
+  close () {
+    if (this.input) this.input.onmidimessage = null
+    this.input = null
+    this.output = null
+    this._boundPorts = { input: null, output: null }
+    if (this._stateListener) {
+      if (typeof this.access.removeEventListener === 'function') this.access.removeEventListener('statechange', this._stateListener)
+      else this.access.onstatechange = null
+      this._stateListener = null
+    }
+  }
+
+  /**
+   * Whether both ports are bound
+   * @return {Boolean}
+   */
+  isConnected () {
+    return !!(this.input && this.output) && this.input.state !== 'disconnected' && this.output.state !== 'disconnected'
+  }
+
+  /**
+   * Set the callback that receives every incoming MIDI packet
+   * @param  {function} callback Called with the packet bytes
+   */
+  onMessage (callback) {
+    this._messageCallback = callback
+  }
+
+  /**
+   * Set the callback that is told when the device is unplugged or plugged back in
+   * @param  {function} callback Called with 'connected' or 'disconnected'
+   */
+  onStateChange (callback) {
+    this._stateCallback = callback
+  }
+
+  /**
+   * Send a MIDI packet to the device
+   * @param  {array} bytes Packet bytes
+   */
+  async send (bytes) {
+    if (!this.output) throw new Error('Device is not connected')
+    if (bytes[0] === 0xF0 && this.sysexEnabled === false) throw new Error('SysEx permission was not granted')
+    this.output.send(new Uint8Array(bytes))
+  }
+
+  _bind (input, output) {
+    if (input && input !== this.input) {
+      if (this.input) this.input.onmidimessage = null
+      input.onmidimessage = e => {
+        if (this._messageCallback) this._messageCallback(e.data)
+      }
+    }
+    this.input = input
+    this.output = output
+    if (input) this._boundPorts.input = { id: input.id, name: input.name }
+    if (output) this._boundPorts.output = { id: output.id, name: output.name }
+  }
+
+  _watch (access) {
+    if (!access || this._stateListener) return
+    this._stateListener = e => this._portStateChanged(e.port)
+    if (typeof access.addEventListener === 'function') access.addEventListener('statechange', this._stateListener)
+    else access.onstatechange = this._stateListener
+  }
+
+  _portStateChanged (port) {
+    if (!port || (port.type !== 'input' && port.type !== 'output')) return
+    const bound = this._boundPorts[port.type]
+    if (!bound) return
+    const isSamePort = bound.id !== undefined && port.id !== undefined ? port.id === bound.id : port.name === bound.name
+    if (!isSamePort) return
+
+    // The port state has already changed, so it's only told by which ports are bound
+    const wasConnected = !!(this.input && this.output)
+    if (port.state === 'disconnected') {
+      if (port.type === 'input' && this.input) this.input.onmidimessage = null
+      this[port.type] = null
+    } else if (port.state === 'connected') {
+      if (port.type === 'input') this._bind(port, this.output)
+      else this._bind(this.input, port)
+    }
+
+    const connected = this.isConnected()
+    if (connected !== wasConnected && this._stateCallback) this._stateCallback(connected ? 'connected' : 'disconnected')
+  }
+}
+
+function sysexEnabled (access) {
+  return access && typeof access.sysexEnabled === 'boolean' ? access.sysexEnabled : null
+}
+
+function requestAccess (navigator, sysex) {
+  navigator = navigator || (typeof window !== 'undefined' ? window.navigator : null)
+  if (!navigator || typeof navigator.requestMIDIAccess !== 'function') {
+    return Promise.reject(new Error('Web MIDI API is not available.'))
+  }
+
+  const request = navigator.requestMIDIAccess({ sysex: !!sysex })
+  // Denied SysEx permission retries without it
+  const granted = sysex === 'optional' ? request.catch(() => navigator.requestMIDIAccess({ sysex: false })) : request
+  return granted
+    .then(access => {
+      // Test deprecated browsers
+      if (typeof access.inputs === 'function' || !access.inputs) {
+        throw new Error('Your browser is deprecated and use an old Midi API.')
+      }
+      return access
+    })
+}
+
+module.exports.default = WebMidiTransport
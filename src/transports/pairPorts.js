@@ -0,0 +1,29 @@
+/**
+ * Pair the input and output ports of the same devices
+ * Ports with the same name are paired first, the rest are paired in the order they were listed
+ * @param  {array} inputNames Names of the input ports
+ * @param  {array} outputNames Names of the output ports
+ * @return {array} List of [inputIndex, outputIndex]
+ */
+function pairPorts (inputNames, outputNames) {
+  const pairs = []
+  const freeOutputs = outputNames.map((name, index) => index)
+  const unpairedInputs = []
+
+  inputNames.forEach((name, inputIndex) => {
+    const position = freeOutputs.findIndex(outputIndex => outputNames[outputIndex] === name)
+    if (position === -1) {
+      unpairedInputs.push(inputIndex)
+      return
+    }
+    pairs.push([inputIndex, freeOutputs[position]])
+    freeOutputs.splice(position, 1)
+  })
+  unpairedInputs.forEach((inputIndex, i) => {
+    if (freeOutputs[i] !== undefined) pairs.push([inputIndex, freeOutputs[i]])
+  })
+
+  return pairs.sort((a, b) => a[0] - b[0])
+}
+
+module.exports.default = pairPorts
@@ -0,0 +1,279 @@
+const Launchpad = require('../Launchpad.js').default
+
+// Lets the module be required outside of browsers, for the helpers and tests
+const HTMLElementBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {}
+
+const topRow = ['Up', 'Down', 'Left', 'Right', 'Session', 'User1', 'User2', 'Mixer']
+const sideColumn = ['Vol', 'Pan', 'SendA', 'SendB', 'Stop', 'TrackOn', 'Solo', 'Arm']
+
+const style = `
+  :host { display: inline-flex; gap: 1.5em; font-family: sans-serif; }
+  .buffer { display: grid; grid-template-columns: repeat(9, 2.5em); grid-auto-rows: 2.5em; gap: 0.3em; padding: 0.5em; border: 2px solid transparent; border-radius: 0.5em; }
+  .buffer.displayed { border-color: #fafafa; }
+  .cell { border: none; border-radius: 0.2em; padding: 0; cursor: pointer; color: #fafafa; font-size: 0.5em; }
+  .cell.round { border-radius: 50%; }
+  .cell.pressed { outline: 3px solid #fafafa; outline-offset: -3px; }
+  .empty { visibility: hidden; }
+`
+
+/**
+ * LaunchpadVisualizer class
+ * `<launchpad-visualizer>` custom element showing the LED buffers of a Launchpad, or of a VirtualLaunchpad emulator
+ *
+ * The displayed buffer is outlined, flashing LEDs blink and pressed buttons are highlighted.
+ * Clicking a button presses it: through `dispatchButtonPressed`/`dispatchButtonReleased` on a Launchpad,
+ * and through `press`/`release` on an emulator, so it reaches the Launchpad connected to it as MIDI input.
+ *
+ * Attributes:
+ *  buffers: 'both' to show the two buffers (default), or 'displayed' for only the displayed one
+ *  labels: if present, show the color names
+ *
+ * Register it with `LaunchpadVisualizer.define()`, then set its `launchpad` property.
+ */
+class LaunchpadVisualizer extends HTMLElementBase {
+  constructor () {
+    super()
+    this._pad = null
+    this._unbind = []
+    this._cells = {} // View ('0', '1' or 'displayed') => button name => cell
+    this._pressed = new Set()
+    this._flashPhase = 0
+    this._flashTimer = null
+    this._renderScheduled = false
+    this._dirty = new Set() // Button names to redraw
+    this._renderedState = null
+    this.attachShadow({ mode: 'open' })
+  }
+
+  static get observedAttributes () {
+    return ['buffers', 'labels']
+  }
+
+  /**
+   * Register the custom element
+   * @param  {String} name Tag name. Defaults to 'launchpad-visualizer'
+   */
+  static define (name = 'launchpad-visualizer') {
+    if (!customElements.get(name)) customElements.define(name, LaunchpadVisualizer)
+  }
+
+  /**
+   * Button names of each cell, top to bottom. The top right corner has no button and is null
+   * @return {array} 9 rows of 9 button names
+   */
+  static layout () {
+    const rows = [topRow.concat([null])]
+    for (let y = 0; y < 8; y++) {
+      const row = []
+      for (let x = 0; x < 8; x++) row.push(`${x}${y}`)
+      rows.push(row.concat([sideColumn[y]]))
+    }
+    return rows
+  }
+
+  /**
+   * How a cell of a Launchpad or emulator buffer looks
+   * The displayed buffer shows the other buffer's color on odd flashing phases, if flashing is on
+   * @param  {Launchpad|VirtualLaunchpad} pad Launchpad or emulator
+   * @param  {String} buttonName Button name
+   * @param  {number} buffer Buffer
+   * @param  {number} flashPhase 0 or 1
+   * @return {Object} { color, htmlColorCode }
+   */
+  static cellColor (pad, buttonName, buffer, flashPhase = 0) {
+    const flashing = !!(pad.flashingBuffers || pad.flashing)
+    const showsOther = flashing && flashPhase === 1 && buffer === pad.displayingBuffer
+    const color = pad.ledBuffers[showsOther ? 1 - buffer : buffer][buttonName]
+    const htmlColorCode = Launchpad.perceivedColor(color, { dutyCycle: pad.dutyCycle, rgbModel: !!pad.driver })
+    return { color, htmlColorCode: htmlColorCode || color.htmlColorCode || '#000000' }
+  }
+
+  /**
+   * Launchpad, or VirtualLaunchpad, being shown
+   * @type {Launchpad|VirtualLaunchpad}
+   */
+  get launchpad () {
+    return this._pad
+  }
+
+  set launchpad (pad) {
+    this._detach()
+    this._pad = pad || null
+    this._pressed.clear()
+    if (this.isConnected) this._attach()
+    this._build()
+  }
+
+  connectedCallback () {
+    this._attach()
+    this._build()
+  }
+
+  disconnectedCallback () {
+    this._detach()
+  }
+
+  attributeChangedCallback () {
+    this._build()
+  }
+
+  _attach () {
+    const pad = this._pad
+    if (!pad || this._unbind.length) return
+    this._unbind.push(pad.onLedChanged(event => {
+      event.changes.forEach(change => this._dirty.add(change.button.name))
+      this._scheduleRender()
+    }))
+    if (typeof pad.press !== 'function') {
+      // Launchpads report presses of both sources, the emulator is asked when rendering
+      this._unbind.push(pad.on('pressed', button => {
+        this._pressed.add(button.name)
+        this._dirty.add(button.name)
+        this._scheduleRender()
+      }))
+      this._unbind.push(pad.on('released', button => {
+        this._pressed.delete(button.name)
+        this._dirty.add(button.name)
+        this._scheduleRender()
+      }))
+      // Buffer switches and duty cycle changes don't change any LED. The emulator reports them as LED changes
+      this._unbind.push(pad.on('buffers', () => this._scheduleRender()))
+    }
+  }
+
+  _detach () {
+    this._unbind.forEach(unbind => unbind())
+    this._unbind = []
+    this._stopFlashing()
+  }
+
+  _updateFlashTimer () {
+    // Only ticks while some LED of the displayed buffer flashes
+    const pad = this._pad
+    const buffers = pad.ledBuffers
+    const flashing = !!(pad.flashingBuffers || pad.flashing) && Object.keys(Launchpad.Buttons).some(name => buffers[0][name].name !== buffers[1][name].name)
+    if (!flashing) return this._stopFlashing()
+    if (this._flashTimer || !this._unbind.length) return
+    this._flashTimer = setInterval(() => {
+      this._flashPhase = 1 - this._flashPhase
+      this._scheduleRender()
+    }, pad.flashInterval || 280)
+  }
+
+  _stopFlashing () {
+    clearInterval(this._flashTimer)
+    this._flashTimer = null
+    this._flashPhase = 0
+  }
+
+  _build () {
+    const root = this.shadowRoot
+    root.innerHTML = ''
+    this._cells = {}
+    this._renderedState = null
+    const styleElement = document.createElement('style')
+    styleElement.textContent = style
+    root.append(styleElement)
+    if (!this._pad || !this._pad.ledBuffers) return
+
+    const views = this.getAttribute('buffers') === 'displayed' ? ['displayed'] : ['0', '1']
+    views.forEach(view => {
+      const cells = this._cells[view] = {}
+      const grid = document.createElement('div')
+      grid.className = 'buffer'
+      grid.dataset.buffer = view
+      LaunchpadVisualizer.layout().forEach((row, y) => {
+        row.forEach((name, x) => {
+          if (!name) {
+            const empty = document.createElement('div')
+            empty.className = 'empty'
+            grid.append(empty)
+            return
+          }
+          const cell = document.createElement('button')
+          cell.className = y === 0 || x === 8 ? 'cell round' : 'cell'
+          cell.title = name
+          this._bindCell(cell, Launchpad.Buttons[name])
+          cells[name] = cell
+          grid.append(cell)
+        })
+      })
+      root.append(grid)
+    })
+    this._render()
+  }
+
+  _bindCell (cell, button) {
+    let pressed = false
+    const press = e => {
+      e.preventDefault()
+      if (pressed) return
+      pressed = true
+      if (typeof this._pad.press === 'function') this._pad.press(button)
+      else this._pad.dispatchButtonPressed(button)
+      this._dirty.add(button.name)
+      this._scheduleRender()
+    }
+    const release = () => {
+      if (!pressed) return
+      pressed = false
+      if (typeof this._pad.release === 'function') this._pad.release(button)
+      else this._pad.dispatchButtonReleased(button)
+      this._dirty.add(button.name)
+      this._scheduleRender()
+    }
+    cell.addEventListener('pointerdown', press)
+    cell.addEventListener('pointerup', release)
+    cell.addEventListener('pointerleave', release)
+  }
+
+  _scheduleRender () {
+    if (this._renderScheduled) return
+    this._renderScheduled = true
+    const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : callback => setTimeout(callback)
+    schedule(() => {
+      this._renderScheduled = false
+      this._render()
+    })
+  }
+
+  _render () {
+    const pad = this._pad
+    if (!pad || !pad.ledBuffers) return
+    // Set before the Launchpad was connected
+    if (!Object.keys(this._cells).length) return this._build()
+    this._updateFlashTimer()
+    const showLabels = this.hasAttribute('labels')
+    const flashing = !!(pad.flashingBuffers || pad.flashing)
+    const dutyCycle = pad.dutyCycle || {}
+    const state = [pad.displayingBuffer, flashing && this._flashPhase, dutyCycle.numerator, dutyCycle.denominator].join()
+    // Everything is redrawn when what is shown changes, otherwise only the LEDs that changed
+    const redrawAll = state !== this._renderedState
+    this._renderedState = state
+    const dirty = this._dirty
+    this._dirty = new Set()
+
+    Object.keys(this._cells).forEach(view => {
+      const buffer = view === 'displayed' ? pad.displayingBuffer : Number(view)
+      const cells = this._cells[view]
+      const names = redrawAll ? Object.keys(cells) : Array.from(dirty)
+      if (redrawAll) cells[names[0]].parentNode.classList.toggle('displayed', view !== 'displayed' && buffer === pad.displayingBuffer)
+
+      names.forEach(name => {
+        const cell = cells[name]
+        const { color, htmlColorCode } = LaunchpadVisualizer.cellColor(pad, name, buffer, this._flashPhase)
+        // Only touch the DOM for what changed
+        if (cell.dataset.htmlColorCode !== htmlColorCode) {
+          cell.dataset.htmlColorCode = htmlColorCode
+          cell.style.background = htmlColorCode
+        }
+        const label = showLabels ? color.name : ''
+        if (cell.textContent !== label) cell.textContent = label
+        const isPressed = typeof pad.press !== 'function' ? this._pressed.has(name) : pad.isButtonPressed(Launchpad.Buttons[name])
+        cell.classList.toggle('pressed', isPressed)
+      })
+    })
+  }
+}
+
+module.exports.default = LaunchpadVisualizer
@@ -0,0 +1,6 @@
+module.exports = {
+  'env': {
+    'mocha': true,
+    'node': true
+  }
+}
@@ -0,0 +1,105 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const GestureRecognizer = require('../src/GestureRecognizer.js').default
+const { createHarness } = require('./harness.js')
+
+const { Buttons } = Launchpad
+
+function wait (time) {
+  return new Promise(resolve => setTimeout(resolve, time))
+}
+
+describe('GestureRecognizer', () => {
+  let pad, gestures, time
+
+  beforeEach(async () => {
+    pad = (await createHarness()).pad
+    time = 0
+    gestures = new GestureRecognizer(pad, { longPressTime: 20, doubleTapTime: 100, swipeStepTime: 10, now: () => time })
+  })
+
+  afterEach(() => gestures.destroy())
+
+  it('reports buttons held down as long presses', async () => {
+    const events = []
+    gestures.onLongPress(button => events.push(button.name))
+    pad.dispatchButtonPressed(Buttons['00'])
+    pad.dispatchButtonPressed(Buttons['55'])
+    pad.dispatchButtonReleased(Buttons['55'])
+    await wait(40)
+    assert.deepStrictEqual(events, ['00'])
+  })
+
+  it('reports listener errors without stopping the other listeners', () => {
+    const events = []
+    gestures.on('error', (error, { event }) => events.push([error.message, event]))
+    gestures.onChord(['00', '11'], () => { throw new Error('Broken chord') })
+    gestures.onChord(['11', '00'], buttons => events.push(buttons.map(button => button.name)))
+    pad.dispatchButtonPressed(Buttons['00'])
+    pad.dispatchButtonPressed(Buttons['11'])
+    assert.deepStrictEqual(events, [['Broken chord', 'chord'], ['11', '00']])
+  })
+
+  it('reports double taps within the threshold', () => {
+    const events = []
+    gestures.onDoubleTap(button => events.push(button.name))
+    const tap = (button, at) => {
+      time = at
+      pad.dispatchButtonPressed(button)
+      pad.dispatchButtonReleased(button)
+    }
+    tap(Buttons['11'], 0)
+    tap(Buttons['11'], 50)
+    tap(Buttons['22'], 300)
+    tap(Buttons['22'], 500)
+    tap(Buttons['33'], 600)
+    tap(Buttons['44'], 610)
+    tap(Buttons['33'], 620)
+    assert.deepStrictEqual(events, ['11'])
+  })
+
+  it('reports chords once every button is held, instead of long presses', async () => {
+    const chords = []
+    const longPresses = []
+    gestures.onChord([Buttons.Session, '00'], buttons => chords.push(buttons.map(button => button.name)))
+    gestures.onLongPress(button => longPresses.push(button.name))
+    assert.throws(() => gestures.onChord(['00'], () => {}), /Invalid chord/)
+    assert.throws(() => gestures.on('chord', () => {}), /use onChord/)
+
+    pad.dispatchButtonPressed(Buttons['00'])
+    pad.dispatchButtonPressed(Buttons.Session)
+    await wait(40)
+    assert.deepStrictEqual(chords, [['Session', '00']])
+    assert.deepStrictEqual(longPresses, [])
+  })
+
+  it('reports swipes across adjacent buttons in a line', async () => {
+    const swipes = []
+    gestures.onSwipe(swipe => swipes.push([swipe.direction, swipe.buttons.map(button => button.name)]))
+    const slide = names => names.forEach(name => {
+      time += 5
+      pad.dispatchButtonPressed(Buttons[name])
+      pad.dispatchButtonReleased(Buttons[name])
+    })
+
+    slide(['13', '23', '33', '43'])
+    await wait(30)
+    slide(['66', '55', '44'])
+    await wait(30)
+    slide(['00', '01', '12'])
+    await wait(30)
+    assert.deepStrictEqual(swipes, [['right', ['13', '23', '33', '43']], ['up-left', ['66', '55', '44']]])
+  })
+
+  it('reports a swipe when the finger rests on its last button, then presses another one', () => {
+    const swipes = []
+    gestures.onSwipe(swipe => swipes.push([swipe.direction, swipe.buttons.map(button => button.name)]))
+    for (const name of ['15', '14', '13']) {
+      time += 5
+      pad.dispatchButtonPressed(Buttons[name])
+    }
+    time += 50
+    pad.dispatchButtonPressed(Buttons['77'])
+    assert.deepStrictEqual(swipes, [['up', ['15', '14', '13']]])
+  })
+})
@@ -0,0 +1,621 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const VirtualLaunchpad = require('../src/VirtualLaunchpad.js').default
+const { createHarness } = require('./harness.js')
+
+describe('Launchpad', () => {
+  let harness, pad
+
+  beforeEach(async () => {
+    harness = await createHarness()
+    pad = harness.pad
+  })
+
+  describe('accessDevice', () => {
+    it('resets the device once connected', () => {
+      assert.deepStrictEqual(harness.sent, [[0xB0, 0x00, 0x00]])
+      assert.ok(pad.isConnected())
+      assert.strictEqual(pad.ledBuffers[0]['00'], Launchpad.Colors.Off)
+      assert.strictEqual(pad.ledBuffers[1].Mixer, Launchpad.Colors.Off)
+    })
+
+    it('rejects when the device name does not match', async () => {
+      const other = new Launchpad('Some other device', { transport: harness.transport })
+      await assert.rejects(other.accessDevice(), /not found/)
+    })
+  })
+
+  describe('setSingleLED', () => {
+    beforeEach(() => harness.clear())
+
+    it('sends a note-on for grid and scene launch buttons', async () => {
+      await pad.setSingleLED(Launchpad.Buttons['37'], Launchpad.Colors.Red)
+      await pad.setSingleLED(Launchpad.Buttons.Arm, Launchpad.Colors.Green)
+      assert.deepStrictEqual(harness.sent, [
+        [0x90, 3 + 7 * 16, 0x03],
+        [0x90, 120, 0x30]
+      ])
+    })
+
+    it('sends a controller change for Automap/Live buttons', async () => {
+      await pad.setSingleLED(Launchpad.Buttons.Mixer, Launchpad.Colors.OrangeRed)
+      assert.deepStrictEqual(harness.sent, [[0xB0, 111, 0x13]])
+    })
+
+    it('encodes the copy and clear flags in the velocity', async () => {
+      await pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.Colors.Amber, true)
+      await pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.Colors.Amber, false, true)
+      await pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.Colors.Amber, true, true)
+      assert.deepStrictEqual(harness.sent.map(bytes => bytes[2]), [0x33 + 12, 0x33 + 8, 0x33 + 20])
+    })
+
+    it('stores the color in the updating buffer', async () => {
+      await pad.switchUpdatingBuffer()
+      await pad.setSingleLED(Launchpad.Buttons['52'], Launchpad.Colors.Lime)
+      assert.strictEqual(pad.ledBuffers[1]['52'], Launchpad.Colors.Lime)
+      assert.strictEqual(pad.ledBuffers[0]['52'], Launchpad.Colors.Off)
+    })
+
+    it('rejects invalid buttons and colors', async () => {
+      await assert.rejects(pad.setSingleLED({}, Launchpad.Colors.Red), /Invalid button/)
+      await assert.rejects(pad.setSingleLED(Launchpad.Buttons['00'], 'reddish'), /Invalid color/)
+      assert.deepStrictEqual(harness.sent, [])
+    })
+  })
+
+  describe('setMultipleLED', () => {
+    beforeEach(() => harness.clear())
+
+    it('sends colors in pairs, in batch order, then exits rapid update mode', async () => {
+      const palette = Object.values(Launchpad.Colors)
+      const colors = pad.getOrderedButtons('forBatch').map((button, i) => palette[i % palette.length])
+      await pad.setMultipleLED(colors)
+
+      assert.strictEqual(harness.sent.length, 41)
+      harness.sent.slice(0, 40).forEach((bytes, i) => {
+        assert.deepStrictEqual(bytes, [0x92, colors[i * 2].r + colors[i * 2].g * 16, colors[i * 2 + 1].r + colors[i * 2 + 1].g * 16])
+      })
+      assert.deepStrictEqual(harness.sent[40], [0x90, 0, colors[0].r + colors[0].g * 16])
+
+      pad.getOrderedButtons('forBatch').forEach((button, i) => {
+        assert.strictEqual(pad.ledBuffers[0][button.name], colors[i])
+      })
+    })
+
+    it('orders the grid first, then the scene launch and Automap/Live buttons', () => {
+      const names = pad.getOrderedButtons('forBatch').map(button => button.name)
+      assert.strictEqual(names.length, 80)
+      assert.deepStrictEqual(names.slice(0, 9), ['00', '10', '20', '30', '40', '50', '60', '70', '01'])
+      assert.deepStrictEqual(names.slice(63, 66), ['77', 'Vol', 'Pan'])
+      assert.deepStrictEqual(names.slice(71, 73), ['Arm', 'Up'])
+      assert.strictEqual(names[79], 'Mixer')
+    })
+
+    it('only updates the given leading buttons', async () => {
+      await pad.setMultipleLED([Launchpad.Colors.Red, Launchpad.Colors.Green])
+      assert.strictEqual(pad.ledBuffers[0]['00'], Launchpad.Colors.Red)
+      assert.strictEqual(pad.ledBuffers[0]['10'], Launchpad.Colors.Green)
+      assert.strictEqual(pad.ledBuffers[0]['20'], Launchpad.Colors.Off)
+    })
+
+    it('rejects invalid color arrays', async () => {
+      await assert.rejects(pad.setMultipleLED(), /Invalid argument type/)
+      await assert.rejects(pad.setMultipleLED([]), /Can not be empty/)
+      await assert.rejects(pad.setMultipleLED(new Array(81).fill(Launchpad.Colors.Off)), /more than 80/)
+    })
+  })
+
+  describe('setDutyCycle', () => {
+    beforeEach(() => harness.clear())
+
+    it('encodes numerators up to 8 with controller 0x1E', async () => {
+      await pad.setDutyCycle(1, 3)
+      await pad.setDutyCycle(1, 5)
+      await pad.setDutyCycle(8, 18)
+      assert.deepStrictEqual(harness.sent, [
+        [0xB0, 0x1E, 0x00],
+        [0xB0, 0x1E, 0x02],
+        [0xB0, 0x1E, 0x7F]
+      ])
+    })
+
+    it('encodes numerators from 9 with controller 0x1F', async () => {
+      await pad.setDutyCycle(9, 3)
+      await pad.setDutyCycle(16, 18)
+      assert.deepStrictEqual(harness.sent, [
+        [0xB0, 0x1F, 0x00],
+        [0xB0, 0x1F, 0x7F]
+      ])
+    })
+
+    it('rejects out of range values', async () => {
+      await assert.rejects(pad.setDutyCycle(0, 5), /Invalid numerator/)
+      await assert.rejects(pad.setDutyCycle(17, 5), /Invalid numerator/)
+      await assert.rejects(pad.setDutyCycle(1, 2), /Invalid denominator/)
+      await assert.rejects(pad.setDutyCycle(1, 19), /Invalid denominator/)
+    })
+
+    it('maps brightness levels to duty cycles', async () => {
+      await pad.setBrightness(3)
+      assert.deepStrictEqual(harness.sent, [[0xB0, 0x1E, 16 * 2 + 2]])
+      await assert.rejects(pad.setBrightness(6), /Invalid brightness/)
+    })
+  })
+
+  describe('perceived colors', () => {
+    const { Colors, Buttons } = Launchpad
+
+    it('matches the color codes at the default duty cycle, and follows the duty cycle', async () => {
+      assert.strictEqual(Launchpad.perceivedColor(Colors.RedLow), Colors.RedLow.htmlColorCode)
+      assert.strictEqual(Launchpad.perceivedColor(Colors.Red, { dutyCycle: { numerator: 1, denominator: 18 } }), Colors.Red.htmlColorCode)
+      assert.strictEqual(Launchpad.perceivedColor(Colors.Lime, { rgbModel: true }), '#55ff00')
+
+      await pad.setSingleLED(Buttons['00'], Colors.RedLow)
+      const dim = pad.getPerceivedLED(Buttons['00']).htmlColorCode
+      await pad.setDutyCycle(4, 5)
+      const bright = pad.getPerceivedLED(Buttons['00']).htmlColorCode
+      assert.strictEqual(dim, Colors.RedLow.htmlColorCode)
+      assert.ok(parseInt(bright.slice(1, 3), 16) > parseInt(dim.slice(1, 3), 16), `${bright} is brighter than ${dim}`)
+    })
+
+    it('reports LEDs flashing towards the other buffer', async () => {
+      await pad.setSingleLED(Buttons['00'], Colors.Green, false, true)
+      await pad.setSingleLED(Buttons['11'], Colors.Red, true)
+      await pad.switchFlash()
+      const flashing = pad.getPerceivedLEDs()
+      assert.deepStrictEqual(flashing['00'], {
+        color: Colors.Green,
+        htmlColorCode: Colors.Green.htmlColorCode,
+        flashing: true,
+        flashColor: Colors.Off,
+        flashHtmlColorCode: Colors.Off.htmlColorCode
+      })
+      assert.strictEqual(flashing['11'].flashing, false)
+    })
+
+    it('resets the tracked settings when all LEDs are turned on', async () => {
+      await pad.setDutyCycle(2, 7)
+      await pad.switchFlash()
+      await pad.allLEDsOn('high')
+      assert.deepStrictEqual(pad.dutyCycle, { numerator: 1, denominator: 5 })
+      assert.ok(!pad.flashingBuffers)
+      assert.strictEqual(pad.getPerceivedLED(Buttons.Arm).htmlColorCode, Colors.Amber.htmlColorCode)
+    })
+  })
+
+  describe('color input', () => {
+    const { Colors, Buttons } = Launchpad
+
+    it('maps CSS colors and tuples to the closest red/green levels', async () => {
+      assert.strictEqual(Launchpad.color('#ff0000'), Colors.Red)
+      assert.strictEqual(Launchpad.color('yellow'), Colors.Amber)
+      assert.strictEqual(Launchpad.color('rgb(255, 100, 0)'), Colors.OrangeRed)
+      assert.strictEqual(Launchpad.color([0, 0, 255]), Colors.Off)
+      assert.strictEqual(Launchpad.color('hsl(120, 100%, 50%)', { rgbModel: true }).name, 'rgb(0, 255, 0)')
+      assert.throws(() => Launchpad.color('#12'), /Invalid color/)
+      const rounded = Launchpad.color([127.5, 0.4, 254.6], { rgbModel: true })
+      assert.strictEqual(rounded.name, 'rgb(128, 0, 255)')
+      assert.deepStrictEqual(Launchpad.colorFromName(rounded.name).rgb, [128, 0, 255])
+
+      await pad.setSingleLED(Buttons['00'], '#f80')
+      assert.strictEqual(pad.ledBuffers[0]['00'], Colors.Orange)
+      assert.deepStrictEqual(harness.sent.slice(-1), [[0x90, 0x00, 0x23]])
+    })
+
+    it('dithers shades between two levels by flashing the buffers', async () => {
+      const pair = Launchpad.ditheredColor('#804000')
+      assert.deepStrictEqual([pair.color, pair.flashColor], [Colors.RedLow, Colors.OrangeMed])
+      assert.strictEqual(Launchpad.ditheredColor('#804000', { dither: false }).color, Colors.OrangeMed)
+
+      harness.clear()
+      const result = await pad.renderDithered({ '00': '#804000', '11': 'red' })
+      assert.strictEqual(result.dithered, 1)
+      assert.deepStrictEqual(harness.sent, [
+        [0xB0, 0x00, 32 + 4], [0x90, 0x00, 0x12], [0x90, 0x11, 0x03],
+        [0xB0, 0x00, 32], [0x90, 0x00, 0x01], [0x90, 0x11, 0x03],
+        [0xB0, 0x00, 32 + 8]
+      ])
+
+      harness.clear()
+      assert.strictEqual((await pad.renderDithered({ '00': 'red' })).dithered, 0)
+      assert.deepStrictEqual(harness.sent.slice(-1), [[0xB0, 0x00, 32]])
+    })
+  })
+
+  describe('buffer control', () => {
+    beforeEach(() => harness.clear())
+
+    it('sets the display bit', async () => {
+      await pad.switchDisplayingBuffer()
+      await pad.switchDisplayingBuffer()
+      assert.deepStrictEqual(harness.sent, [[0xB0, 0x00, 32 + 1], [0xB0, 0x00, 32]])
+    })
+
+    it('sets the update and copy bits', async () => {
+      await pad.switchUpdatingBuffer(true)
+      await pad.switchUpdatingBuffer()
+      assert.deepStrictEqual(harness.sent, [[0xB0, 0x00, 32 + 4 + 16], [0xB0, 0x00, 32]])
+    })
+
+    it('sets the flash bit', async () => {
+      await pad.switchDisplayingBuffer()
+      await pad.switchFlash()
+      assert.deepStrictEqual(harness.sent[1], [0xB0, 0x00, 32 + 1 + 8])
+    })
+
+    it('presents background work atomically', async () => {
+      await pad.workOnBackgroundBuffer(() => pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.Colors.Red))
+      assert.deepStrictEqual(harness.sent, [
+        [0xB0, 0x00, 32 + 4 + 16],
+        [0xB0, 0x00, 32],
+        [0xB0, 0x00, 32 + 1],
+        [0x90, 0x00, 0x03],
+        [0xB0, 0x00, 32]
+      ])
+    })
+
+    it('reports buffer and duty cycle changes once each', async () => {
+      const states = []
+      pad.on('buffers', state => states.push(state))
+      await pad.switchDisplayingBuffer()
+      await pad.switchFlash()
+      await pad.setDutyCycle(3, 7)
+      await pad.setDutyCycle(3, 7)
+      await pad.reset()
+      await pad.reset()
+      assert.deepStrictEqual(states, [
+        { displayingBuffer: 1, updatingBuffer: 0, flashing: false, dutyCycle: { numerator: 1, denominator: 5 } },
+        { displayingBuffer: 1, updatingBuffer: 0, flashing: true, dutyCycle: { numerator: 1, denominator: 5 } },
+        { displayingBuffer: 1, updatingBuffer: 0, flashing: true, dutyCycle: { numerator: 3, denominator: 7 } },
+        { displayingBuffer: 0, updatingBuffer: 0, flashing: false, dutyCycle: { numerator: 1, denominator: 5 } }
+      ])
+    })
+  })
+
+  describe('led_changed', () => {
+    const { Colors, Buttons } = Launchpad
+    let events
+
+    beforeEach(() => {
+      events = []
+      pad.onLedChanged(event => events.push(event.changes.map(change => [change.buffer, change.button.name, change.oldColor.name, change.newColor.name])))
+    })
+
+    it('reports the changed LEDs of each command in one event', async () => {
+      await pad.setSingleLED(Buttons['00'], Colors.Red, true)
+      await pad.setSingleLED(Buttons['00'], Colors.Red)
+      await pad.setMultipleLED([Colors.Red, Colors.Green, Colors.Off, Colors.Amber])
+      assert.deepStrictEqual(events, [
+        [[0, '00', 'Off', 'Red'], [1, '00', 'Off', 'Red']],
+        [[0, '10', 'Off', 'Green'], [0, '30', 'Off', 'Amber']]
+      ])
+    })
+
+    it('reports the LEDs a buffer copy changes', async () => {
+      await pad.setSingleLED(Buttons.Mixer, Colors.Green)
+      await pad.switchUpdatingBuffer(true)
+      assert.deepStrictEqual(events[1], [[1, 'Mixer', 'Off', 'Green']])
+      assert.strictEqual(pad.ledBuffers[1].Mixer, Colors.Green)
+
+      await pad.reset()
+      assert.deepStrictEqual(events[2], [[0, 'Mixer', 'Green', 'Off'], [1, 'Mixer', 'Green', 'Off']])
+    })
+
+    it('filters by the buttons of the changes', async () => {
+      const filtered = []
+      pad.onLedChanged(event => filtered.push(event.changes.length), { buttons: ['10'] })
+      await pad.setSingleLED(Buttons['00'], Colors.Red)
+      await pad.setMultipleLED([Colors.Green, Colors.Green])
+      assert.deepStrictEqual(filtered, [2])
+      assert.throws(() => pad.on('connected', () => {}, { buttons: ['00'] }), /Only button and LED events can be filtered/)
+    })
+  })
+
+  describe('render', () => {
+    let device
+
+    beforeEach(async () => {
+      device = new VirtualLaunchpad()
+      pad = new Launchpad(undefined, { transport: device.transport, model: 'classic' })
+      await pad.accessDevice()
+      harness.sent.length = 0
+      device.transport.onHostMessage(bytes => harness.sent.push(bytes))
+    })
+
+    function fullFrame (color) {
+      const frame = {}
+      Object.keys(Launchpad.Buttons).forEach(name => { frame[name] = color })
+      return frame
+    }
+
+    function assertVisible (frame) {
+      Object.keys(Launchpad.Buttons).forEach(name => {
+        assert.strictEqual(device.getVisibleLED(Launchpad.Buttons[name]), frame[name] || Launchpad.Colors.Off, name)
+      })
+    }
+
+    it('sends nothing when the frame is already shown', async () => {
+      assert.deepStrictEqual(await pad.render({}), { strategy: 'none', changed: 0 })
+      assert.deepStrictEqual(harness.sent, [])
+    })
+
+    it('updates a few LEDs individually', async () => {
+      const frame = { '33': Launchpad.Colors.Red }
+      assert.deepStrictEqual(await pad.render(frame), { strategy: 'single', changed: 1 })
+      assert.deepStrictEqual(harness.sent, [[0x90, 0x33, 0x03]])
+      assertVisible(frame)
+    })
+
+    it('draws big changes in the hidden buffer and swaps', async () => {
+      const frame = fullFrame(Launchpad.Colors.Green)
+      assert.deepStrictEqual(await pad.render(frame), { strategy: 'swap', changed: 80 })
+      assert.deepStrictEqual(harness.sent[0], [0xB0, 0x00, 32 + 4])
+      assert.strictEqual(harness.sent.filter(bytes => bytes[0] === 0x92).length, 40)
+      assert.deepStrictEqual(harness.sent[harness.sent.length - 1], [0xB0, 0x00, 32 + 1 + 4])
+      assertVisible(frame)
+    })
+
+    it('uses a rapid update in place when atomicity is not required', async () => {
+      const frame = fullFrame(Launchpad.Colors.Amber)
+      assert.deepStrictEqual(await pad.render(frame, { atomic: false }), { strategy: 'batch', changed: 80 })
+      assert.strictEqual(harness.sent.length, 41)
+      assertVisible(frame)
+    })
+
+    it('swaps back to a frame still held by the hidden buffer with one message', async () => {
+      const first = fullFrame(Launchpad.Colors.Red)
+      const second = fullFrame(Launchpad.Colors.Green)
+      await pad.render(first)
+      await pad.render(second)
+      harness.sent.length = 0
+      assert.deepStrictEqual(await pad.render(first), { strategy: 'swap', changed: 80 })
+      assert.deepStrictEqual(harness.sent, [[0xB0, 0x00, 32 + 1 + 4]])
+      assertVisible(first)
+    })
+
+    it('accepts frames as arrays in batch order', async () => {
+      await pad.render([Launchpad.Colors.Red, Launchpad.Colors.Green])
+      assertVisible({ '00': Launchpad.Colors.Red, '10': Launchpad.Colors.Green })
+    })
+  })
+
+  describe('snapshot', () => {
+    const { Colors, Buttons } = Launchpad
+
+    it('serializes both buffers by color name with the buffer settings', async () => {
+      await pad.setSingleLED(Buttons['00'], Colors.Red)
+      await pad.switchUpdatingBuffer()
+      await pad.setSingleLED(Buttons.Mixer, Colors.AmberLow)
+      await pad.switchFlash()
+      await pad.setBrightness(3)
+
+      const snapshot = JSON.parse(JSON.stringify(pad.snapshot()))
+      assert.strictEqual(snapshot.buffers[0]['00'], 'Red')
+      assert.strictEqual(snapshot.buffers[1]['00'], 'Off')
+      assert.strictEqual(snapshot.buffers[1].Mixer, 'AmberLow')
+      assert.deepStrictEqual([snapshot.displayingBuffer, snapshot.updatingBuffer, snapshot.flashing], [0, 1, true])
+      assert.deepStrictEqual(snapshot.dutyCycle, { numerator: 3, denominator: 5 })
+    })
+
+    it('restores a snapshot on the device, sending only the differences', async () => {
+      const device = new VirtualLaunchpad()
+      const source = new Launchpad(undefined, { transport: device.transport, model: 'classic' })
+      await source.accessDevice()
+      await source.render({ '00': Colors.Green, '11': Colors.Red })
+      await source.setSingleLED(Buttons.Up, Colors.Yellow)
+      await source.switchFlash()
+      const snapshot = JSON.stringify(source.snapshot())
+
+      await pad.setSingleLED(Buttons['11'], Colors.Red)
+      harness.clear()
+      await pad.restore(snapshot)
+      // The source rendered by swapping to buffer 1, so buffer 0 is cleared first, then buffer 1 is written and shown
+      assert.deepStrictEqual(harness.sent, [
+        [0x90, 0x11, 0x00],
+        [0xB0, 0x00, 32 + 4], [0x90, 0x00, 0x30], [0x90, 0x11, 0x03], [0xB0, 0x68, 0x32],
+        [0xB0, 0x00, 32 + 1 + 4 + 8]
+      ])
+      assert.deepStrictEqual(pad.snapshot(), JSON.parse(snapshot))
+      await assert.rejects(pad.restore({ version: 1, buffers: { 0: { '00': 'Blue' } }, displayingBuffer: 0, updatingBuffer: 0 }), /Invalid color Blue/)
+    })
+
+    it('checks the whole snapshot before sending anything', async () => {
+      const snapshot = pad.snapshot()
+      harness.clear()
+      const withRgb = Object.assign({}, snapshot, { buffers: { 0: Object.assign({}, snapshot.buffers[0], { '00': 'Red', '77': 'rgb(0, 0, 255)' }), 1: snapshot.buffers[1] } })
+      await assert.rejects(pad.restore(withRgb), /Invalid color rgb\(0, 0, 255\) in snapshot/)
+      await assert.rejects(pad.restore(Object.assign({}, withRgb, { buffers: snapshot.buffers, dutyCycle: { numerator: 0, denominator: 5 } })), /Invalid snapshot duty cycle/)
+      assert.deepStrictEqual(harness.sent, [])
+
+      const unconnected = new Launchpad(undefined, { transport: new VirtualLaunchpad().transport, model: 'classic' })
+      await assert.rejects(unconnected.restore(snapshot), /Device is not connected/)
+    })
+  })
+
+  describe('scrollText', () => {
+    it('draws the text with the bitmap font when there is no hardware support', async function () {
+      this.timeout(2000)
+      const device = new VirtualLaunchpad()
+      pad = new Launchpad(undefined, { transport: device.transport, model: 'classic' })
+      await pad.accessDevice()
+      await pad.setSingleLED(Launchpad.Buttons.Vol, Launchpad.Colors.Red)
+
+      const litDuringScroll = new Set()
+      device.onLedChanged(() => {
+        pad.getOrderedButtons('forBatch').slice(0, 64).forEach(button => {
+          if (device.getVisibleLED(button) !== Launchpad.Colors.Off) litDuringScroll.add(button.name)
+        })
+      })
+      await pad.scrollText('I', { speed: 20, color: Launchpad.Colors.Amber })
+
+      // The 'I' glyph is a full column with serifs, and the bottom row is left for descenders
+      for (let x = 0; x <= 7; x++) {
+        for (let y = 0; y <= 6; y++) assert.ok(litDuringScroll.has(`${x}${y}`), `${x}${y}`)
+        assert.ok(!litDuringScroll.has(`${x}7`), `${x}7`)
+      }
+      pad.getOrderedButtons('forBatch').slice(0, 64).forEach(button => {
+        assert.strictEqual(device.getVisibleLED(button), Launchpad.Colors.Off)
+      })
+      assert.strictEqual(device.getVisibleLED(Launchpad.Buttons.Vol), Launchpad.Colors.Red)
+    })
+
+    it('uses the hardware command of the Launchpad S and Mini', async () => {
+      const reply = [0xF0, 0x7E, 0x00, 0x06, 0x02, 0x00, 0x20, 0x29, 0x20, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF7]
+      harness = await createHarness({ model: 'auto' }, (bytes, transport) => {
+        if (bytes[0] === 0xF0 && bytes[1] === 0x7E) transport.sendToHost(reply)
+      })
+      harness.clear()
+
+      let finished = false
+      const scrolling = harness.pad.scrollText('Hi!', { color: Launchpad.Colors.Red, speed: 3 }).then(() => { finished = true })
+      await harness.pad.drain()
+      assert.deepStrictEqual(harness.sent, [[0xF0, 0x00, 0x20, 0x29, 0x09, 0x03, 3, 0x48, 0x69, 0x21, 0xF7]])
+      assert.ok(!finished)
+      harness.inject([0xB0, 0x00, 0x03])
+      await scrolling
+    })
+
+    it('stops looping text', async () => {
+      harness = await createHarness({ model: 'x' })
+      harness.clear()
+      const scrolling = harness.pad.scrollText('Loop', { color: Launchpad.paletteColor(21), loop: true, speed: 10 })
+      await harness.pad.drain()
+      await harness.pad.stopText()
+      await scrolling
+      assert.deepStrictEqual(harness.sent, [
+        [0xF0, 0x00, 0x20, 0x29, 0x02, 0x0C, 0x07, 1, 10, 0x00, 21, 0x4C, 0x6F, 0x6F, 0x70, 0xF7],
+        [0xF0, 0x00, 0x20, 0x29, 0x02, 0x0C, 0x07, 0xF7]
+      ])
+    })
+  })
+
+  describe('input', () => {
+    it('tracks presses and releases', () => {
+      const events = []
+      pad.onButtonPressed(button => events.push(['pressed', button.name]))
+      pad.onButtonReleased(button => events.push(['released', button.name]))
+
+      harness.inject([0x90, 0x24, 0x7F])
+      assert.ok(pad.isButtonPressed(Launchpad.Buttons['42']))
+      harness.inject([0xB0, 108, 0x7F])
+      assert.ok(pad.isButtonPressed(Launchpad.Buttons.Session))
+      harness.inject([0x90, 0x24, 0x00])
+      assert.ok(!pad.isButtonPressed(Launchpad.Buttons['42']))
+
+      assert.deepStrictEqual(events, [['pressed', '42'], ['pressed', 'Session'], ['released', '42']])
+    })
+
+    it('keeps the other listeners when one unsubscribes', () => {
+      const events = []
+      const stopFirst = pad.onButtonPressed(() => events.push('first'))
+      const stopSecond = pad.onButtonPressed(() => events.push('second'))
+      pad.onButtonPressed(() => events.push('third'))
+      stopFirst()
+      stopSecond()
+      pad.dispatchButtonPressed(Launchpad.Buttons['00'])
+      assert.deepStrictEqual(events, ['third'])
+    })
+
+    it('filters listeners by button and region, and removes once listeners', () => {
+      const events = []
+      pad.onButtonPressed(button => events.push(['Session', button.name]), { buttons: ['Session'] })
+      pad.on('pressed', button => events.push(['region', button.name]), { region: { x: 2, y: 2, width: 2, height: 2 } })
+      pad.once('pressed', button => events.push(['once', button.name]))
+      pad.on('*', (event, button) => events.push([event, button.name]))
+      assert.throws(() => pad.on('pressed', () => {}, { buttons: ['99'] }), /Invalid button 99/)
+
+      harness.inject([0x90, 0x33, 0x7F])
+      harness.inject([0xB0, 108, 0x7F])
+      harness.inject([0x90, 0x44, 0x7F])
+      assert.deepStrictEqual(events, [
+        ['region', '33'], ['once', '33'], ['pressed', '33'],
+        ['Session', 'Session'], ['pressed', 'Session'],
+        ['pressed', '44']
+      ])
+    })
+
+    it('keeps a read-only copy of the listeners, deprecated', () => {
+      const warnings = []
+      pad.on('warning', warning => warnings.push(warning.message))
+      const callback = () => {}
+      pad.onButtonReleased(callback)
+      assert.deepStrictEqual(pad.listeners.released, [{ callback }])
+      assert.deepStrictEqual(Object.keys(pad.listeners), ['pressed', 'released', 'led_changed'])
+      assert.strictEqual(warnings.length, 1)
+    })
+
+    it('tells hardware events from dispatched ones', () => {
+      const sources = []
+      pad.onButtonPressed((button, event) => {
+        assert.strictEqual(event.button, button)
+        assert.strictEqual(event.type, 'pressed')
+        assert.ok(event.timestamp > 0)
+        sources.push(event.source)
+      })
+      harness.inject([0x90, 0x00, 0x7F])
+      pad.dispatchButtonPressed(Launchpad.Buttons['00'])
+      assert.deepStrictEqual(sources, ['hardware', 'dispatch'])
+    })
+
+    it('isolates throwing listeners and reports their errors', () => {
+      const errors = []
+      const calls = []
+      pad.onButtonPressed(() => { throw new Error('Listener failed') })
+      pad.onButtonPressed(button => calls.push(button.name))
+      pad.on('error', (error, details) => errors.push([error.message, details.event]))
+      harness.inject([0x90, 0x00, 0x7F])
+      assert.deepStrictEqual(calls, ['00'])
+      assert.deepStrictEqual(errors, [['Listener failed', 'pressed']])
+    })
+
+    it('ignores unknown packets', () => {
+      const events = []
+      pad.onButtonPressed(button => events.push(button))
+
+      harness.inject([0x90, 0x24])
+      harness.inject([0x90, 0x24, 0x40])
+      harness.inject([0x90, 0x7F, 0x7F])
+      assert.deepStrictEqual(events, [])
+    })
+  })
+
+  describe('hot-plug', () => {
+    let device
+
+    beforeEach(async () => {
+      device = new VirtualLaunchpad()
+      pad = new Launchpad(undefined, { transport: device.transport, model: 'classic' })
+      await pad.accessDevice()
+    })
+
+    it('restores the LEDs, duty cycle and buffer settings when the device comes back', async () => {
+      const { Colors, Buttons } = Launchpad
+      await pad.setDutyCycle(3, 8)
+      await pad.setSingleLED(Buttons['00'], Colors.Red)
+      await pad.switchUpdatingBuffer()
+      await pad.setSingleLED(Buttons.Mixer, Colors.Green)
+      await pad.switchFlash()
+
+      const events = []
+      pad.onDisconnected(() => events.push('disconnected'))
+      const connected = new Promise(resolve => pad.onConnected(resolve))
+      device.unplug()
+      assert.ok(!pad.isConnected())
+      await pad.setSingleLED(Buttons['77'], Colors.Amber)
+      device.plug()
+      assert.strictEqual(device.getLED(Buttons['00'], 0), Colors.Off)
+      await connected
+
+      assert.deepStrictEqual(events, ['disconnected'])
+      assert.ok(pad.isConnected())
+      assert.deepStrictEqual(device.dutyCycle, { numerator: 3, denominator: 8 })
+      assert.strictEqual(device.getLED(Buttons['00'], 0), Colors.Red)
+      assert.strictEqual(device.getLED(Buttons.Mixer, 1), Colors.Green)
+      assert.strictEqual(device.getLED(Buttons['77'], 1), Colors.Amber)
+      assert.strictEqual(device.getLED(Buttons['00'], 1), Colors.Off)
+      assert.strictEqual(device.updatingBuffer, 1)
+      assert.strictEqual(device.displayingBuffer, 0)
+      assert.ok(device.flashing)
+    })
+  })
+})
@@ -0,0 +1,122 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const LaunchpadManager = require('../src/LaunchpadManager.js').default
+const pairPorts = require('../src/transports/pairPorts.js').default
+
+const { Colors, Buttons } = Launchpad
+
+function fakeNavigator (inputNames, outputNames) {
+  const inputs = inputNames.map((name, i) => ({ type: 'input', id: `input-${i}`, name, state: 'connected', onmidimessage: null }))
+  const outputs = outputNames.map((name, i) => {
+    const port = { type: 'output', id: `output-${i}`, name, state: 'connected', sent: [] }
+    port.send = data => port.sent.push(Array.from(data))
+    return port
+  })
+  const toMap = ports => new Map(ports.map(port => [port.id, port]))
+  const stateListeners = []
+  const access = {
+    inputs: toMap(inputs),
+    outputs: toMap(outputs),
+    addEventListener: (type, listener) => stateListeners.push(listener),
+    removeEventListener: (type, listener) => stateListeners.splice(stateListeners.indexOf(listener), 1)
+  }
+  return {
+    inputs,
+    outputs,
+    stateListeners,
+    setPortState: (port, state) => {
+      port.state = state
+      stateListeners.slice().forEach(listener => listener({ port }))
+    },
+    requestMIDIAccess: async () => access
+  }
+}
+
+describe('LaunchpadManager', () => {
+  it('pairs ports by name, then in order', () => {
+    assert.deepStrictEqual(pairPorts(['A', 'B', 'C'], ['B', 'X', 'A']), [[0, 2], [1, 0], [2, 1]])
+    assert.deepStrictEqual(pairPorts(['A', 'B'], ['A']), [[0, 0]])
+  })
+
+  it('closes the devices already open when one fails to connect', async () => {
+    const navigator = fakeNavigator(['Launchpad S', 'Launchpad S 2'], ['Launchpad S', 'Launchpad S 2'])
+    navigator.outputs[1].send = () => { throw new Error('Port closed') }
+    const manager = new LaunchpadManager(/Launchpad/, { transportOptions: { navigator }, launchpadOptions: { model: 'classic' } })
+    await assert.rejects(manager.connectAll(), /Port closed/)
+    assert.deepStrictEqual(manager.launchpads, [])
+    assert.strictEqual(navigator.inputs[0].onmidimessage, null)
+    assert.strictEqual(navigator.inputs[1].onmidimessage, null)
+    assert.strictEqual(navigator.stateListeners.length, 0)
+  })
+
+  describe('with two devices', () => {
+    let navigator, manager
+
+    beforeEach(async () => {
+      navigator = fakeNavigator(['Launchpad S', 'Launchpad S 2', 'Other'], ['Launchpad S 2', 'Launchpad S', 'Other'])
+      manager = new LaunchpadManager(/Launchpad/, { transportOptions: { navigator }, launchpadOptions: { model: 'classic' } })
+      await manager.connectAll()
+      navigator.outputs.forEach(port => { port.sent = [] })
+    })
+
+    it('connects a Launchpad to each device', async () => {
+      assert.strictEqual(manager.launchpads.length, 2)
+      await manager.launchpads[1].setSingleLED(Buttons['00'], Colors.Red)
+      assert.deepStrictEqual(navigator.outputs[0].sent, [[0x90, 0x00, 0x03]])
+      assert.deepStrictEqual(navigator.outputs[1].sent, [])
+
+      manager.disconnectAll()
+      assert.strictEqual(manager.launchpads.length, 0)
+      assert.strictEqual(navigator.inputs[0].onmidimessage, null)
+    })
+
+    it('follows devices being unplugged and plugged back in', async () => {
+      const [first, second] = manager.launchpads
+      const events = []
+      first.onDisconnected(() => events.push('disconnected'))
+      const connected = new Promise(resolve => first.onConnected(resolve))
+
+      navigator.setPortState(navigator.inputs[0], 'disconnected')
+      navigator.setPortState(navigator.outputs[1], 'disconnected')
+      assert.ok(!first.isConnected())
+      assert.ok(second.isConnected())
+      assert.deepStrictEqual(events, ['disconnected'])
+
+      await first.setSingleLED(Buttons['00'], Colors.Red)
+      navigator.setPortState(navigator.outputs[1], 'connected')
+      assert.deepStrictEqual(navigator.outputs[1].sent, [])
+      navigator.setPortState(navigator.inputs[0], 'connected')
+      await connected
+      assert.deepStrictEqual(navigator.outputs[1].sent, [[0xB0, 0x00, 0x00], [0xB0, 0x00, 32], [0x90, 0x00, 0x03], [0xB0, 0x00, 32]])
+
+      manager.disconnectAll()
+      assert.strictEqual(navigator.stateListeners.length, 0)
+    })
+
+    it('tiles the devices into one canvas', async () => {
+      const canvas = manager.createCanvas()
+      assert.strictEqual(canvas.width, 16)
+      assert.strictEqual(canvas.height, 8)
+      assert.deepStrictEqual(canvas.locate(9, 2), { pad: manager.launchpads[1], button: Buttons['12'] })
+
+      canvas.setPixel(1, 0, Colors.Green)
+      canvas.setPixel(9, 0, Colors.Red)
+      await canvas.render()
+      assert.deepStrictEqual(navigator.outputs[1].sent, [[0x90, 0x01, 0x30]])
+      assert.deepStrictEqual(navigator.outputs[0].sent, [[0x90, 0x01, 0x03]])
+      assert.throws(() => canvas.setPixel(16, 0, Colors.Red), /Invalid pixel/)
+      assert.throws(() => canvas.drawImage([[Colors.Amber, 'not a color']]), /Invalid color/)
+      assert.strictEqual(canvas.getPixel(0, 0), Colors.Off)
+    })
+
+    it('reports presses with canvas coordinates', () => {
+      const canvas = manager.createCanvas({ columns: 1 })
+      assert.strictEqual(canvas.height, 16)
+      const presses = []
+      canvas.onButtonPressed(event => presses.push([event.x, event.y, event.button.name]))
+      navigator.inputs[1].onmidimessage({ data: [0x90, 0x23, 0x7F] })
+      navigator.inputs[0].onmidimessage({ data: [0xB0, 0x68, 0x7F] })
+      assert.deepStrictEqual(presses, [[3, 10, '32'], [null, null, 'Up']])
+    })
+  })
+})
@@ -0,0 +1,113 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const LayerStack = require('../src/LayerStack.js').default
+const LoopbackTransport = require('../src/transports/LoopbackTransport.js').default
+const { createHarness } = require('./harness.js')
+
+const { Colors, Buttons } = Launchpad
+
+describe('LayerStack', () => {
+  let harness, pad, stack
+
+  beforeEach(async () => {
+    harness = await createHarness()
+    pad = harness.pad
+    stack = new LayerStack(pad)
+  })
+
+  function shown (name) {
+    return pad.ledBuffers[pad.displayingBuffer][name]
+  }
+
+  it('composites visible layers by z-order, letting unset buttons through', async () => {
+    const background = stack.createLayer({ name: 'background' })
+    const overlay = stack.createLayer({ name: 'overlay', zIndex: 1, region: ['00', '10', Buttons.Mixer] })
+    background.fill(Colors.GreenLow)
+    overlay.set(Buttons['00'], Colors.Red)
+    await overlay.set(Buttons.Mixer, Colors.Amber)
+
+    assert.strictEqual(shown('00'), Colors.Red)
+    assert.strictEqual(shown('10'), Colors.GreenLow)
+    assert.strictEqual(shown('Mixer'), Colors.Amber)
+
+    await overlay.hide()
+    assert.strictEqual(shown('00'), Colors.GreenLow)
+    await overlay.show()
+    await overlay.unset(Buttons['00'])
+    assert.strictEqual(shown('00'), Colors.GreenLow)
+
+    await background.setZIndex(2)
+    assert.strictEqual(shown('Mixer'), Colors.GreenLow)
+    await background.clear()
+    assert.strictEqual(shown('Mixer'), Colors.Amber)
+    assert.strictEqual(shown('77'), Colors.Off)
+  })
+
+  it('sends changes made in the same tick together', async () => {
+    const layer = stack.createLayer()
+    await stack.update()
+    harness.clear()
+    layer.set(Buttons['00'], Colors.Red)
+    layer.set(Buttons['00'], Colors.Green)
+    await layer.set(Buttons['01'], Colors.Green)
+    // A single swap, without the intermediate red
+    assert.deepStrictEqual(harness.sent, [[0xB0, 0x00, 32 + 4], [0x90, 0x00, 0x30], [0x90, 0x10, 0x30], [0xB0, 0x00, 32 + 1 + 4]])
+  })
+
+  it('rejects writes outside the layer region', () => {
+    const layer = stack.createLayer({ region: [Buttons['00']] })
+    assert.throws(() => layer.set(Buttons['11'], Colors.Red), /outside of the layer region/)
+    assert.throws(() => stack.createLayer({ region: ['99'] }), /Invalid button 99/)
+  })
+
+  it('routes button events to the topmost visible layer claiming the button', () => {
+    const base = stack.createLayer()
+    const menu = stack.createLayer({ zIndex: 1, region: ['00'] })
+    const events = []
+    base.onButtonPressed(button => events.push(['base', button.name]))
+    menu.onButtonPressed(button => events.push(['menu', button.name]))
+    menu.onButtonReleased(button => events.push(['menu released', button.name]))
+
+    harness.inject([0x90, 0x00, 0x7F])
+    harness.inject([0x90, 0x00, 0x00])
+    harness.inject([0x90, 0x01, 0x7F])
+    menu.hide()
+    harness.inject([0x90, 0x00, 0x7F])
+
+    assert.deepStrictEqual(events, [['menu', '00'], ['menu released', '00'], ['base', '10'], ['base', '00']])
+  })
+
+  it('sends releases to the layer that got the press', () => {
+    const base = stack.createLayer()
+    const events = []
+    base.onButtonReleased(button => events.push(['base released', button.name]))
+    harness.inject([0x90, 0x00, 0x7F])
+    const menu = stack.createLayer({ zIndex: 1 })
+    menu.onButtonReleased(button => events.push(['menu released', button.name]))
+    harness.inject([0x90, 0x00, 0x00])
+
+    assert.deepStrictEqual(events, [['base released', '00']])
+  })
+
+  it('reports errors thrown by layer listeners on the layer', () => {
+    const layer = stack.createLayer()
+    const events = []
+    layer.on('error', (error, { event }) => events.push([error.message, event]))
+    layer.onButtonPressed(() => { throw new Error('Broken listener') })
+    layer.on('pressed', button => events.push(button.name))
+    harness.inject([0x90, 0x00, 0x7F])
+    assert.deepStrictEqual(events, [['Broken listener', 'pressed'], '00'])
+  })
+
+  it('waits for the Launchpad to be connected, and reports failed updates', async () => {
+    const disconnected = new LayerStack(new Launchpad(undefined, { transport: new LoopbackTransport() }))
+    await disconnected.createLayer().set(Buttons['00'], Colors.Red)
+
+    const errors = []
+    stack.on('error', (error, { event }) => errors.push([error.message, event]))
+    pad.render = async () => { throw new Error('Device failure') }
+    stack.createLayer()
+    await new Promise(resolve => setTimeout(resolve))
+    assert.deepStrictEqual(errors, [['Device failure', 'update']])
+  })
+})
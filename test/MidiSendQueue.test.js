@@ -0,0 +1,56 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const MidiSendQueue = require('../src/MidiSendQueue.js').default
+const { createHarness } = require('./harness.js')
+
+describe('MidiSendQueue', () => {
+  it('resolves each packet once it is sent, in order', async () => {
+    const sent = []
+    const queue = new MidiSendQueue(bytes => sent.push(bytes))
+    const first = queue.enqueue([1])
+    const second = queue.enqueue([2])
+    assert.strictEqual(queue.size, 1)
+    await first
+    assert.deepStrictEqual(sent[0], [1])
+    await second
+    assert.deepStrictEqual(sent, [[1], [2]])
+  })
+
+  it('throttles to the configured rate', async () => {
+    const times = []
+    const queue = new MidiSendQueue(() => times.push(Date.now()), { rate: 100 })
+    await Promise.all([queue.enqueue([1]), queue.enqueue([2]), queue.enqueue([3])])
+    assert.ok(times[2] - times[0] >= 18, `sent within ${times[2] - times[0]}ms`)
+  })
+
+  it('coalesces queued packets with the same key, up to the last barrier', async () => {
+    const sent = []
+    const queue = new MidiSendQueue(bytes => sent.push(bytes))
+    queue.enqueue([0], 'a')
+    const replaced = queue.enqueue([1], 'a')
+    queue.enqueue([2], 'b')
+    const replacing = queue.enqueue([3], 'a')
+    queue.enqueue([4])
+    queue.enqueue([5], 'a')
+    assert.strictEqual(replaced, replacing)
+    await queue.drain()
+    assert.deepStrictEqual(sent, [[0], [3], [2], [4], [5]])
+    assert.strictEqual(queue.coalesced, 1)
+  })
+
+  it('rejects the packets the transport fails to send', async () => {
+    const queue = new MidiSendQueue(async () => { throw new Error('Port closed') })
+    await assert.rejects(queue.enqueue([1]), /Port closed/)
+  })
+
+  it('coalesces repeated writes to the same LED', async () => {
+    const { pad, sent, clear } = await createHarness({ rate: 200 })
+    clear()
+    const writes = [Launchpad.Colors.Red, Launchpad.Colors.Green, Launchpad.Colors.Amber].map(color => pad.setSingleLED(Launchpad.Buttons['44'], color))
+    writes.push(pad.setSingleLED(Launchpad.Buttons['44'], Launchpad.Colors.Lime))
+    await Promise.all(writes)
+    // The queue is still waiting after the reset message, so only the last write goes out
+    assert.deepStrictEqual(sent, [[0x90, 0x44, 0x31]])
+    assert.strictEqual(pad.ledBuffers[0]['44'], Launchpad.Colors.Lime)
+  })
+})
@@ -0,0 +1,181 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const ProgrammerModeDriver = require('../src/drivers/ProgrammerModeDriver.js').default
+const LoopbackTransport = require('../src/transports/LoopbackTransport.js').default
+const WebMidiTransport = require('../src/transports/WebMidiTransport.js').default
+const VirtualLaunchpad = require('../src/VirtualLaunchpad.js').default
+const { createHarness } = require('./harness.js')
+
+const inquiry = [0xF0, 0x7E, 0x7F, 0x06, 0x01, 0xF7]
+const miniMk3Reply = [0xF0, 0x7E, 0x00, 0x06, 0x02, 0x00, 0x20, 0x29, 0x13, 0x01, 0x00, 0x00, 0x00, 0x00, 0x04, 0x05, 0xF7]
+const header = [0xF0, 0x00, 0x20, 0x29, 0x02, 0x0D]
+
+function fakeMidiAccess (sysexEnabled) {
+  const output = { type: 'output', id: 'out', name: 'Launchpad S', state: 'connected', sent: [] }
+  output.send = data => output.sent.push(Array.from(data))
+  const input = { type: 'input', id: 'in', name: 'Launchpad S', state: 'connected' }
+  return { sysexEnabled, inputs: new Map([['in', input]]), outputs: new Map([['out', output]]), addEventListener () {} }
+}
+
+function answerInquiry (reply) {
+  return (bytes, transport) => {
+    if (bytes.join() === inquiry.join()) transport.sendToHost(reply)
+  }
+}
+
+describe('ProgrammerModeDriver', () => {
+  describe('model detection', () => {
+    it('picks the driver from the device inquiry reply', async () => {
+      const { pad, sent } = await createHarness({ model: 'auto' }, answerInquiry(miniMk3Reply))
+      assert.strictEqual(pad.model, 'mini-mk3')
+      assert.deepStrictEqual(sent[0], inquiry)
+      assert.deepStrictEqual(sent[1], header.concat([0x0E, 0x01, 0xF7]))
+      assert.deepStrictEqual(sent[2].slice(0, 10), header.concat([0x03, 0x00, 81, 0x00]))
+    })
+
+    it('falls back to the original protocol without a reply', async () => {
+      const { pad, sent } = await createHarness({ model: 'auto', inquiryTimeout: 10 })
+      assert.strictEqual(pad.model, 'classic')
+      assert.deepStrictEqual(sent, [inquiry, [0xB0, 0x00, 0x00]])
+    })
+
+    it('falls back to the original protocol when SysEx permission is denied', async () => {
+      const access = fakeMidiAccess(false)
+      const navigator = {
+        requestMIDIAccess: async ({ sysex }) => {
+          if (sysex) throw new Error('Permission denied')
+          return access
+        }
+      }
+      const pad = new Launchpad(undefined, { transport: new WebMidiTransport({ sysex: 'optional', navigator }) })
+      await pad.accessDevice()
+      assert.strictEqual(pad.model, 'classic')
+      assert.deepStrictEqual(access.outputs.get('out').sent, [[0xB0, 0x00, 0x00]])
+    })
+
+    it('refuses SysEx on listed devices when the permission was not granted', async () => {
+      const access = fakeMidiAccess(false)
+      const navigator = { requestMIDIAccess: async () => access }
+      const [transport] = await WebMidiTransport.listDevices(/Launchpad/, { sysex: 'optional', navigator })
+      assert.strictEqual(transport.sysexEnabled, false)
+      await transport.open()
+      await assert.rejects(transport.send(inquiry), /SysEx permission was not granted/)
+      await transport.send([0xB0, 0x00, 0x00])
+      assert.deepStrictEqual(access.outputs.get('out').sent, [[0xB0, 0x00, 0x00]])
+    })
+
+    it('rejects Novation models no driver supports, and warns about unknown ones', async () => {
+      const mk2Reply = miniMk3Reply.slice()
+      mk2Reply[8] = 0x69
+      mk2Reply[9] = 0x00
+      await assert.rejects(createHarness({ model: 'auto' }, answerInquiry(mk2Reply)), /Unsupported model Launchpad MK2/)
+
+      const unknownReply = miniMk3Reply.slice()
+      unknownReply[8] = 0x7A
+      const transport = new LoopbackTransport()
+      transport.onHostMessage(bytes => answerInquiry(unknownReply)(bytes, transport))
+      const pad = new Launchpad(undefined, { transport })
+      const warnings = []
+      pad.on('warning', warning => warnings.push(warning.message))
+      await pad.accessDevice()
+      assert.strictEqual(pad.model, 'classic')
+      assert.deepStrictEqual(warnings, ['Unknown Novation model with family code 0x7a 0x01, driven with the original Launchpad protocol'])
+    })
+
+    it('drives the Launchpad S and Mini as the original Launchpad without warning', async () => {
+      const device = new VirtualLaunchpad()
+      const pad = new Launchpad(undefined, { transport: device.transport })
+      const warnings = []
+      pad.on('warning', warning => warnings.push(warning.message))
+      await pad.accessDevice()
+      assert.strictEqual(pad.model, 'classic')
+      assert.ok(pad.deviceIdentity)
+      assert.deepStrictEqual(warnings, [])
+    })
+
+    it('ignores replies from other manufacturers', () => {
+      const reply = miniMk3Reply.slice()
+      reply[7] = 0x30
+      assert.strictEqual(ProgrammerModeDriver.fromInquiry(reply), null)
+    })
+  })
+
+  describe('layout', () => {
+    const driver = new ProgrammerModeDriver('x')
+
+    it('keeps the button names of the original models', () => {
+      assert.strictEqual(driver.buttonIndex(Launchpad.Buttons['00']), 81)
+      assert.strictEqual(driver.buttonIndex(Launchpad.Buttons['77']), 18)
+      assert.strictEqual(driver.buttonIndex(Launchpad.Buttons.Up), 91)
+      assert.strictEqual(driver.buttonIndex(Launchpad.Buttons.Mixer), 98)
+      assert.strictEqual(driver.buttonIndex(Launchpad.Buttons.Vol), 89)
+      assert.strictEqual(driver.buttonIndex(Launchpad.Buttons.Arm), 19)
+    })
+
+    it('parses button messages back to the same names', () => {
+      Object.values(Launchpad.Buttons).forEach(button => {
+        const index = driver.buttonIndex(button)
+        const status = button.x !== undefined ? 0x90 : 0xB0
+        assert.deepStrictEqual(driver.parseButtonMessage([status, index, 0x40], Launchpad.Buttons), { type: 'pressed', button })
+        assert.deepStrictEqual(driver.parseButtonMessage([status, index, 0x00], Launchpad.Buttons), { type: 'released', button })
+      })
+      assert.strictEqual(driver.parseButtonMessage([0x90, 99, 0x7F], Launchpad.Buttons), null)
+    })
+  })
+
+  describe('LED output', () => {
+    let harness, pad
+
+    beforeEach(async () => {
+      harness = await createHarness({ model: 'mini-mk3' })
+      pad = harness.pad
+      harness.clear()
+    })
+
+    it('sends RGB, palette and original colors with the lighting SysEx', async () => {
+      await pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.rgbColor(255, 0, 128))
+      await pad.setSingleLED(Launchpad.Buttons.Up, Launchpad.paletteColor(5))
+      await pad.setSingleLED(Launchpad.Buttons.Vol, Launchpad.Colors.Amber)
+      assert.deepStrictEqual(harness.sent, [
+        header.concat([0x03, 0x03, 81, 127, 0, 64, 0xF7]),
+        header.concat([0x03, 0x00, 91, 5, 0xF7]),
+        header.concat([0x03, 0x03, 89, 127, 127, 0, 0xF7])
+      ])
+      assert.strictEqual(pad.ledBuffers[0]['00'].name, 'rgb(255, 0, 128)')
+    })
+
+    it('sends a batch update as a single message', async () => {
+      await pad.setMultipleLED([Launchpad.paletteColor(1), Launchpad.paletteColor(2), Launchpad.paletteColor(3)])
+      assert.deepStrictEqual(harness.sent, [
+        header.concat([0x03, 0x00, 81, 1, 0x00, 82, 2, 0x00, 83, 3, 0xF7])
+      ])
+    })
+
+    it('emulates double buffering in software', async () => {
+      await pad.switchUpdatingBuffer()
+      await pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.paletteColor(5))
+      assert.deepStrictEqual(harness.sent, [])
+
+      await pad.switchDisplayingBuffer()
+      assert.strictEqual(harness.sent.length, 1)
+      assert.deepStrictEqual(harness.sent[0].slice(6, 10), [0x03, 0x00, 81, 5])
+
+      harness.clear()
+      await pad.switchFlash()
+      assert.deepStrictEqual(harness.sent[0].slice(6, 11), [0x03, 0x01, 81, 0, 5])
+    })
+
+    it('rejects unknown colors', async () => {
+      await assert.rejects(pad.setSingleLED(Launchpad.Buttons['00'], 'reddish'), /Invalid color/)
+    })
+
+    it('tracks presses from the programmer mode layout', () => {
+      harness.inject([0x90, 11, 0x52])
+      harness.inject([0xB0, 95, 0x7F])
+      assert.ok(pad.isButtonPressed(Launchpad.Buttons['07']))
+      assert.ok(pad.isButtonPressed(Launchpad.Buttons.Session))
+      harness.inject([0x90, 11, 0x00])
+      assert.ok(!pad.isButtonPressed(Launchpad.Buttons['07']))
+    })
+  })
+})
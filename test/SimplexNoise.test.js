@@ -0,0 +1,34 @@
+const assert = require('assert')
+const SimplexNoise = require('../src/SimplexNoise.js').default
+
+describe('SimplexNoise', () => {
+  it('gives the same noise for the same seed', () => {
+    const a = new SimplexNoise('launchpad')
+    const b = new SimplexNoise('launchpad')
+    const c = new SimplexNoise(42)
+    const points = [[0.3, 1.7], [0.3, 1.7, 2.1], [0.3, 1.7, 2.1, 5.9]]
+    points.forEach(point => {
+      assert.strictEqual(a.sample(point), b.sample(point))
+      assert.notStrictEqual(a.sample(point), c.sample(point))
+    })
+  })
+
+  it('keeps 4D noise, fBm and turbulence in range', () => {
+    const noise = new SimplexNoise(1)
+    let min = Infinity
+    let max = -Infinity
+    for (let i = 0; i < 2000; i++) {
+      const point = [i * 0.137, i * 0.071, i * 0.053, i * 0.029]
+      const value = noise.noise4d(...point)
+      min = Math.min(min, value)
+      max = Math.max(max, value)
+      assert.ok(Math.abs(noise.fbm(point, { octaves: 3 })) <= 1)
+      const turbulence = noise.turbulence(point.slice(0, 2))
+      assert.ok(turbulence >= 0 && turbulence <= 1)
+    }
+    assert.ok(min >= -1 && min < -0.5)
+    assert.ok(max <= 1 && max > 0.5)
+    assert.throws(() => noise.sample([1]), /Invalid point/)
+    assert.throws(() => noise.fbm([1, 2], { octaves: 1.5 }), /Invalid octaves/)
+  })
+})
@@ -0,0 +1,70 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const VirtualLaunchpad = require('../src/VirtualLaunchpad.js').default
+
+describe('VirtualLaunchpad', () => {
+  let device, pad, time
+
+  beforeEach(async () => {
+    time = 0
+    device = new VirtualLaunchpad({ now: () => time })
+    pad = new Launchpad(undefined, { transport: device.transport })
+    await pad.accessDevice()
+  })
+
+  it('agrees with the library bookkeeping for single and batch updates', async () => {
+    await pad.setSingleLED(Launchpad.Buttons.Up, Launchpad.Colors.Yellow)
+    await pad.setMultipleLED([Launchpad.Colors.Red, Launchpad.Colors.Green, Launchpad.Colors.Amber, Launchpad.Colors.Lime])
+    pad.getOrderedButtons().forEach(button => {
+      assert.strictEqual(device.getLED(button, 0), pad.ledBuffers[0][button.name], button.name)
+    })
+  })
+
+  it('applies the copy and clear flags to the other buffer', async () => {
+    await pad.setSingleLED(Launchpad.Buttons['11'], Launchpad.Colors.Red, true)
+    assert.strictEqual(device.getLED(Launchpad.Buttons['11'], 1), Launchpad.Colors.Red)
+    await pad.setSingleLED(Launchpad.Buttons['11'], Launchpad.Colors.Green, false, true)
+    assert.strictEqual(device.getLED(Launchpad.Buttons['11'], 0), Launchpad.Colors.Green)
+    assert.strictEqual(device.getLED(Launchpad.Buttons['11'], 1), Launchpad.Colors.Off)
+  })
+
+  it('models buffer switching, copying and flashing', async () => {
+    await pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.Colors.Red)
+    await pad.switchUpdatingBuffer(true)
+    assert.strictEqual(device.updatingBuffer, 1)
+    assert.strictEqual(device.getLED(Launchpad.Buttons['00'], 1), Launchpad.Colors.Red)
+
+    await pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.Colors.Green)
+    await pad.switchFlash()
+    assert.strictEqual(device.getVisibleLED(Launchpad.Buttons['00']), Launchpad.Colors.Red)
+    time = device.flashInterval
+    assert.strictEqual(device.getVisibleLED(Launchpad.Buttons['00']), Launchpad.Colors.Green)
+  })
+
+  it('tracks the duty cycle and all LEDs on', async () => {
+    await pad.setDutyCycle(12, 15)
+    assert.deepStrictEqual(device.dutyCycle, { numerator: 12, denominator: 15 })
+    await pad.allLEDsOn('low')
+    assert.strictEqual(device.getLED(Launchpad.Buttons.Vol, 1), Launchpad.Colors.AmberLow)
+    assert.deepStrictEqual(device.dutyCycle, { numerator: 1, denominator: 5 })
+  })
+
+  it('sends simulated presses back as MIDI input', () => {
+    const pressed = []
+    pad.onButtonPressed(button => pressed.push(button))
+    device.press(Launchpad.Buttons['63'])
+    device.press(Launchpad.Buttons.User2)
+    assert.deepStrictEqual(pressed, [Launchpad.Buttons['63'], Launchpad.Buttons.User2])
+    device.release(Launchpad.Buttons['63'])
+    assert.ok(!pad.isButtonPressed(Launchpad.Buttons['63']))
+  })
+
+  it('reports errors thrown by its listeners', async () => {
+    const errors = []
+    device.on('error', (error, { event }) => errors.push([error.message, event]))
+    device.onLedChanged(() => { throw new Error('Broken listener') })
+    await pad.setSingleLED(Launchpad.Buttons['00'], Launchpad.Colors.Red)
+    assert.deepStrictEqual(errors, [['Broken listener', 'led_changed']])
+    assert.strictEqual(device.getLED(Launchpad.Buttons['00'], 0), Launchpad.Colors.Red)
+  })
+})
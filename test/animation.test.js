@@ -0,0 +1,170 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const VirtualLaunchpad = require('../src/VirtualLaunchpad.js').default
+const Animator = require('../src/animation/Animator.js').default
+const Timeline = require('../src/animation/Timeline.js').default
+const Effects = require('../src/animation/Effects.js').default
+const Easing = require('../src/animation/Easing.js').default
+const mixColors = require('../src/animation/mixColors.js').default
+
+const { Colors, Buttons } = Launchpad
+
+describe('animation', () => {
+  describe('mixColors', () => {
+    it('crossfades through the red and green brightness levels', () => {
+      assert.strictEqual(mixColors(Colors.Off, Colors.Red, 0.33), Colors.RedLow)
+      assert.strictEqual(mixColors(Colors.Off, Colors.Red, 0.5), Colors.RedMed)
+      assert.strictEqual(mixColors(Colors.Red, Colors.Green, 0.5), Colors.AmberMed)
+      assert.strictEqual(mixColors(Colors.Red, Colors.Green, 2), Colors.Green)
+    })
+
+    it('blends RGB colors in RGB', () => {
+      assert.strictEqual(mixColors(Launchpad.rgbColor(0, 0, 0), Launchpad.rgbColor(100, 200, 50), 0.5).name, 'rgb(50, 100, 25)')
+      assert.strictEqual(mixColors(Colors.Red, Launchpad.rgbColor(0, 0, 255), 0.5).name, 'rgb(128, 0, 128)')
+    })
+  })
+
+  describe('Timeline', () => {
+    it('interpolates keyframes with easing and holds the last color', () => {
+      const timeline = new Timeline().track(Buttons['00'], [
+        { time: 100, color: Colors.Off, easing: Easing.step },
+        { time: 400, color: Colors.Amber }
+      ]).track(Buttons['11'], [
+        { time: 0, color: Colors.Off },
+        { time: 300, color: Colors.Green }
+      ])
+      assert.strictEqual(timeline.duration, 400)
+
+      const frame = {}
+      timeline.render(frame, 50)
+      assert.deepStrictEqual(frame, { '11': Colors.GreenLow })
+      timeline.render(frame, 200)
+      assert.deepStrictEqual(frame, { '00': Colors.Off, '11': Colors.GreenMed })
+      timeline.render(frame, 1000)
+      assert.deepStrictEqual(frame, { '00': Colors.Amber, '11': Colors.Green })
+    })
+
+    it('rejects invalid tracks', () => {
+      assert.throws(() => new Timeline().track(Buttons['00'], []), /Invalid keyframes/)
+      assert.throws(() => new Timeline().track(Buttons['00'], [{ time: 0 }]), /Invalid keyframe color/)
+    })
+  })
+
+  describe('Effects', () => {
+    it('ripples out from a button', () => {
+      const ripple = Effects.ripple(Buttons['33'], { color: Colors.Red, speed: 1, width: 1 })
+      const frame = {}
+      ripple.render(frame, 2000)
+      assert.strictEqual(frame['35'], Colors.Red)
+      assert.strictEqual(frame['53'], Colors.Red)
+      assert.strictEqual(frame['33'], undefined)
+      assert.strictEqual(frame['37'], undefined)
+    })
+
+    it('scrolls an image in and out', () => {
+      const image = [[Colors.Red, Colors.Green]]
+      const scroll = Effects.scroll(image, { speed: 1 })
+      assert.strictEqual(scroll.duration, 10000)
+
+      const frame = {}
+      scroll.render(frame, 1000)
+      assert.deepStrictEqual(frame, { '70': Colors.Red })
+      scroll.render(frame, 2000)
+      assert.deepStrictEqual(frame, { '60': Colors.Red, '70': Colors.Green })
+    })
+
+    it('wipes a color across the grid', () => {
+      const frame = {}
+      Effects.wipe(Colors.Amber, { direction: 'up', duration: 800 }).render(frame, 200)
+      assert.strictEqual(Object.keys(frame).length, 16)
+      assert.strictEqual(frame['07'], Colors.Amber)
+      assert.strictEqual(frame['76'], Colors.Amber)
+    })
+
+    it('renders a seeded noise field with a palette', () => {
+      const palette = [null, Colors.GreenLow, Colors.Green]
+      const render = (options, time) => {
+        const frame = {}
+        Effects.noiseField(palette, Object.assign({ seed: 'field' }, options)).render(frame, time)
+        return frame
+      }
+      const frame = render({}, 0)
+      assert.deepStrictEqual(render({}, 0), frame)
+      assert.notDeepStrictEqual(render({}, 3000), frame)
+      assert.ok(Object.keys(frame).every(name => /^[0-7]{2}$/.test(name) && palette.indexOf(frame[name]) > 0))
+      assert.ok(Object.keys(render({ turbulence: true, octaves: 3 }, 0)).length > 0)
+      assert.throws(() => Effects.noiseField([]), /Invalid palette/)
+    })
+
+    it('plays animations in sequence', () => {
+      const sequence = Effects.sequence(
+        Effects.wipe(Colors.Red, { duration: 100 }),
+        Effects.wipe(Colors.Green, { duration: 100 })
+      )
+      assert.strictEqual(sequence.duration, 200)
+      const frame = {}
+      sequence.render(frame, 150)
+      assert.strictEqual(frame['00'], Colors.Green)
+      assert.strictEqual(frame['70'], undefined)
+    })
+  })
+
+  describe('Animator', () => {
+    let device, pad, time, sent
+
+    beforeEach(async () => {
+      time = 0
+      device = new VirtualLaunchpad()
+      pad = new Launchpad(undefined, { transport: device.transport, model: 'classic' })
+      await pad.accessDevice()
+      sent = []
+      device.transport.onHostMessage(bytes => sent.push(bytes))
+    })
+
+    it('presents composed frames through the background buffer', async () => {
+      const animator = new Animator(pad, { now: () => time, background: { Mixer: Colors.Yellow } })
+      animator.add(Effects.wipe(Colors.Red, { duration: 800 }))
+      time = 400
+      await animator.tick()
+
+      assert.deepStrictEqual(sent.slice(0, 3), [[0xB0, 0x00, 32 + 4 + 16], [0xB0, 0x00, 32], [0xB0, 0x00, 32 + 1]])
+      assert.deepStrictEqual(sent[sent.length - 1], [0xB0, 0x00, 32])
+      assert.strictEqual(device.getVisibleLED(Buttons['30']), Colors.Red)
+      assert.strictEqual(device.getVisibleLED(Buttons['40']), Colors.Off)
+      assert.strictEqual(device.getVisibleLED(Buttons.Mixer), Colors.Yellow)
+    })
+
+    it('drops finished animations and loops looping ones', async () => {
+      const animator = new Animator(pad, { now: () => time })
+      const timeline = new Timeline({ loop: true }).track(Buttons['00'], [{ time: 0, color: Colors.Red }, { time: 100, color: Colors.Green }])
+      animator.add(timeline)
+      animator.add(Effects.wipe(Colors.Amber, { duration: 100 }))
+      time = 150
+      const frame = await animator.tick()
+      assert.strictEqual(animator.animations.length, 1)
+      assert.strictEqual(frame['00'], Colors.Amber)
+
+      time = 250
+      assert.strictEqual((await animator.tick())['00'], Colors.AmberMed)
+    })
+
+    it('ticks at the configured frame rate', async () => {
+      const animator = new Animator(pad, { fps: 100 })
+      let frames = 0
+      animator.add({ render: () => frames++ })
+      animator.start()
+      await new Promise(resolve => setTimeout(resolve, 100))
+      animator.stop()
+      assert.ok(frames >= 3 && frames <= 12, `${frames} frames`)
+    })
+
+    it('stops and reports frames that fail to draw', async () => {
+      const animator = new Animator(pad, { fps: 100 })
+      animator.add({ render: () => { throw new Error('Broken animation') } })
+      const reported = new Promise(resolve => animator.on('error', (error, { event }) => resolve([error.message, event])))
+      animator.start()
+      assert.deepStrictEqual(await reported, ['Broken animation', 'tick'])
+      assert.strictEqual(animator.running, false)
+    })
+  })
+})
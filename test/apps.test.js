@@ -0,0 +1,158 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const App = require('../src/apps/App.js').default
+const AppHost = require('../src/apps/AppHost.js').default
+const Snake = require('../src/apps/Snake.js').default
+const Life = require('../src/apps/Life.js').default
+const Simon = require('../src/apps/Simon.js').default
+const ReactionTimer = require('../src/apps/ReactionTimer.js').default
+const { createHarness } = require('./harness.js')
+
+const { Colors, Buttons } = Launchpad
+
+describe('AppHost', () => {
+  let harness, time, host
+
+  async function start (apps, options = {}) {
+    harness = await createHarness()
+    time = 0
+    host = new AppHost(harness.pad, apps, Object.assign({ now: () => time, random: () => 0 }, options))
+    host.start()
+    await host.draw()
+  }
+
+  afterEach(() => host.stop())
+
+  function shown (name) {
+    return harness.pad.ledBuffers[harness.pad.displayingBuffer][name]
+  }
+
+  function press (name) {
+    const button = Buttons[name]
+    if (button._note_key !== undefined) harness.inject([0x90, button._note_key, 0x7F])
+    else harness.inject([0xB0, button._automap_key, 0x7F])
+  }
+
+  it('runs the lifecycle and switches apps with User1, User2 and Session', async () => {
+    const log = []
+    class Recorder extends App {
+      init (host) {
+        super.init(host)
+        log.push(`${this.name} init`)
+      }
+
+      tick (time) { log.push(`${this.name} tick ${time}`) }
+      input ({ type, button }) { log.push(`${this.name} ${type} ${button.name}`) }
+      render (frame) { frame['00'] = Colors.Red; frame.User1 = Colors.Red }
+      teardown () { log.push(`${this.name} teardown`) }
+    }
+    const switches = []
+    await start([new Recorder('a'), new Recorder('b')])
+    host.on('switch', ({ app, index }) => switches.push([app.name, index]))
+
+    assert.strictEqual(shown('00'), Colors.Red)
+    assert.strictEqual(shown('User1'), Colors.GreenLow)
+    assert.strictEqual(shown('Session'), Colors.AmberLow)
+    await host.step(100)
+    press('12')
+    press('User2')
+    press('User1')
+    press('Session')
+    host.stop()
+
+    assert.deepStrictEqual(log, [
+      'a init', 'a tick 100', 'a pressed 12',
+      'a teardown', 'b init',
+      'b teardown', 'a init',
+      'a teardown', 'a init',
+      'a teardown'
+    ])
+    assert.deepStrictEqual(switches, [['b', 1], ['a', 0], ['a', 0]])
+  })
+
+  it('plays Snake', async () => {
+    const snake = new Snake()
+    await start([snake])
+    snake.food = { x: 3, y: 3 }
+
+    await host.step()
+    assert.strictEqual(snake.body.length, 4)
+    assert.deepStrictEqual(snake.body[0], { x: 3, y: 3 })
+    press('Left') // Backwards is ignored
+    press('35')
+    await host.step()
+    assert.deepStrictEqual(snake.body[0], { x: 3, y: 4 })
+    assert.strictEqual(shown('34'), Colors.Green)
+    assert.strictEqual(shown('33'), Colors.GreenMed)
+    assert.strictEqual(shown('03'), Colors.Off)
+
+    snake.body = [{ x: 3, y: 4 }, { x: 4, y: 4 }, { x: 4, y: 5 }, { x: 3, y: 5 }, { x: 2, y: 5 }]
+    await host.step()
+    assert.ok(snake.over)
+    assert.strictEqual(shown('34'), Colors.Red)
+    press('00')
+    assert.ok(!snake.over)
+  })
+
+  it('plays Life', async () => {
+    const life = new Life()
+    await start([life])
+    press('SendA')
+    press('31')
+    press('32')
+    press('33')
+
+    await host.step()
+    assert.deepStrictEqual(['22', '32', '42', '31'].map(name => shown(name)), [Colors.Green, Colors.GreenMed, Colors.Green, Colors.Off])
+    press('Vol')
+    await host.step()
+    assert.strictEqual(life.generation, 1)
+    assert.strictEqual(shown('Vol'), Colors.Amber)
+  })
+
+  it('plays Simon', async () => {
+    const simon = new Simon()
+    await start([simon])
+
+    await host.step(0)
+    assert.strictEqual(shown('00'), Colors.Green)
+    assert.strictEqual(shown('77'), Colors.Off)
+    await host.step(600)
+    assert.strictEqual(simon.state, 'input')
+    time = 700
+    press('33')
+    assert.strictEqual(simon.state, 'success')
+    await host.step(1300)
+    assert.strictEqual(simon.state, 'showing')
+    assert.deepStrictEqual(simon.sequence, [0, 0])
+
+    await host.step(2500)
+    time = 2500
+    press('77')
+    await host.step(2600)
+    assert.strictEqual(simon.state, 'fail')
+    assert.strictEqual(shown('00'), Colors.Red)
+    assert.strictEqual(simon.best, 1)
+  })
+
+  it('times reactions', async () => {
+    const timer = new ReactionTimer()
+    await start([timer])
+
+    press('Vol')
+    assert.strictEqual(timer.state, 'early')
+    press('55')
+    await host.step(999)
+    assert.strictEqual(timer.state, 'waiting')
+    await host.step(1000)
+    assert.strictEqual(shown('00'), Colors.Amber)
+    time = 1250
+    press('01')
+    press('00')
+    await host.draw()
+    assert.strictEqual(timer.result, 250)
+    assert.strictEqual(shown('00'), Colors.Green)
+    assert.strictEqual(shown('03'), Colors.Green)
+    assert.strictEqual(shown('13'), Colors.Off)
+  })
+})
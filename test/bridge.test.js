@@ -0,0 +1,151 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const BridgeServer = require('../src/bridge/BridgeServer.js').default
+const BridgeClient = require('../src/bridge/BridgeClient.js').default
+const LoopbackSocket = require('../src/bridge/LoopbackSocket.js').default
+const LoopbackTransport = require('../src/transports/LoopbackTransport.js').default
+const { encodeOscMessage, decodeOscPacket } = require('../src/bridge/osc.js')
+const { createHarness } = require('./harness.js')
+
+const { Colors, Buttons } = Launchpad
+
+describe('bridge', () => {
+  let harness, server, client
+
+  beforeEach(async () => {
+    harness = await createHarness()
+    await harness.pad.setSingleLED(Buttons.Mixer, Colors.Amber)
+    server = new BridgeServer(harness.pad)
+    const [serverSide, clientSide] = LoopbackSocket.pair()
+    server.accept(serverSide)
+    client = new BridgeClient(clientSide)
+    await client.accessDevice()
+    harness.clear()
+  })
+
+  afterEach(() => server.close())
+
+  it('mirrors the LED state and runs commands on the shared Launchpad', async () => {
+    assert.strictEqual(client.ledBuffers[0].Mixer, Colors.Amber)
+    const changes = []
+    client.onLedChanged(event => changes.push(...event.changes.map(change => [change.button.name, change.newColor])))
+
+    await client.setSingleLED(Buttons['00'], 'red')
+    await client.setMultipleLED([Colors.Red, Colors.Green])
+    assert.deepStrictEqual(harness.sent, [[0x90, 0x00, 0x03], [0x92, 0x03, 0x30], [0x90, 0x00, 0x03]])
+    assert.deepStrictEqual(changes, [['00', Colors.Red], ['10', Colors.Green]])
+    assert.strictEqual(client.ledBuffers[0]['10'], Colors.Green)
+
+    await client.switchDisplayingBuffer()
+    assert.strictEqual(client.displayingBuffer, 1)
+    const states = []
+    client.on('buffers', state => states.push(state))
+    await harness.pad.switchFlash()
+    await new Promise(resolve => setTimeout(resolve))
+    assert.deepStrictEqual(states, [{ displayingBuffer: 1, updatingBuffer: 0, flashing: true, dutyCycle: { numerator: 1, denominator: 5 } }])
+    assert.strictEqual(client.flashingBuffers, 1)
+    assert.deepStrictEqual(await client.render({ '00': Colors.Red }, { atomic: false }), { strategy: 'single', changed: 1 })
+    await assert.rejects(client.setDutyCycle(0, 5), /Invalid numerator/)
+  })
+
+  it('forwards button events, and dispatches presses to every client', async () => {
+    const events = []
+    client.onButtonPressed((button, event) => events.push([button.name, event.source]), { buttons: ['00', '11'] })
+    harness.inject([0x90, 0x00, 0x7F])
+    harness.inject([0x90, 0x01, 0x7F])
+    await client.dispatchButtonPressed(Buttons['11'])
+    assert.deepStrictEqual(events, [['00', 'bridge'], ['11', 'bridge']])
+    assert.ok(client.isButtonPressed(Buttons['10']))
+    assert.ok(harness.pad.isButtonPressed(Buttons['00']))
+  })
+
+  it('rejects pending calls when the connection closes', async () => {
+    const call = client.reset()
+    client.close()
+    await assert.rejects(call, /Bridge connection closed/)
+    assert.ok(!client.isConnected())
+  })
+
+  it('draws frames, images and snapshots, rejecting bad arguments like the Launchpad', async () => {
+    const snapshot = harness.pad.snapshot()
+    const call = client.setSingleLED(null, 'red')
+    assert.ok(call instanceof Promise)
+    await assert.rejects(call, /Invalid button/)
+    await assert.rejects(client.render(null), /Invalid frame/)
+
+    await client.workOnBackgroundBuffer(() => client.applyFrame({ '00': Colors.Red, Mixer: Colors.Amber }))
+    assert.strictEqual(harness.pad.ledBuffers[harness.pad.displayingBuffer]['00'], Colors.Red)
+    assert.strictEqual(client.ledBuffers[client.displayingBuffer]['00'], Colors.Red)
+
+    const data = new Uint8ClampedArray(8 * 8 * 4).map((value, i) => i % 4 === 1 ? 0 : 255)
+    await client.drawImage({ width: 8, height: 8, data })
+    assert.strictEqual(harness.pad.ledBuffers[harness.pad.displayingBuffer]['77'], Colors.Red)
+    assert.strictEqual(harness.pad.ledBuffers[harness.pad.displayingBuffer].Mixer, Colors.Amber)
+
+    await client.restore(snapshot)
+    assert.deepStrictEqual(harness.pad.snapshot(), snapshot)
+  })
+
+  it('reports server messages it can\'t understand', async () => {
+    const [serverSide, clientSide] = LoopbackSocket.pair()
+    server.accept(serverSide)
+    const other = await new BridgeClient(clientSide).accessDevice()
+    const errors = []
+    other.on('error', (error, { event }) => errors.push([error.message, event]))
+    serverSide.send(JSON.stringify({ type: 'event', event: 'pressed', button: '99' }))
+    await new Promise(resolve => setTimeout(resolve))
+    assert.deepStrictEqual(errors, [['Invalid button 99', 'message']])
+  })
+
+  it('sends the error to clients connecting before the Launchpad is', async () => {
+    const early = new BridgeServer(new Launchpad(undefined, { transport: new LoopbackTransport(), model: 'classic' }))
+    const [serverSide, clientSide] = LoopbackSocket.pair()
+    early.accept(serverSide)
+    await assert.rejects(new BridgeClient(clientSide).accessDevice(), /Device is not connected/)
+    assert.strictEqual(early.clients.size, 0)
+  })
+
+  describe('OSC', () => {
+    function fakeUdpSocket () {
+      const socket = {
+        sent: [],
+        listener: null,
+        on: (event, listener) => { socket.listener = listener },
+        removeListener: () => { socket.listener = null },
+        send: (packet, port, address) => socket.sent.push([address, port].concat(...decodeOscPacket(packet).map(message => [message.address, message.args])))
+      }
+      return socket
+    }
+
+    it('encodes and decodes messages and bundles', () => {
+      const packet = encodeOscMessage('/launchpad/setSingleLED', ['00', 'Red', 1, 0.5, true])
+      assert.strictEqual(packet.length % 4, 0)
+      assert.deepStrictEqual(decodeOscPacket(packet), [{ address: '/launchpad/setSingleLED', args: ['00', 'Red', 1, 0.5, true] }])
+
+      const message = encodeOscMessage('/a', [])
+      const bundle = new Uint8Array(16 + 4 + message.length)
+      bundle.set(new TextEncoder().encode('#bundle')) // Then a zero time tag
+      new DataView(bundle.buffer).setInt32(16, message.length)
+      bundle.set(message, 20)
+      assert.deepStrictEqual(decodeOscPacket(bundle), [{ address: '/a', args: [] }])
+    })
+
+    it('runs commands from OSC peers and sends them the events', async () => {
+      const socket = fakeUdpSocket()
+      server.acceptOsc(socket)
+      const remote = { address: '10.0.0.2', port: 9000 }
+      socket.listener(encodeOscMessage('/launchpad/setSingleLED', ['00', 'GreenLow']), remote)
+      socket.listener(encodeOscMessage('/launchpad/setSingleLED', ['99', 'Red']), remote)
+      await harness.pad.drain()
+      await new Promise(resolve => setTimeout(resolve))
+      harness.inject([0x90, 0x00, 0x7F])
+
+      assert.deepStrictEqual(harness.sent, [[0x90, 0x00, 0x10]])
+      assert.deepStrictEqual(socket.sent, [
+        ['10.0.0.2', 9000, '/launchpad/led', [0, '00', 'GreenLow']],
+        ['10.0.0.2', 9000, '/launchpad/error', ['Invalid button 99']],
+        ['10.0.0.2', 9000, '/launchpad/pressed', ['00']]
+      ])
+    })
+  })
+})
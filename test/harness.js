@@ -0,0 +1,29 @@
+const Launchpad = require('../src/Launchpad.js').default
+const LoopbackTransport = require('../src/transports/LoopbackTransport.js').default
+
+/**
+ * Recorded-MIDI test harness
+ * Connects a Launchpad to a LoopbackTransport, records every packet it sends and lets tests inject input packets
+ * Model detection is skipped unless a model is given in the options
+ * @param  {Object} options Options passed to the Launchpad constructor, besides the transport
+ * @param  {function} respond Called with every packet sent and the transport, before the Launchpad connects, to fake device replies
+ * @return {promise} Resolves to { pad, transport, sent, inject, clear }
+ */
+async function createHarness (options = {}, respond) {
+  const transport = new LoopbackTransport()
+  const pad = new Launchpad(undefined, Object.assign({ model: 'classic' }, options, { transport }))
+  const sent = []
+  transport.onHostMessage(bytes => sent.push(bytes))
+  if (respond) transport.onHostMessage(bytes => respond(bytes, transport))
+  await pad.accessDevice()
+
+  return {
+    pad,
+    transport,
+    sent,
+    inject: bytes => transport.sendToHost(bytes),
+    clear: () => { sent.length = 0 }
+  }
+}
+
+module.exports.createHarness = createHarness
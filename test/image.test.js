@@ -0,0 +1,88 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const { toImageData, downscaleImage } = require('../src/image/imageData.js')
+const { createHarness } = require('./harness.js')
+
+const { Colors, Buttons } = Launchpad
+
+function createImage (width, height, pixel) {
+  const data = new Uint8ClampedArray(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(pixel(x, y), (y * width + x) * 4)
+  }
+  return { width, height, data }
+}
+
+describe('image', () => {
+  describe('downscaleImage', () => {
+    it('averages the pixels each cell covers, with transparency as black', () => {
+      const image = createImage(4, 2, x => x < 2 ? [255, 0, 0, 255] : [0, 200, 0, x === 3 ? 0 : 255])
+      assert.deepStrictEqual(downscaleImage(image, 2, 1), [[[255, 0, 0], [0, 100, 0]]])
+      assert.deepStrictEqual(downscaleImage(createImage(3, 1, x => [x * 90, 0, 0, 255]), 2, 1), [[[30, 0, 0], [150, 0, 0]]])
+    })
+
+    it('reads canvases and rejects unknown sources', () => {
+      const image = createImage(1, 1, () => [1, 2, 3, 255])
+      const canvas = { width: 1, height: 1, getContext: () => ({ getImageData: () => image }) }
+      assert.strictEqual(toImageData(canvas), image)
+      assert.throws(() => toImageData({ videoWidth: 0, videoHeight: 0 }), /It has no size yet/)
+      assert.throws(() => toImageData({ width: 2, height: 2, data: [] }), /Expected RGBA pixels/)
+    })
+  })
+
+  describe('drawImage', () => {
+    let harness, pad
+
+    beforeEach(async () => {
+      harness = await createHarness()
+      pad = harness.pad
+    })
+
+    it('downscales the image to the grid, keeping the side buttons', async () => {
+      await pad.setSingleLED(Buttons.Mixer, Colors.Yellow)
+      // Left half red, right half green, at 16x16
+      await pad.drawImage(createImage(16, 16, x => x < 8 ? [255, 0, 0, 255] : [0, 255, 0, 255]))
+      const shown = pad.ledBuffers[pad.displayingBuffer]
+      assert.strictEqual(shown['30'], Colors.Red)
+      assert.strictEqual(shown['47'], Colors.Green)
+      assert.strictEqual(shown.Mixer, Colors.Yellow)
+    })
+
+    it('covers the top row and scene launch column with sideButtons', async () => {
+      await pad.drawImage(createImage(9, 9, (x, y) => x === 8 || y === 0 ? [255, 255, 0, 255] : [0, 0, 0, 255]), { sideButtons: true })
+      const shown = pad.ledBuffers[pad.displayingBuffer]
+      assert.strictEqual(shown.Up, Colors.Amber)
+      assert.strictEqual(shown.Arm, Colors.Amber)
+      assert.strictEqual(shown['77'], Colors.Off)
+    })
+
+    it('streams frames from a source at the target rate', async () => {
+      let frames = 0
+      const canvas = {
+        width: 8,
+        height: 8,
+        getContext: () => ({
+          getImageData: () => {
+            const color = ++frames % 2 ? [255, 0, 0, 255] : [0, 0, 0, 255]
+            return createImage(8, 8, () => color)
+          }
+        })
+      }
+      const stop = pad.streamImage(canvas, { fps: 100 })
+      await new Promise(resolve => setTimeout(resolve, 100))
+      stop()
+      const count = frames
+      await new Promise(resolve => setTimeout(resolve, 30))
+      assert.strictEqual(frames, count)
+      assert.ok(count >= 3 && count <= 12, `${count} frames`)
+    })
+
+    it('stops streaming when a frame fails', async () => {
+      const errors = []
+      pad.on('error', (error, details) => errors.push([error.message, details.event]))
+      pad.streamImage({ videoWidth: 0, videoHeight: 0 })
+      await new Promise(resolve => setTimeout(resolve))
+      assert.deepStrictEqual(errors, [['Invalid image source: It has no size yet', 'streamImage']])
+    })
+  })
+})
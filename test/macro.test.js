@@ -0,0 +1,93 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const MacroRecorder = require('../src/macro/MacroRecorder.js').default
+const MacroPlayer = require('../src/macro/MacroPlayer.js').default
+const { createHarness } = require('./harness.js')
+
+const { Buttons } = Launchpad
+
+describe('macro', () => {
+  let harness, pad
+
+  beforeEach(async () => {
+    harness = await createHarness()
+    pad = harness.pad
+  })
+
+  function record (events) {
+    return pad.on('*', (type, button, event) => events.push([type, button.name, event.source]))
+  }
+
+  describe('MacroRecorder', () => {
+    it('records the hardware presses and releases with their timing', () => {
+      let time = 1000
+      const recorder = new MacroRecorder(pad, { now: () => time })
+      recorder.start()
+      time = 1100
+      harness.inject([0x90, 0x00, 0x7F])
+      pad.dispatchButtonPressed(Buttons['11'])
+      time = 1250
+      harness.inject([0x90, 0x00, 0x00])
+      time = 1300
+      const macro = recorder.stop()
+
+      assert.ok(!recorder.recording)
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(macro)), {
+        version: 1,
+        duration: 300,
+        events: [
+          { time: 100, type: 'pressed', button: '00' },
+          { time: 250, type: 'released', button: '00' }
+        ]
+      })
+      assert.throws(() => recorder.stop(), /Not recording/)
+    })
+  })
+
+  describe('MacroPlayer', () => {
+    const macro = {
+      version: 1,
+      duration: 60,
+      events: [
+        { time: 0, type: 'pressed', button: 'Session' },
+        { time: 20, type: 'released', button: 'Session' },
+        { time: 40, type: 'pressed', button: '77' }
+      ]
+    }
+
+    it('replays a macro through dispatched events, at a scaled speed', async () => {
+      const events = []
+      record(events)
+      const player = new MacroPlayer(pad, JSON.stringify(macro), { speed: 2 })
+      const start = Date.now()
+      await player.play()
+      assert.ok(Date.now() - start >= 15, `played in ${Date.now() - start}ms`)
+      assert.deepStrictEqual(events, [['pressed', 'Session', 'dispatch'], ['released', 'Session', 'dispatch'], ['pressed', '77', 'dispatch']])
+      assert.ok(!player.playing)
+    })
+
+    it('loops until stopped, releasing held buttons', async () => {
+      const events = []
+      record(events)
+      const player = new MacroPlayer(pad, macro, { speed: 4, loop: true })
+      let presses = 0
+      pad.onButtonPressed(() => {
+        if (++presses === 2) Promise.resolve().then(() => player.stop())
+      }, { buttons: ['77'] })
+      await player.play()
+      assert.ok(!player.playing)
+      assert.deepStrictEqual(events.map(event => event.slice(0, 2)), [
+        ['pressed', 'Session'], ['released', 'Session'], ['pressed', '77'], ['released', '77'],
+        ['pressed', 'Session'], ['released', 'Session'], ['pressed', '77'], ['released', '77']
+      ])
+    })
+
+    it('rejects invalid macros', () => {
+      assert.throws(() => new MacroPlayer(pad, { events: [] }), /Invalid macro/)
+      assert.throws(() => new MacroPlayer(pad, { version: 1, events: [{ time: 0, type: 'pressed', button: '99' }] }), /Invalid button 99/)
+      assert.throws(() => new MacroPlayer(pad, { version: 1, events: [{ time: 5, type: 'pressed', button: '00' }, { time: 1, type: 'released', button: '00' }] }), /Invalid macro event time/)
+      assert.throws(() => new MacroPlayer(pad, { version: 1, events: [] }, { loop: true }), /Only macros lasting longer than 0ms can loop/)
+      assert.throws(() => new MacroPlayer(pad, { version: 1, events: [{ time: 0, type: 'pressed', button: '00' }] }, { loop: true }), /Only macros lasting longer than 0ms can loop/)
+    })
+  })
+})
@@ -0,0 +1,110 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const ControllerMapping = require('../src/mapping/ControllerMapping.js').default
+const LoopbackTransport = require('../src/transports/LoopbackTransport.js').default
+const { createHarness } = require('./harness.js')
+
+const { Colors, Buttons } = Launchpad
+
+const profile = {
+  channel: 2,
+  colors: { on: 'Green', off: 'GreenLow' },
+  controls: [
+    { name: 'kick', type: 'momentary', button: '00', note: 36 },
+    { name: 'mute', type: 'toggle', button: 'Vol', cc: 20, onColor: 'Red' },
+    { name: 'scene', type: 'radio', buttons: ['Up', 'Down', 'Left'], notes: [60, 61, 62] },
+    { name: 'filter', type: 'radio', buttons: ['User1', 'User2'], cc: 21 },
+    { name: 'volume', type: 'fader', column: 7, cc: 7, channel: 0 }
+  ]
+}
+
+describe('ControllerMapping', () => {
+  let harness, output, sent, mapping
+
+  beforeEach(async () => {
+    harness = await createHarness()
+    output = new LoopbackTransport('Software')
+    await output.open('Software')
+    sent = []
+    output.onHostMessage(bytes => sent.push(bytes))
+    mapping = new ControllerMapping(harness.pad, JSON.stringify(profile), { output })
+    await mapping.draw()
+  })
+
+  afterEach(() => mapping.destroy())
+
+  function shown (name) {
+    return harness.pad.ledBuffers[0][name]
+  }
+
+  function press (button) {
+    harness.inject([0x90, button._note_key !== undefined ? button._note_key : button._automap_key, 0x7F])
+    if (button._note_key === undefined) return
+    harness.inject([0x90, button._note_key, 0x00])
+  }
+
+  it('sends the messages of each control type', async () => {
+    harness.inject([0x90, 0x00, 0x7F])
+    harness.inject([0x90, 0x00, 0x00])
+    press(Buttons.Vol)
+    press(Buttons.Vol)
+    harness.inject([0xB0, 0x68, 0x7F])
+    harness.inject([0xB0, 0x69, 0x7F])
+    harness.inject([0xB0, 0x6E, 0x7F])
+    press(Buttons['74'])
+    await Promise.resolve()
+
+    assert.deepStrictEqual(sent, [
+      [0x92, 36, 127], [0x82, 36, 0],
+      [0xB2, 20, 127], [0xB2, 20, 0],
+      [0x92, 60, 127], [0x82, 60, 0], [0x92, 61, 127],
+      [0xB2, 21, 127],
+      [0xB0, 7, 54]
+    ])
+    assert.strictEqual(mapping.getControl('volume').value, 54)
+  })
+
+  it('draws the controls and follows the feedback from the software', async () => {
+    assert.strictEqual(shown('00'), Colors.GreenLow)
+    assert.strictEqual(shown('77'), Colors.Green) // The fader bottom is always lit
+    assert.strictEqual(shown('76'), Colors.GreenLow)
+
+    const changes = []
+    mapping.onChange(change => changes.push([change.control.name, change.value, change.source]))
+    output.sendToHost([0xB2, 20, 127])
+    output.sendToHost([0x92, 62, 100])
+    output.sendToHost([0xB0, 7, 127])
+    await new Promise(resolve => setTimeout(resolve)) // Lets the LED updates go out
+
+    assert.deepStrictEqual(changes, [['mute', true, 'feedback'], ['scene', 2, 'feedback'], ['volume', 127, 'feedback']])
+    assert.strictEqual(shown('Vol'), Colors.Red)
+    assert.strictEqual(shown('Left'), Colors.Green)
+    assert.strictEqual(shown('70'), Colors.Green)
+  })
+
+  it('reports messages that fail to send and LEDs that fail to draw', async () => {
+    const errors = []
+    mapping.on('error', (error, { event }) => errors.push([error.message, event]))
+    output.close()
+    press(Buttons.Vol)
+    await new Promise(resolve => setTimeout(resolve))
+    assert.deepStrictEqual(errors, [['Device is not connected', 'send']])
+
+    const pad = new Launchpad(undefined, { transport: new LoopbackTransport(), model: 'classic' })
+    const early = new ControllerMapping(pad, profile, { output })
+    const drawErrors = []
+    early.on('error', (error, { event }) => drawErrors.push([error.message, event]))
+    await new Promise(resolve => setTimeout(resolve))
+    early.destroy()
+    assert.deepStrictEqual(drawErrors, [['Device is not connected', 'draw']])
+  })
+
+  it('rejects invalid profiles', () => {
+    assert.throws(() => ControllerMapping.parseProfile({ controls: [{ type: 'momentary', button: '00' }] }), /Needs a note or a cc/)
+    assert.throws(() => ControllerMapping.parseProfile({ controls: [{ type: 'fader', column: 0, note: 3 }] }), /Faders need a cc/)
+    assert.throws(() => ControllerMapping.parseProfile({
+      controls: [{ type: 'toggle', button: '00', cc: 1 }, { type: 'fader', column: 0, cc: 2 }]
+    }), /Button 00 is mapped twice/)
+    assert.throws(() => ControllerMapping.parseProfile({ controls: [{ type: 'toggle', button: '00', cc: 128 }] }), /Invalid MIDI value 128/)
+  })
+})
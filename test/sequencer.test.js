@@ -0,0 +1,148 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const StepSequencer = require('../src/sequencer/StepSequencer.js').default
+const MidiClock = require('../src/sequencer/MidiClock.js').default
+const InternalClock = require('../src/sequencer/InternalClock.js').default
+const { createHarness } = require('./harness.js')
+
+const { Colors, Buttons } = Launchpad
+
+describe('StepSequencer', () => {
+  let harness, clock, time, notes, sequencer
+
+  beforeEach(async () => {
+    harness = await createHarness()
+    time = 0
+    clock = new MidiClock({ now: () => time })
+    notes = []
+    sequencer = new StepSequencer(harness.pad, { clock, output: { send: bytes => notes.push(bytes) }, tracks: [{ note: 60, channel: 0 }] })
+    await sequencer.draw()
+  })
+
+  afterEach(() => sequencer.destroy())
+
+  function shown (name) {
+    return harness.pad.ledBuffers[harness.pad.displayingBuffer][name]
+  }
+
+  function press (name) {
+    const button = Buttons[name]
+    if (button._note_key !== undefined) harness.inject([0x90, button._note_key, 0x7F])
+    else harness.inject([0xB0, button._automap_key, 0x7F])
+  }
+
+  async function pulses (count) {
+    for (let i = 0; i < count; i++) {
+      time += 20
+      clock.handleMessage([0xF8])
+    }
+    await Promise.resolve()
+  }
+
+  it('edits steps, tracks and pages from the pad', async () => {
+    press('10')
+    press('Right')
+    press('71')
+    press('Pan')
+    press('Pan')
+    await sequencer.draw()
+
+    assert.ok(sequencer.isStepOn(0, 1))
+    assert.ok(sequencer.isStepOn(1, 15))
+    assert.strictEqual(sequencer.page, 1)
+    assert.strictEqual(sequencer.selectedTrack, 1)
+    assert.ok(sequencer.tracks[1].muted)
+    assert.strictEqual(shown('71'), Colors.RedLow)
+    assert.strictEqual(shown('Pan'), Colors.Red)
+    assert.strictEqual(shown('Left'), Colors.GreenLow)
+    assert.strictEqual(shown('Right'), Colors.Off)
+  })
+
+  it('plays the steps on the clock pulses, and ends the notes on stop', async () => {
+    sequencer.setStep(0, 0, true)
+    sequencer.setStep(0, 9, true)
+    const steps = []
+    sequencer.onStep(event => steps.push([event.step, event.tracks]))
+
+    clock.handleMessage([0xFA])
+    await pulses(1)
+    assert.deepStrictEqual(notes, [[0x90, 60, 100]])
+    await sequencer.draw()
+    assert.strictEqual(shown('00'), Colors.Amber)
+    assert.strictEqual(shown('01'), Colors.AmberLow)
+
+    await pulses(6 * 9)
+    assert.deepStrictEqual(steps.map(step => step[0]), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+    assert.deepStrictEqual(steps[9], [9, [0]])
+    await sequencer.draw()
+    assert.strictEqual(sequencer.page, 1)
+
+    clock.handleMessage([0xFC])
+    await Promise.resolve()
+    // Every note on got its note off
+    assert.deepStrictEqual(notes.filter(bytes => bytes[0] === 0x90), [[0x90, 60, 100], [0x90, 60, 100]])
+    assert.deepStrictEqual(notes.filter(bytes => bytes[0] === 0x80), [[0x80, 60, 0], [0x80, 60, 0]])
+    assert.deepStrictEqual(notes[notes.length - 1], [0x80, 60, 0])
+    assert.throws(() => sequencer.start(), /The clock follows an external transport/)
+  })
+
+  it('reports notes that fail to send, and keeps playing', async () => {
+    const failing = new StepSequencer(harness.pad, { clock, output: { send: () => { throw new Error('Port closed') } } })
+    failing.setStep(0, 0, true)
+    failing.setStep(0, 1, true)
+    const errors = []
+    failing.on('error', (error, { event }) => errors.push([error.message, event]))
+    const steps = []
+    failing.onStep(event => steps.push(event.step))
+
+    clock.handleMessage([0xFA])
+    await pulses(7)
+    failing.destroy()
+    await new Promise(resolve => setTimeout(resolve))
+    assert.deepStrictEqual(steps, [0, 1])
+    // Both note ons and the note offs
+    assert.ok(errors.length >= 3)
+    errors.forEach(error => assert.deepStrictEqual(error, ['Port closed', 'send']))
+  })
+
+  it('drops the swung steps still due when stopped, and rejects invalid gates', async () => {
+    const swung = new StepSequencer(harness.pad, { clock, swing: 0.1, output: { send: bytes => notes.push(bytes) } })
+    swung.setStep(0, 1, true)
+    const steps = []
+    swung.onStep(event => steps.push(event.step))
+
+    clock.handleMessage([0xFA])
+    await pulses(7)
+    clock.handleMessage([0xFC])
+    clock.handleMessage([0xFA])
+    await new Promise(resolve => setTimeout(resolve, 40))
+    swung.destroy()
+    assert.deepStrictEqual(steps, [0])
+
+    const output = { send () {} }
+    assert.throws(() => new StepSequencer(harness.pad, { output, gate: 0 }), /Invalid gate/)
+    assert.throws(() => new StepSequencer(harness.pad, { output, gate: 1.5 }), /Invalid gate/)
+  })
+
+  it('runs the internal clock at 24 pulses per quarter note', () => {
+    const internal = new InternalClock({ tempo: 125 })
+    assert.strictEqual(internal.pulseInterval, 20)
+    assert.throws(() => internal.setTempo(400), /Invalid tempo/)
+  })
+
+  it('keeps a single timer when a pulse listener restarts the internal clock', async () => {
+    const internal = new InternalClock({ tempo: 300 })
+    let count = 0
+    internal.on('pulse', () => {
+      if (++count > 1) return
+      internal.stop()
+      internal.start()
+    })
+    internal.start()
+    await new Promise(resolve => setTimeout(resolve))
+    internal.stop()
+    const stoppedAt = count
+    await new Promise(resolve => setTimeout(resolve, 30))
+    assert.strictEqual(count, stoppedAt)
+  })
+})
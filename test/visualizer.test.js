@@ -0,0 +1,241 @@
+const assert = require('assert')
+const Launchpad = require('../src/Launchpad.js').default
+const VirtualLaunchpad = require('../src/VirtualLaunchpad.js').default
+const LaunchpadVisualizer = require('../src/visualizer/LaunchpadVisualizer.js').default
+
+const { Colors, Buttons } = Launchpad
+
+// Just enough of the DOM for the element to build and render its cells
+class FakeElement {
+  constructor (tagName) {
+    this.tagName = tagName
+    this.children = []
+    this.parentNode = null
+    this.className = ''
+    this.dataset = {}
+    this.style = {}
+    this.textContent = ''
+    this.attributes = {}
+    this._listeners = {}
+  }
+
+  get classList () {
+    const names = () => this.className.split(' ').filter(name => name)
+    return {
+      contains: name => names().includes(name),
+      toggle: (name, force) => {
+        this.className = names().filter(other => other !== name).concat(force ? [name] : []).join(' ')
+      }
+    }
+  }
+
+  set innerHTML (html) {
+    this.children = []
+  }
+
+  append (...children) {
+    children.forEach(child => {
+      child.parentNode = this
+      this.children.push(child)
+    })
+  }
+
+  getAttribute (name) {
+    return name in this.attributes ? this.attributes[name] : null
+  }
+
+  hasAttribute (name) {
+    return name in this.attributes
+  }
+
+  addEventListener (type, listener) {
+    ;(this._listeners[type] = this._listeners[type] || []).push(listener)
+  }
+
+  fire (type) {
+    ;(this._listeners[type] || []).forEach(listener => listener({ preventDefault () {} }))
+  }
+}
+
+class TestVisualizer extends LaunchpadVisualizer {
+  constructor () {
+    super()
+    this.attributes = {}
+  }
+
+  attachShadow () {
+    this.shadowRoot = new FakeElement('#shadow-root')
+    return this.shadowRoot
+  }
+}
+;['getAttribute', 'hasAttribute'].forEach(method => {
+  TestVisualizer.prototype[method] = FakeElement.prototype[method]
+})
+
+const nextFrame = () => new Promise(resolve => setTimeout(resolve))
+
+describe('LaunchpadVisualizer', () => {
+  it('lays out every button once, like on the device', () => {
+    const layout = LaunchpadVisualizer.layout()
+    assert.strictEqual(layout.length, 9)
+    assert.deepStrictEqual(layout[0], ['Up', 'Down', 'Left', 'Right', 'Session', 'User1', 'User2', 'Mixer', null])
+    assert.deepStrictEqual(layout[1].slice(-2), ['70', 'Vol'])
+    assert.deepStrictEqual(layout[8].slice(-2), ['77', 'Arm'])
+    const names = [].concat(...layout).filter(name => name)
+    assert.deepStrictEqual(names.slice().sort(), Object.keys(Buttons).sort())
+  })
+
+  it('colors cells from a Launchpad or the emulator, alternating flashing buffers', async () => {
+    const device = new VirtualLaunchpad()
+    const pad = new Launchpad(undefined, { transport: device.transport })
+    await pad.accessDevice()
+    await pad.setSingleLED(Buttons['00'], Colors.Red)
+    await pad.switchUpdatingBuffer()
+    await pad.setSingleLED(Buttons['00'], Colors.Green)
+
+    ;[pad, device].forEach(source => {
+      assert.strictEqual(LaunchpadVisualizer.cellColor(source, '00', 0, 1).color, Colors.Red)
+      assert.strictEqual(LaunchpadVisualizer.cellColor(source, '00', 1).htmlColorCode, Colors.Green.htmlColorCode)
+    })
+
+    await pad.switchFlash()
+    ;[pad, device].forEach(source => {
+      assert.strictEqual(LaunchpadVisualizer.cellColor(source, '00', 0, 0).color, Colors.Red)
+      assert.strictEqual(LaunchpadVisualizer.cellColor(source, '00', 0, 1).color, Colors.Green)
+      // Only the displayed buffer flashes
+      assert.strictEqual(LaunchpadVisualizer.cellColor(source, '00', 1, 1).color, Colors.Green)
+    })
+  })
+
+  describe('element', () => {
+    const realSetInterval = setInterval
+    const realClearInterval = clearInterval
+    let intervals, device, pad, element
+
+    // The cell showing a button, in buffer 0 or 1
+    const cell = (name, buffer = 0) => element.shadowRoot.children.find(child => child.dataset.buffer === String(buffer))
+      .children.find(child => child.title === name)
+
+    before(() => {
+      global.document = { createElement: tagName => new FakeElement(tagName) }
+      global.setInterval = (callback, delay) => {
+        const timer = realSetInterval(callback, delay)
+        intervals.add(timer)
+        return timer
+      }
+      global.clearInterval = timer => {
+        intervals.delete(timer)
+        realClearInterval(timer)
+      }
+    })
+
+    after(() => {
+      delete global.document
+      global.setInterval = realSetInterval
+      global.clearInterval = realClearInterval
+    })
+
+    beforeEach(async () => {
+      intervals = new Set()
+      device = new VirtualLaunchpad()
+      pad = new Launchpad(undefined, { transport: device.transport })
+      await pad.accessDevice()
+      element = new TestVisualizer()
+      element.isConnected = true
+      element.connectedCallback()
+    })
+
+    afterEach(() => {
+      element.isConnected = false
+      element.disconnectedCallback()
+    })
+
+    it('redraws on buffer switches, and only ticks while LEDs flash', async () => {
+      element.launchpad = pad
+      await pad.setSingleLED(Buttons['00'], Colors.Red, true)
+      await pad.switchFlash()
+      await nextFrame()
+      assert.ok(cell('00', 0).parentNode.classList.contains('displayed'))
+      assert.strictEqual(intervals.size, 0, 'both buffers are the same')
+
+      await pad.switchUpdatingBuffer()
+      await pad.setSingleLED(Buttons['00'], Colors.Green)
+      await nextFrame()
+      assert.strictEqual(intervals.size, 1)
+
+      await pad.switchDisplayingBuffer()
+      await nextFrame()
+      assert.ok(cell('00', 1).parentNode.classList.contains('displayed'))
+      assert.ok(!cell('00', 0).parentNode.classList.contains('displayed'))
+
+      await pad.switchFlash()
+      await nextFrame()
+      assert.strictEqual(intervals.size, 0)
+      assert.strictEqual(cell('00', 1).style.background, Colors.Green.htmlColorCode)
+    })
+
+    it('stops listening and ticking when detached', async () => {
+      element.launchpad = pad
+      await pad.switchUpdatingBuffer()
+      await pad.setSingleLED(Buttons['00'], Colors.Green)
+      await pad.switchFlash()
+      await nextFrame()
+      assert.strictEqual(intervals.size, 1)
+
+      element.isConnected = false
+      element.disconnectedCallback()
+      assert.strictEqual(intervals.size, 0)
+      await pad.setSingleLED(Buttons['11'], Colors.Red)
+      await nextFrame()
+      assert.strictEqual(cell('11', 1).style.background, Colors.Off.htmlColorCode)
+
+      // Attaching again picks up what changed meanwhile
+      element.isConnected = true
+      element.connectedCallback()
+      assert.strictEqual(intervals.size, 1)
+      assert.strictEqual(cell('11', 1).style.background, Colors.Red.htmlColorCode)
+      element.launchpad = null
+      assert.strictEqual(intervals.size, 0)
+    })
+
+    it('presses emulator buttons on click, reaching the Launchpad, and highlights them', async () => {
+      const presses = []
+      pad.on('pressed', (button, event) => presses.push([button.name, event.source]))
+      pad.on('released', (button, event) => presses.push([button.name, event.source]))
+      element.launchpad = device
+
+      cell('23').fire('pointerdown')
+      cell('23').fire('pointerdown')
+      await nextFrame()
+      assert.ok(device.isButtonPressed(Buttons['23']))
+      assert.deepStrictEqual(presses, [['23', 'hardware']])
+      assert.ok(cell('23', 0).classList.contains('pressed'))
+      assert.ok(cell('23', 1).classList.contains('pressed'))
+
+      cell('23').fire('pointerleave')
+      cell('23').fire('pointerup')
+      await nextFrame()
+      assert.deepStrictEqual(presses, [['23', 'hardware'], ['23', 'hardware']])
+      assert.ok(!cell('23').classList.contains('pressed'))
+    })
+
+    it('dispatches clicks on a Launchpad, and highlights presses from any source', async () => {
+      const presses = []
+      pad.on('pressed', (button, event) => presses.push([button.name, event.source]))
+      element.launchpad = pad
+
+      cell('Mixer').fire('pointerdown')
+      device.press(Buttons['77'])
+      await nextFrame()
+      assert.deepStrictEqual(presses, [['Mixer', 'dispatch'], ['77', 'hardware']])
+      assert.ok(cell('Mixer').classList.contains('pressed'))
+      assert.ok(cell('77').classList.contains('pressed'))
+
+      cell('Mixer').fire('pointerup')
+      device.release(Buttons['77'])
+      await nextFrame()
+      assert.ok(!cell('Mixer').classList.contains('pressed'))
+      assert.ok(!cell('77').classList.contains('pressed'))
+    })
+  })
+})